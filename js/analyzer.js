@@ -0,0 +1,570 @@
+// Word analyzer - one ordered, configurable pipeline of matcher strategies.
+//
+// A strategy is { name, match(word, analyzer) } and returns a result (see
+// createResult) or null to pass the word on to the next strategy. A strategy
+// may also have candidates(word, analyzer) returning every result it can
+// produce, best first, for ranked alternatives (see Analyzer.rank).
+// Strategies record their evidence in analysis.evidence and the confidence
+// model turns it into analysis.confidence with a per-factor breakdown; a
+// strategy with scored: false keeps the confidence it sets itself. Words
+// no strategy claims get a structural analysis with "did you mean" suggestions.
+
+import { lemmatize } from './lemmatizer.js';
+import { FuzzyMatcher } from './fuzzy.js';
+import { LexiconIndex } from './lexicon_index.js';
+import { MorphemeInventory, CLASSICAL_ORIGINS, isInflectional } from './morphemes.js';
+import { Segmenter, isFullCover, describeSegmentation } from './segmenter.js';
+import { composeSegments } from './composer.js';
+import { toPinyin } from './pinyin.js';
+import { ConfidenceModel } from './scoring.js';
+import { CLOSED_CLASSES } from './lexicon.js';
+
+// Chinese shown while a word has no proposed mapping
+export const UNMAPPED_CHINESE = '[Analysis in progress...]';
+
+// Standard result. Display fields mirror a lexicon entry (display model);
+// input is the word as analyzed; entry is the lexicon entry the result was
+// derived from, if any.
+export function createResult(word, fields = {}, analysis = {}) {
+    return {
+        input: word,
+        id: undefined,
+        english: word,
+        chinese: '',
+        pinyin: '',
+        pinyinAmbiguous: [],
+        pos: '',
+        category: 'Unknown',
+        priority: 5,
+        logic: '',
+        meaning_en: '',
+        meaning_zh: '',
+        example: '',
+        notes: '',
+        entry: null,
+        strategy: '',
+        found: false,
+        suggestions: [],
+        ...fields,
+        analysis: {
+            structure: '',
+            morphemes: [],
+            meaning: '',
+            matchType: 'unknown',
+            confidence: 0,
+            evidence: {},
+            factors: [],
+            ...analysis
+        }
+    };
+}
+
+// Compact, JSON-safe form of a result (no lexicon entry objects)
+export function serializeResult(result) {
+    const { analysis } = result;
+    return {
+        word: result.input,
+        english: result.english,
+        id: result.id ?? null,
+        found: result.found,
+        chinese: result.found ? result.chinese : '',
+        pinyin: result.pinyin,
+        pos: result.pos,
+        logic: result.logic,
+        category: result.category,
+        strategy: result.strategy,
+        matchType: analysis.matchType,
+        confidence: analysis.confidence,
+        structure: analysis.structure,
+        morphemes: analysis.morphemes,
+        suggestions: result.suggestions.map(s => s.english)
+    };
+}
+
+// Result that reuses a lexicon entry's display fields
+function fromEntry(word, entry, analysis, fields = {}) {
+    return createResult(word, { ...entry, english: word, entry, found: true, ...fields }, analysis);
+}
+
+// Result for a hanzi string composed from morphemes
+function composedResult(analyzer, word, composed, analysis, fields = {}) {
+    const pinyin = analyzer.pinyin(composed.chinese, composed.readings);
+    return createResult(word, {
+        chinese: composed.chinese,
+        pinyin: pinyin.text,
+        pinyinAmbiguous: pinyin.ambiguous,
+        pos: composed.pos,
+        found: true,
+        ...fields
+    }, { trace: composed.trace, ...analysis });
+}
+
+// Check whether a segment is a Latin or Greek root
+function isClassicalRoot(segment) {
+    return segment.kind === 'root' && CLASSICAL_ORIGINS.includes(segment.morpheme.origin);
+}
+
+// Classical roots of a segmentation, for the etymology view
+function classicalRoots(segmentation) {
+    return segmentation.segments.filter(isClassicalRoot).map(segment => ({
+        root: segment.text,
+        meaning: segment.morpheme.hanzi,
+        gloss: segment.morpheme.gloss,
+        origin: segment.morpheme.origin,
+        position: segment.start
+    }));
+}
+
+// Label for a segmentation, marking one that leaves letters unexplained
+// ("Partial: l + y (的) + ing (在); l not explained")
+function describeCover(segmentation) {
+    if (isFullCover(segmentation)) return describeSegmentation(segmentation);
+    const unexplained = segmentation.segments.filter(s => s.kind === 'unknown').map(s => s.text);
+    return `Partial: ${describeSegmentation(segmentation)}; ${unexplained.join(', ')} not explained`;
+}
+
+// Ranked segmentations in display form
+function describeSegmentations(segmentations) {
+    return segmentations.map(s => ({ structure: describeCover(s), score: s.score }));
+}
+
+// 1. Headword in the lexicon
+function directResult(word, entry) {
+    return fromEntry(word, entry, {
+        structure: 'Direct match',
+        morphemes: [word],
+        meaning: 'Exact correspondence',
+        matchType: 'direct',
+        evidence: { pieces: 1, stemLetters: word.length }
+    }, { english: entry.english });
+}
+
+export const directStrategy = {
+    name: 'direct',
+    match(word, analyzer) {
+        const [entry] = analyzer.lookup(word);
+        return entry ? directResult(word, entry) : null;
+    },
+    // Every entry for the headword (homographs)
+    candidates(word, analyzer) {
+        return analyzer.lookup(word).map(entry => directResult(word, entry));
+    }
+};
+
+// 2. Inflected form of a headword (irregular table and suffix rules)
+function inflectionResult(word, lemma) {
+    return fromEntry(word, lemma.entry, {
+        structure: `Base form: ${lemma.lemma} (${lemma.inflection}, rule: ${lemma.rule})`,
+        morphemes: [lemma.lemma],
+        meaning: `From base word "${lemma.lemma}"`,
+        matchType: 'lemma',
+        lemmaRule: lemma.rule,
+        evidence: {
+            pieces: 2,
+            stemLetters: Math.min(lemma.lemma.length, word.length),
+            posMatch: lemma.posMatch
+        }
+    });
+}
+
+export const inflectionStrategy = {
+    name: 'inflection',
+    match(word, analyzer) {
+        const [lemma] = lemmatize(word, form => analyzer.lookup(form));
+        return lemma ? inflectionResult(word, lemma) : null;
+    },
+    // One result per possible base form
+    candidates(word, analyzer) {
+        return lemmatize(word, form => analyzer.lookup(form)).map(lemma => inflectionResult(word, lemma));
+    }
+};
+
+// 3. Headword plus one derivational affix from the morpheme inventory,
+// composed by the affix's rule ("hopeless" -> 无望)
+
+// Function words take no derivational suffix; other part-of-speech
+// mismatches only lower the score, as the lexicon gives one part of speech
+// per entry ("end" is a verb, yet "endless" is built on the noun)
+function takesSuffix(morpheme, entry) {
+    return morpheme.attachesTo.includes(entry.pos) || !CLOSED_CLASSES.includes(entry.pos);
+}
+
+function derivationCandidates(word, analyzer) {
+    const candidates = [];
+
+    for (const { surface, morpheme } of analyzer.morphemes.matchSuffixes(word)) {
+        if (isInflectional(morpheme) || word.length <= surface.length + 2) continue;
+        const base = word.slice(0, -surface.length);
+        const entry = analyzer.lookup(base).find(candidate => takesSuffix(morpheme, candidate));
+        if (entry) {
+            candidates.push({
+                base, entry, morpheme, rule: `-${surface}`,
+                segments: [{ text: base, kind: 'word', entry }, { text: surface, kind: 'suffix', morpheme }]
+            });
+        }
+    }
+
+    // Single-letter prefixes (a-) split too many plain words
+    for (const { surface, morpheme } of analyzer.morphemes.matchPrefixes(word)) {
+        if (surface.length < 2 || word.length <= surface.length + 2) continue;
+        const base = word.slice(surface.length);
+        const [entry] = analyzer.lookup(base);
+        if (entry) {
+            candidates.push({
+                base, entry, morpheme, rule: `${surface}-`,
+                segments: [{ text: surface, kind: 'prefix', morpheme }, { text: base, kind: 'word', entry }]
+            });
+        }
+    }
+
+    return candidates;
+}
+
+// Composed result for a base + affix candidate, or null when the affix
+// has no hanzi to compose
+function derivationResult(analyzer, word, candidate) {
+    const composed = composeSegments(candidate.segments);
+    if (!composed.chinese) return null;
+
+    return composedResult(analyzer, word, composed, {
+        structure: `Base form: ${candidate.base} (derivation, rule: ${candidate.rule})`,
+        morphemes: candidate.segments.map(segment => segment.text),
+        meaning: `From base word "${candidate.base}"`,
+        matchType: 'affix',
+        lemmaRule: candidate.rule,
+        evidence: {
+            pieces: 2,
+            stemLetters: candidate.base.length,
+            posMatch: candidate.morpheme.attachesTo.length > 0
+                ? candidate.morpheme.attachesTo.includes(candidate.entry.pos)
+                : null
+        }
+    }, {
+        entry: candidate.entry,
+        category: candidate.entry.category,
+        priority: candidate.entry.priority
+    });
+}
+
+export const derivationStrategy = {
+    name: 'derivation',
+    match(word, analyzer) {
+        const [best] = derivationCandidates(word, analyzer);
+        return best ? derivationResult(analyzer, word, best) : null;
+    },
+    candidates(word, analyzer) {
+        return derivationCandidates(word, analyzer)
+            .map(candidate => derivationResult(analyzer, word, candidate))
+            .filter(Boolean);
+    }
+};
+
+// 4. Confident fuzzy match (typos, misspellings)
+function fuzzyResult(word, match) {
+    const [entry] = match.entries;
+    return fromEntry(word, entry, {
+        structure: `Similar to "${entry.english}" (edit distance ${match.distance}${match.phonetic ? ', sounds alike' : ''})`,
+        morphemes: [entry.english],
+        meaning: `Close match to "${entry.english}"`,
+        matchType: 'fuzzy',
+        evidence: {
+            editDistance: match.typoDistance,
+            matchScore: match.score,
+            phonetic: match.phonetic,
+            pieces: 1,
+            stemLetters: word.length
+        }
+    }, { english: entry.english });
+}
+
+export const fuzzyStrategy = {
+    name: 'fuzzy',
+    match(word, analyzer) {
+        const match = analyzer.fuzzy.bestMatch(word);
+        return match ? fuzzyResult(word, match) : null;
+    },
+    // Every near spelling, not only one that is clearly ahead
+    candidates(word, analyzer) {
+        return analyzer.suggest(word)
+            .filter(match => match.english !== word)
+            .map(match => fuzzyResult(word, match));
+    }
+};
+
+// 5. Compound fully covered by roots, affixes and headwords, composed
+// head-finally ("chronometer" -> 时计)
+
+// Fewest letters of roots and headwords in a compound; affixes around a
+// shorter stem are guesses ("dis + agr + ee")
+const MIN_COMPOUND_STEM_LENGTH = 4;
+
+function compoundResult(analyzer, word, segmentation, segmentations) {
+    if (!isFullCover(segmentation) || segmentation.segments.length < 2) return null;
+
+    const stems = segmentation.segments.filter(s => s.kind === 'root' || s.kind === 'word');
+    if (stems.reduce((sum, s) => sum + s.text.length, 0) < MIN_COMPOUND_STEM_LENGTH) return null;
+
+    const composed = composeSegments(segmentation.segments);
+    if (!composed.chinese) return null;
+
+    const roots = classicalRoots(segmentation);
+    return composedResult(analyzer, word, composed, {
+        structure: describeSegmentation(segmentation),
+        morphemes: segmentation.segments.filter(s => s.kind !== 'link').map(s => s.text),
+        meaning: composed.chinese,
+        matchType: roots.length > 0 ? 'classical_analysis' : 'compound_analysis',
+        evidence: {
+            pieces: segmentation.segments.filter(s => s.kind !== 'link').length,
+            stemLetters: stems.reduce((sum, s) => sum + s.text.length, 0),
+            posMatch: composed.trace.some(step => step.rule === 'pos-mismatch') ? false : null,
+            segmentationScore: segmentation.score
+        },
+        segmentations: describeSegmentations(segmentations),
+        roots
+    });
+}
+
+export const compoundStrategy = {
+    name: 'compound',
+    match(word, analyzer) {
+        const segmentations = analyzer.segment(word);
+        const [best] = segmentations;
+        return best ? compoundResult(analyzer, word, best, segmentations) : null;
+    },
+    // One result per fully covering segmentation
+    candidates(word, analyzer) {
+        const segmentations = analyzer.segment(word);
+        return segmentations
+            .map(segmentation => compoundResult(analyzer, word, segmentation, segmentations))
+            .filter(Boolean);
+    }
+};
+
+// 0. User override: a correction the user accepted, ahead of the cascade.
+// overrides is [{ word, hanzi }]; later ones win. The result reuses a
+// lexicon entry with that hanzi when there is one (same word preferred).
+export const OVERRIDE_STRATEGY = 'override';
+
+export function createOverrideStrategy(overrides = []) {
+    const byWord = new Map(overrides.map(({ word, hanzi }) => [String(word).toLowerCase().trim(), hanzi]));
+    return {
+        name: OVERRIDE_STRATEGY,
+        scored: false,
+        match(word, analyzer) {
+            const hanzi = byWord.get(word);
+            if (!hanzi) return null;
+
+            const analysis = {
+                structure: 'User correction',
+                morphemes: [word],
+                meaning: `Accepted correction: ${hanzi}`,
+                matchType: 'override',
+                confidence: 1
+            };
+            const entries = analyzer.index.byHanzi(hanzi);
+            const entry = entries.find(e => e.english.toLowerCase() === word) || entries[0];
+            if (entry) return fromEntry(word, entry, analysis);
+
+            const pinyin = analyzer.pinyin(hanzi);
+            return createResult(word, {
+                chinese: hanzi,
+                pinyin: pinyin.text,
+                pinyinAmbiguous: pinyin.ambiguous,
+                found: true
+            }, analysis);
+        }
+    };
+}
+
+// Number of ranked candidates returned by default
+export const DEFAULT_CANDIDATE_LIMIT = 5;
+
+// Default cascade, most to least certain
+export const DEFAULT_STRATEGIES = [
+    directStrategy,
+    inflectionStrategy,
+    derivationStrategy,
+    fuzzyStrategy,
+    compoundStrategy
+];
+
+export class Analyzer {
+    constructor({
+        entries = [],
+        morphemes = new MorphemeInventory(),
+        pinyinTable = null,
+        strategies = DEFAULT_STRATEGIES,
+        scoring = new ConfidenceModel(),
+        index = null
+    } = {}) {
+        this.entries = entries;
+        this.morphemes = morphemes;
+        this.pinyinTable = pinyinTable;
+        this.scoring = scoring;
+        this.strategies = [...strategies];
+        this.cache = new Map();
+
+        // A loaded LexiconIndex over the same entries, or one built here
+        this.index = index || LexiconIndex.build(entries);
+
+        this.fuzzy = new FuzzyMatcher(entries, { index: this.index });
+        this.segmenter = new Segmenter(morphemes, entries);
+    }
+
+    // Names of the strategies, in order
+    get strategyNames() {
+        return this.strategies.map(strategy => strategy.name);
+    }
+
+    // Add a strategy at the end, or before the named one
+    useStrategy(strategy, { before = null } = {}) {
+        const index = before ? this.strategyNames.indexOf(before) : -1;
+        if (index >= 0) this.strategies.splice(index, 0, strategy);
+        else this.strategies.push(strategy);
+        this.cache.clear();
+        return this;
+    }
+
+    // Remove a strategy by name
+    removeStrategy(name) {
+        this.strategies = this.strategies.filter(strategy => strategy.name !== name);
+        this.cache.clear();
+        return this;
+    }
+
+    // Lexicon entries for a headword
+    lookup(word) {
+        return this.index.lookup(word);
+    }
+
+    // Pinyin for a hanzi string ({ text, ambiguous }), with any readings
+    // already fixed by position
+    pinyin(chinese, fixed = []) {
+        if (!chinese || chinese.startsWith('[') || !this.pinyinTable) {
+            return { text: '', ambiguous: [], unknown: [] };
+        }
+        return toPinyin(chinese, this.pinyinTable, fixed);
+    }
+
+    // Top segmentations of a word
+    segment(word, limit = 3) {
+        return this.segmenter.segment(word, { limit });
+    }
+
+    // Ranked "did you mean" suggestions
+    suggest(word) {
+        return this.fuzzy.suggest(word);
+    }
+
+    // Run the cascade; always returns a result (found is false when no
+    // strategy matched)
+    analyze(input) {
+        const word = String(input || '').trim().toLowerCase();
+        if (this.cache.has(word)) return this.cache.get(word);
+
+        let result = null;
+        for (const strategy of this.strategies) {
+            result = strategy.match(word, this);
+            if (result) {
+                result.strategy = strategy.name;
+                if (strategy.scored !== false) this.score(result, word);
+                break;
+            }
+        }
+
+        if (!result) result = this.describeUnknown(word);
+        this.cache.set(word, result);
+        return result;
+    }
+
+    // Set a matched result's confidence and factor breakdown from its evidence
+    score(result, word) {
+        const evidence = { method: result.strategy, length: word.length, ...result.analysis.evidence };
+        const { confidence, factors } = this.scoring.score(evidence, result.entry);
+        Object.assign(result.analysis, { evidence, confidence, factors });
+        return result;
+    }
+
+    // Apply user corrections ([{ word, hanzi }]) ahead of the cascade;
+    // an empty list removes them
+    setOverrides(overrides = []) {
+        this.strategies = this.strategies.filter(strategy => strategy.name !== OVERRIDE_STRATEGY);
+        if (overrides.length > 0) this.strategies.unshift(createOverrideStrategy(overrides));
+        this.cache.clear();
+        return this;
+    }
+
+    // Replace the confidence model (e.g. with fitted weights)
+    setScoring(scoring) {
+        this.scoring = scoring;
+        this.cache.clear();
+        return this;
+    }
+
+    // Candidates from every strategy, one per hanzi (the most confident
+    // wins), ranked by confidence with cascade order breaking ties.
+    // Returns up to limit results; each has rank set (1 = best).
+    rank(input, { limit = DEFAULT_CANDIDATE_LIMIT } = {}) {
+        const word = String(input || '').trim().toLowerCase();
+        const best = new Map();
+
+        for (const strategy of this.strategies) {
+            const results = strategy.candidates
+                ? strategy.candidates(word, this)
+                : [strategy.match(word, this)].filter(Boolean);
+
+            for (const result of results) {
+                result.strategy = strategy.name;
+                if (strategy.scored !== false) this.score(result, word);
+                const kept = best.get(result.chinese);
+                if (!kept || result.analysis.confidence > kept.analysis.confidence) {
+                    best.set(result.chinese, result);
+                }
+            }
+        }
+
+        // Map keeps first-seen order, so the stable sort leaves ties in cascade order
+        return [...best.values()]
+            .sort((a, b) => b.analysis.confidence - a.analysis.confidence)
+            .slice(0, limit)
+            .map((result, index) => Object.assign(result, { rank: index + 1 }));
+    }
+
+    // Result for a word only when a strategy matched it
+    resolve(word) {
+        const result = this.analyze(word);
+        return result.found ? result : null;
+    }
+
+    // Structural analysis of a word nothing matched; a segmentation that
+    // leaves letters unexplained is shown as partial, not as the structure
+    describeUnknown(word) {
+        const segmentations = this.segment(word);
+        const [best] = segmentations;
+        const analysis = {
+            structure: 'Simple word',
+            morphemes: [word],
+            matchType: 'unknown',
+            confidence: 0.3,
+            segmentations: describeSegmentations(segmentations)
+        };
+
+        if (best && best.segments.length > 1 && !isFullCover(best)) {
+            analysis.structure = describeCover(best);
+        } else if (best && best.segments.length > 1) {
+            const roots = classicalRoots(best);
+            Object.assign(analysis, {
+                structure: describeSegmentation(best),
+                morphemes: best.segments.filter(s => s.kind !== 'link').map(s => s.text),
+                matchType: roots.length > 0 ? 'classical_analysis' : 'compound_analysis',
+                confidence: 0.4,
+                roots
+            });
+        }
+
+        return createResult(word, {
+            chinese: UNMAPPED_CHINESE,
+            suggestions: this.suggest(word)
+        }, analysis);
+    }
+}
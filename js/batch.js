@@ -0,0 +1,149 @@
+// Batch analysis - map a word list (pasted or CSV/TSV) in one run and
+// export the results in the lexicon's source CSV layout
+
+import { LEXICON_COLUMNS, toLexiconEntry } from './lexicon.js';
+import { parseDelimited, detectDelimiter, formatDelimited } from './csv.js';
+
+// Export columns: the source CSV columns, then what the analyzer found
+export const BATCH_COLUMNS = [...LEXICON_COLUMNS, 'found', 'strategy', 'match_type', 'confidence', 'alternatives'];
+
+export const BATCH_FORMATS = ['csv', 'tsv', 'json'];
+
+// Header names taken as the word column of an imported table
+const WORD_HEADERS = ['english', 'word', 'term'];
+
+// Rows analyzed between progress reports
+const CHUNK_SIZE = 50;
+
+// Words from a pasted list or CSV/TSV text, in order: [{ line, word }]. A
+// table whose header has an english, word or term column reads that column;
+// a headerless TSV reads its first column; anything else is a plain list
+// with one or more comma-separated words per line.
+export function parseWordList(text) {
+    const delimiter = detectDelimiter(text);
+    const rows = parseDelimited(text, delimiter);
+    const words = [];
+    const add = (value, line) => {
+        const word = String(value || '').trim();
+        if (word) words.push({ line, word });
+    };
+
+    const header = rows.length > 0 ? rows[0].map(name => name.trim().toLowerCase()) : [];
+    const column = header.findIndex(name => WORD_HEADERS.includes(name));
+
+    if (column >= 0) {
+        rows.slice(1).forEach((row, index) => add(row[column], index + 2));
+    } else if (delimiter === '\t') {
+        rows.forEach((row, index) => add(row[0], index + 1));
+    } else {
+        rows.forEach((row, index) => row.forEach(value => add(value, index + 1)));
+    }
+    return words;
+}
+
+// Export row for an analyzer result: the source CSV columns (id is the row
+// number, english the word as given) plus the match and its alternatives
+export function batchRow(result, { number, alternatives = [] } = {}) {
+    const entry = toLexiconEntry(result);
+    return {
+        ...entry,
+        id: number,
+        english: result.input,
+        hanzi: result.found ? result.chinese : '',
+        pinyin: result.found ? entry.pinyin : '',
+        found: result.found,
+        strategy: result.strategy,
+        match_type: result.analysis.matchType,
+        confidence: result.analysis.confidence,
+        alternatives
+    };
+}
+
+// Analyze every word of a list. Repeated words are analyzed once; each row
+// keeps its place. candidates n lists up to n ranked alternatives to the
+// chosen hanzi. onProgress(done, total) is called after each chunk, and
+// control goes back to the event loop between chunks so a page can repaint
+// and a cancel can arrive; aborting the signal (an AbortSignal) rejects with
+// its reason, an AbortError by default.
+export async function analyzeBatch(words, analyzer, { candidates = 3, onProgress, signal } = {}) {
+    const cache = new Map();
+    const rows = [];
+
+    const analyze = word => {
+        const key = word.toLowerCase();
+        if (!cache.has(key)) {
+            const result = analyzer.analyze(key);
+            const alternatives = candidates > 0
+                ? analyzer.rank(key, { limit: candidates + 1 })
+                    .filter(candidate => candidate.chinese !== (result.found ? result.chinese : ''))
+                    .slice(0, candidates)
+                    .map(candidate => ({
+                        hanzi: candidate.chinese,
+                        pinyin: candidate.pinyin,
+                        strategy: candidate.strategy,
+                        confidence: candidate.analysis.confidence
+                    }))
+                : [];
+            cache.set(key, { result, alternatives });
+        }
+        return cache.get(key);
+    };
+
+    for (let start = 0; start < words.length; start += CHUNK_SIZE) {
+        if (signal) signal.throwIfAborted();
+        words.slice(start, start + CHUNK_SIZE).forEach(({ word }, offset) => {
+            const { result, alternatives } = analyze(word);
+            rows.push(batchRow({ ...result, input: word }, { number: start + offset + 1, alternatives }));
+        });
+        if (onProgress) onProgress(rows.length, words.length);
+        if (rows.length < words.length) await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return rows;
+}
+
+// Counts for a batch: { total, found, byMatchType, meanConfidence }
+export function batchSummary(rows) {
+    const byMatchType = {};
+    rows.forEach(row => {
+        byMatchType[row.match_type] = (byMatchType[row.match_type] || 0) + 1;
+    });
+    const found = rows.filter(row => row.found);
+    const meanConfidence = found.length > 0
+        ? found.reduce((sum, row) => sum + row.confidence, 0) / found.length
+        : 0;
+    return { total: rows.length, found: found.length, byMatchType, meanConfidence };
+}
+
+// Sorted copy of batch rows by a column ({ field, direction }); ties keep
+// row order
+export function sortBatchRows(rows, sort) {
+    if (!sort) return [...rows];
+    const { field } = sort;
+    const sign = sort.direction === 'desc' ? -1 : 1;
+    const compare = (a, b) => {
+        if (typeof a[field] === 'number' || typeof a[field] === 'boolean') return Number(a[field]) - Number(b[field]);
+        if (field === 'alternatives') return a[field].length - b[field].length;
+        return String(a[field] ?? '').localeCompare(String(b[field] ?? ''), field === 'hanzi' ? 'zh' : 'en');
+    };
+    return [...rows].sort((a, b) => sign * compare(a, b) || a.id - b.id);
+}
+
+// Alternatives in one cell: "hanzi pinyin confidence; ..."
+function alternativesCell(alternatives) {
+    return alternatives
+        .map(alternative => [alternative.hanzi, alternative.pinyin, alternative.confidence].filter(Boolean).join(' '))
+        .join('; ');
+}
+
+// Batch rows as csv, tsv or json text with BATCH_COLUMNS
+export function formatBatch(rows, format = 'csv') {
+    if (format === 'json') {
+        const records = rows.map(row => Object.fromEntries(BATCH_COLUMNS.map(column => [column, row[column]])));
+        return JSON.stringify(records, null, 2) + '\n';
+    }
+    if (format !== 'csv' && format !== 'tsv') {
+        throw new Error(`Unknown batch format "${format}" (${BATCH_FORMATS.join(', ')})`);
+    }
+    const records = rows.map(row => ({ ...row, alternatives: alternativesCell(row.alternatives) }));
+    return formatDelimited(records, BATCH_COLUMNS, format === 'tsv' ? '\t' : ',');
+}
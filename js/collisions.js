@@ -0,0 +1,141 @@
+// Collision analysis - English words that collapse onto the same hanzi,
+// how much meaning each collision loses when integrated text is read back,
+// and hanzi recorded with more than one pinyin
+
+import { stripTones } from './pinyin.js';
+
+// Loss of one pair of colliding words. Words of different parts of speech
+// can usually be told apart by syntax; words in one category are often
+// near-synonyms, so they lose less than unrelated concepts.
+const PAIR_LOSS = {
+    samePos: 1,
+    differentPos: 0.5,
+    sameCategory: 0.6,
+    differentCategory: 1
+};
+
+// Lowest loss for each severity level
+export const SEVERITY_LEVELS = { high: 0.6, medium: 0.35, low: 0 };
+
+function severityOf(loss) {
+    return Object.keys(SEVERITY_LEVELS).find(level => loss >= SEVERITY_LEVELS[level]);
+}
+
+function pairLoss(a, b) {
+    return (a.pos === b.pos ? PAIR_LOSS.samePos : PAIR_LOSS.differentPos) *
+        (a.category === b.category ? PAIR_LOSS.sameCategory : PAIR_LOSS.differentCategory);
+}
+
+// 0-1 loss of a collision group: 1 - size^-(mean pair loss). Two unrelated
+// nouns on one hanzi lose 0.5; twenty near-synonym adjectives about 0.84.
+export function collisionLoss(entries) {
+    if (entries.length < 2) return 0;
+
+    let total = 0;
+    let pairs = 0;
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            total += pairLoss(entries[i], entries[j]);
+            pairs++;
+        }
+    }
+    return 1 - Math.pow(entries.length, -total / pairs);
+}
+
+// Count of each distinct value of a field: [{ value, count }], largest first
+function spread(entries, field) {
+    const counts = new Map();
+    for (const entry of entries) {
+        counts.set(entry[field] || '', (counts.get(entry[field] || '') || 0) + 1);
+    }
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+// Pinyin readings recorded for one hanzi: [{ pinyin, words }]. Readings
+// differing only in tone are separate readings.
+function readingsOf(entries) {
+    const readings = new Map();
+    for (const entry of entries) {
+        const pinyin = String(entry.pinyin || '').trim();
+        if (!pinyin) continue;
+        if (!readings.has(pinyin)) readings.set(pinyin, []);
+        readings.get(pinyin).push(entry.english);
+    }
+    return [...readings.entries()].map(([pinyin, words]) => ({ pinyin, words }));
+}
+
+// The entry most likely to keep the bare hanzi: the most core priority,
+// then the most direct logic type
+function anchorOf(entries) {
+    return [...entries].sort((a, b) =>
+        (a.priority || 5) - (b.priority || 5) || String(a.logic).localeCompare(String(b.logic)))[0];
+}
+
+// Analyze lexicon entries (display model) and return a report:
+// { summary, groups, readingConflicts }. Each group is
+// { hanzi, size, entries, anchor, pos, categories, readings, readingConflict, loss, severity }
+// and groups are sorted by loss, highest first. T0 entries keep English
+// and never collide.
+export function analyzeCollisions(entries) {
+    const byHanzi = new Map();
+    for (const entry of entries) {
+        if (entry.logic === 'T0' || !entry.chinese) continue;
+        if (!byHanzi.has(entry.chinese)) byHanzi.set(entry.chinese, new Map());
+        // Repeated headwords are one word, not a collision
+        const words = byHanzi.get(entry.chinese);
+        const key = entry.english.toLowerCase();
+        if (!words.has(key)) words.set(key, entry);
+    }
+
+    const groups = [];
+    const readingConflicts = [];
+
+    for (const [hanzi, words] of byHanzi) {
+        const members = [...words.values()];
+        const readings = readingsOf(members);
+        const distinct = new Set(readings.map(r => r.pinyin)).size;
+
+        if (distinct > 1) {
+            readingConflicts.push({
+                hanzi,
+                readings,
+                toneOnly: new Set(readings.map(r => stripTones(r.pinyin).replace(/\s+/g, ''))).size === 1
+            });
+        }
+        if (members.length < 2) continue;
+
+        const loss = collisionLoss(members);
+        groups.push({
+            hanzi,
+            size: members.length,
+            entries: members,
+            anchor: anchorOf(members),
+            pos: spread(members, 'pos'),
+            categories: spread(members, 'category'),
+            readings,
+            readingConflict: distinct > 1,
+            loss: Math.round(loss * 1000) / 1000,
+            severity: severityOf(loss)
+        });
+    }
+
+    groups.sort((a, b) => b.loss - a.loss || b.size - a.size || a.hanzi.localeCompare(b.hanzi));
+
+    const bySeverity = Object.fromEntries(Object.keys(SEVERITY_LEVELS).map(level => [level, 0]));
+    groups.forEach(group => bySeverity[group.severity]++);
+
+    return {
+        summary: {
+            words: [...byHanzi.values()].reduce((sum, words) => sum + words.size, 0),
+            uniqueHanzi: byHanzi.size,
+            groups: groups.length,
+            collidingWords: groups.reduce((sum, group) => sum + group.size, 0),
+            readingConflicts: readingConflicts.length,
+            bySeverity
+        },
+        groups,
+        readingConflicts
+    };
+}
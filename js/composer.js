@@ -0,0 +1,230 @@
+// Semantic composition - builds a hanzi compound from segmented morphemes
+// following Chinese word order, and records which rules produced it
+
+import { POS_LABELS } from './lexicon.js';
+
+// Characters marking a human noun; only these take the plural 们
+const HUMAN_CHARS = new Set(Array.from('人者家员师生友子女男母父兄弟姐妹医王民客工匠官兵士孩童夫妻'));
+
+// Measurable qualities whose abstract noun uses 度 rather than 性 (厚度)
+const DEGREE_CHARS = new Set(Array.from('长宽高深厚亮温热冷速强湿密硬难浓明精快慢轻重远近'));
+
+// Agent markers; a base already ending in one keeps it (科学家, not 科学家者)
+const AGENT_CHARS = new Set(Array.from('者家员人师'));
+
+// Check whether a stem names people (animacy for the plural)
+export function isHuman(hanzi, entry = null) {
+    if (entry && entry.category === 'People/Society' && entry.pos === 'n') return true;
+    const chars = Array.from(hanzi || '');
+    return chars.length > 0 && HUMAN_CHARS.has(chars[chars.length - 1]);
+}
+
+function lastChar(hanzi) {
+    const chars = Array.from(hanzi || '');
+    return chars[chars.length - 1] || '';
+}
+
+// Suffix rules by category. Each gets the base ({ chinese, pos, entry }) and
+// the suffix morpheme and returns { chinese, pos, detail }.
+const SUFFIX_RULES = {
+    agentive: (base, morpheme) => AGENT_CHARS.has(lastChar(base.chinese))
+        ? { chinese: base.chinese, pos: 'n', detail: `${base.chinese} already names an agent` }
+        : { chinese: base.chinese + morpheme.hanzi, pos: 'n', detail: `agent noun: base + ${morpheme.hanzi}` },
+
+    abstract: (base, morpheme) => {
+        if (morpheme.hanzi === '性' && Array.from(base.chinese).length === 1 && DEGREE_CHARS.has(base.chinese)) {
+            return { chinese: base.chinese + '度', pos: 'n', detail: 'measurable quality: base + 度' };
+        }
+        return { chinese: base.chinese + morpheme.hanzi, pos: 'n', detail: `abstract noun: base + ${morpheme.hanzi}` };
+    },
+
+    doctrine: (base, morpheme) => ({
+        chinese: base.chinese + morpheme.hanzi, pos: 'n', detail: `doctrine: base + ${morpheme.hanzi}`
+    }),
+
+    field: (base, morpheme) => lastChar(base.chinese) === morpheme.hanzi
+        ? { chinese: base.chinese, pos: 'n', detail: `${base.chinese} already names a field` }
+        : { chinese: base.chinese + morpheme.hanzi, pos: 'n', detail: `field of study: base + ${morpheme.hanzi}` },
+
+    domain: (base, morpheme) => ({
+        chinese: base.chinese + morpheme.hanzi, pos: 'n', detail: `domain: base + ${morpheme.hanzi}`
+    }),
+
+    nominalizer: base => ({
+        chinese: base.chinese, pos: 'n', detail: 'Chinese uses the verb as a noun unchanged'
+    }),
+
+    verbalizer: (base, morpheme) => lastChar(base.chinese) === morpheme.hanzi
+        ? { chinese: base.chinese, pos: 'v', detail: `${base.chinese} is already a change of state` }
+        : { chinese: base.chinese + morpheme.hanzi, pos: 'v', detail: `make into: base + ${morpheme.hanzi}` },
+
+    potential: (base, morpheme) => ({
+        chinese: morpheme.hanzi + base.chinese, pos: 'adj', detail: `${morpheme.hanzi} precedes the verb`
+    }),
+
+    privative: (base, morpheme) => ({
+        chinese: morpheme.hanzi + base.chinese, pos: 'adj', detail: `${morpheme.hanzi} precedes the noun it negates`
+    }),
+
+    possessive: (base, morpheme) => ({
+        chinese: morpheme.hanzi + base.chinese, pos: 'adj', detail: `${morpheme.hanzi} precedes the possessed noun`
+    }),
+
+    adjectival: (base, morpheme) => base.pos === 'adj'
+        ? { chinese: base.chinese, pos: 'adj', detail: 'base is already an adjective' }
+        : { chinese: base.chinese + morpheme.hanzi, pos: 'adj', detail: `attributive: base + ${morpheme.hanzi}` },
+
+    adverbial: (base, morpheme) => ({
+        chinese: base.chinese + morpheme.hanzi, pos: 'adv', detail: `manner adverb: base + ${morpheme.hanzi}`
+    }),
+
+    plural: (base, morpheme) => isHuman(base.chinese, base.entry)
+        ? { chinese: base.chinese + morpheme.hanzi, pos: 'n', detail: `human noun: base + ${morpheme.hanzi}` }
+        : { chinese: base.chinese, pos: 'n', detail: 'plural is not marked on non-human nouns' },
+
+    progressive: (base, morpheme) => ({
+        chinese: morpheme.hanzi + base.chinese, pos: 'v', detail: `${morpheme.hanzi} precedes the verb`
+    }),
+
+    perfective: (base, morpheme) => ({
+        chinese: base.chinese + morpheme.hanzi, pos: 'v', detail: `completed action: verb + ${morpheme.hanzi}`
+    })
+};
+
+// Prefix rules by category; anything else puts the prefix gloss first
+const PREFIX_RULES = {
+    negative: (base, morpheme) => {
+        if (morpheme.form === 'a') {
+            return { chinese: '无' + base.chinese, detail: 'privative a-: 无 + base' };
+        }
+        const marker = base.pos === 'n' ? '非' : '不';
+        return { chinese: marker + base.chinese, detail: `${marker} negates the ${POS_LABELS[base.pos] || 'word'}` };
+    }
+};
+
+// Readings of a rule's result, one per character (null where the pinyin
+// table decides): the base keeps its own, and characters the rule added get
+// the morpheme's reading when they are exactly its gloss (-ly 地 reads de)
+function readingsAfter(base, morpheme, chinese) {
+    const appended = chinese.startsWith(base.chinese);
+    if (!appended && !chinese.endsWith(base.chinese)) return unread(chinese);
+
+    const added = appended ? chinese.slice(base.chinese.length) : chinese.slice(0, -base.chinese.length);
+    const own = morpheme.reading ? morpheme.reading.split(/\s+/) : [];
+    const readings = added === morpheme.hanzi && own.length === Array.from(added).length ? own : unread(added);
+    return appended ? [...base.readings, ...readings] : [...readings, ...base.readings];
+}
+
+// No fixed readings: stems are read from the pinyin table
+function unread(hanzi) {
+    return Array.from(hanzi, () => null);
+}
+
+// Gloss of one stem segment
+function stemHanzi(segment) {
+    if (segment.entry) return segment.entry.chinese || '';
+    if (segment.morpheme) return segment.morpheme.hanzi || '';
+    return '';
+}
+
+// Combine stems head-finally: the last stem is the head and earlier stems
+// modify it, except verbal heads, which take what precedes as their object
+function composeStems(stems, trace) {
+    const glossed = stems.map(segment => ({ segment, hanzi: stemHanzi(segment) }));
+    glossed.filter(g => !g.hanzi).forEach(g => {
+        trace.push({ rule: 'unexplained', detail: `"${g.segment.text}" has no gloss and is left out` });
+    });
+
+    const parts = glossed.filter(g => g.hanzi);
+    if (parts.length === 0) return { chinese: '', pos: '', entry: null, readings: [] };
+
+    const head = parts[parts.length - 1];
+    const modifiers = parts.slice(0, -1).map(g => g.hanzi).join('');
+    const pos = head.segment.entry ? head.segment.entry.pos : 'n';
+    // Verbal roots take their object after them ("pesti-cide" -> 杀虫)
+    const verb = head.segment.morpheme && head.segment.morpheme.verbHead;
+
+    if (parts.length === 1) {
+        trace.push({ rule: 'stem', detail: `${head.segment.text} is the only stem`, result: head.hanzi });
+        return { chinese: head.hanzi, pos, entry: head.segment.entry || null, readings: unread(head.hanzi) };
+    }
+
+    if (verb) {
+        const chinese = head.hanzi + modifiers;
+        trace.push({
+            rule: 'verb-object',
+            detail: `${head.segment.text} (${head.hanzi}) is a verbal head; its object follows it`,
+            result: chinese
+        });
+        return { chinese, pos: 'n', entry: null, readings: unread(chinese) };
+    }
+
+    const chinese = modifiers + head.hanzi;
+    trace.push({
+        rule: 'modifier-head',
+        detail: `${head.segment.text} (${head.hanzi}) is the head; the stems before it modify it`,
+        result: chinese
+    });
+    return { chinese, pos, entry: head.segment.entry || null, readings: unread(chinese) };
+}
+
+// Compose hanzi for a segmentation ([{ text, kind, morpheme?, entry? }]
+// with kind prefix, root, word, link, suffix or unknown).
+// Returns { chinese, pos, readings, trace: [{ rule, detail, result }] },
+// readings holding the reading fixed for each character or null.
+export function composeSegments(segments) {
+    const trace = [];
+    const prefixes = [];
+    const suffixes = [];
+    const stems = [];
+
+    for (const segment of segments) {
+        if (segment.kind === 'prefix' && stems.length === 0) prefixes.push(segment);
+        else if (segment.kind === 'suffix') suffixes.push(segment);
+        else if (segment.kind === 'link') {
+            trace.push({ rule: 'linking-vowel', detail: `-${segment.text}- only joins stems and is dropped` });
+        } else stems.push(segment);
+    }
+
+    let base = composeStems(stems, trace);
+    if (!base.chinese) return { chinese: '', pos: '', readings: [], trace };
+
+    // Suffixes apply inside-out, then prefixes scope over the result
+    for (const segment of suffixes) {
+        const morpheme = segment.morpheme;
+        const rule = SUFFIX_RULES[morpheme.category];
+        if (morpheme.attachesTo.length > 0 && base.pos && !morpheme.attachesTo.includes(base.pos)) {
+            trace.push({
+                rule: 'pos-mismatch',
+                detail: `-${segment.text} expects ${morpheme.attachesTo.join('/')}, base is ${base.pos}`
+            });
+        }
+        const applied = rule
+            ? rule(base, morpheme)
+            : { chinese: base.chinese + morpheme.hanzi, pos: morpheme.pos || base.pos, detail: `base + ${morpheme.hanzi}` };
+        trace.push({ rule: `suffix:${morpheme.category || segment.text}`, detail: `-${segment.text}: ${applied.detail}`, result: applied.chinese });
+        base = {
+            chinese: applied.chinese,
+            pos: applied.pos,
+            entry: base.entry,
+            readings: readingsAfter(base, morpheme, applied.chinese)
+        };
+    }
+
+    for (const segment of [...prefixes].reverse()) {
+        const morpheme = segment.morpheme;
+        const rule = PREFIX_RULES[morpheme.category];
+        const applied = rule
+            ? rule(base, morpheme)
+            : { chinese: morpheme.hanzi + base.chinese, detail: `${morpheme.hanzi} + base` };
+        trace.push({ rule: `prefix:${morpheme.category || segment.text}`, detail: `${segment.text}-: ${applied.detail}`, result: applied.chinese });
+        base = { ...base, chinese: applied.chinese, readings: readingsAfter(base, morpheme, applied.chinese) };
+    }
+
+    return { chinese: base.chinese, pos: base.pos, readings: base.readings, trace };
+}
+
+// One line per trace step ("modifier-head: graphy (写) is the head ... → 光写")
+export function describeTrace(trace) {
+    return trace.map(step => `${step.rule}: ${step.detail}${step.result ? ` → ${step.result}` : ''}`);
+}
@@ -0,0 +1,70 @@
+// Delimited text - CSV and TSV reading and writing for imports and exports
+
+// Quote a CSV field when it needs it
+export function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// TSV has no quoting, so tabs and line breaks inside a field become spaces
+function tsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.replace(/[\t\r\n]+/g, ' ');
+}
+
+// Records as delimited text: a header row of columns, then one row per
+// record, each line ending in a newline
+export function formatDelimited(records, columns, delimiter = ',') {
+    const field = delimiter === '\t' ? tsvField : csvField;
+    const rows = records.map(record => columns.map(column => field(record[column])).join(delimiter));
+    return [columns.join(delimiter), ...rows].join('\n') + '\n';
+}
+
+// Tab when the first line has one, else comma
+export function detectDelimiter(text) {
+    const firstLine = String(text).split(/\r?\n/, 1)[0];
+    return firstLine.includes('\t') ? '\t' : ',';
+}
+
+// Rows of fields from delimited text. Double-quoted fields may hold the
+// delimiter, line breaks and "" for a quote; blank lines are skipped.
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+}
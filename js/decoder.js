@@ -0,0 +1,230 @@
+// Round-trip decoder - reads integrated text (English interleaved with
+// hanzi) back into English and scores the result against the original
+
+import { tokenizePassage } from './passage.js';
+import { lemmatize } from './lemmatizer.js';
+
+// How plausible each part of speech is after the previous one. Pairs not
+// listed get TRANSITION_FLOOR; 'start' follows sentence punctuation.
+const TRANSITIONS = {
+    start: { pron: 0.3, art: 0.25, n: 0.2, det: 0.1, adj: 0.1, adv: 0.1, conj: 0.05, prep: 0.1 },
+    art: { n: 0.6, adj: 0.35 },
+    det: { n: 0.55, adj: 0.3 },
+    adj: { n: 0.6, conj: 0.15, prep: 0.1 },
+    adv: { adj: 0.4, v: 0.35, adv: 0.1 },
+    pron: { v: 0.55, aux: 0.25, adv: 0.1 },
+    aux: { v: 0.55, adv: 0.15, adj: 0.15 },
+    prep: { n: 0.35, art: 0.2, det: 0.15, pron: 0.15, adj: 0.1 },
+    v: { art: 0.2, n: 0.25, pron: 0.15, prep: 0.15, adv: 0.1, det: 0.1, adj: 0.1 },
+    n: { v: 0.3, prep: 0.2, conj: 0.15, n: 0.1, aux: 0.1 },
+    conj: { n: 0.2, pron: 0.2, art: 0.15, adj: 0.15, v: 0.15 }
+};
+const TRANSITION_FLOOR = 0.05;
+
+// Transition weight when either side's part of speech is unknown
+const UNKNOWN_TRANSITION = 0.3;
+
+// Weight of an entry's priority (1 core - 5 rare) against the POS context
+const PRIOR_WEIGHT = 1.5;
+
+// Punctuation that starts a new sentence
+const SENTENCE_END = /^[.!?。！？]$/;
+
+function transition(previous, next) {
+    if (!previous || !next) return UNKNOWN_TRANSITION;
+    const row = TRANSITIONS[previous];
+    return (row && row[next]) || TRANSITION_FLOOR;
+}
+
+// Prior of an entry from its priority: 1 -> 1.0, 5 -> 0.2
+function prior(entry) {
+    return (6 - (entry.priority || 5)) / 5;
+}
+
+// Decoder over lexicon entries (display model)
+export class Decoder {
+    constructor(entries = []) {
+        this.byHanzi = new Map();
+        this.byEnglish = new Map();
+
+        for (const entry of entries) {
+            const english = String(entry.english || '').toLowerCase();
+            if (!english) continue;
+            if (!this.byEnglish.has(english)) this.byEnglish.set(english, []);
+            this.byEnglish.get(english).push(entry);
+
+            if (entry.logic === 'T0' || !entry.chinese) continue;
+            if (!this.byHanzi.has(entry.chinese)) this.byHanzi.set(entry.chinese, new Map());
+            // One candidate per English word
+            const words = this.byHanzi.get(entry.chinese);
+            if (!words.has(english)) words.set(english, entry);
+        }
+    }
+
+    // Lexicon entries for an English word
+    lookup(word) {
+        return this.byEnglish.get(String(word || '').toLowerCase()) || [];
+    }
+
+    // English candidates for a hanzi word: [{ english, pos, entry, prior }]
+    candidates(hanzi) {
+        const words = this.byHanzi.get(hanzi);
+        if (!words) return [];
+        return [...words.values()].map(entry => ({
+            english: entry.english,
+            pos: entry.pos,
+            entry,
+            prior: prior(entry)
+        }));
+    }
+
+    // Decode integrated text. Returns { text, tokens } where word and
+    // hanzi tokens carry output and pos, and hanzi tokens also carry their
+    // candidates and the chosen english ('' when no entry uses the hanzi,
+    // e.g. a composed compound, which is left as it is)
+    decode(text) {
+        return this.decodeTokens(tokenizePassage(text));
+    }
+
+    // Decode tokens as produced by tokenizePassage
+    decodeTokens(input) {
+        const tokens = input.map(({ type, text, offset }) => ({ type, text, offset }));
+
+        // Each word-like token gets a list of states for the Viterbi search;
+        // English words have one state with their lexicon part of speech
+        const lattice = [];
+        for (const token of tokens) {
+            if (token.type === 'word') {
+                const [entry] = this.lookup(token.text);
+                token.states = [{ english: token.text, pos: entry ? entry.pos : '', prior: 1 }];
+                lattice.push(token);
+            } else if (token.type === 'hanzi') {
+                token.candidates = this.candidates(token.text);
+                token.states = token.candidates.length > 0
+                    ? token.candidates
+                    : [{ english: '', pos: '', prior: 1 }];
+                lattice.push(token);
+            } else if (token.type === 'punct' && SENTENCE_END.test(token.text)) {
+                lattice.push({ boundary: true });
+            }
+        }
+
+        this.viterbi(lattice);
+
+        for (const token of tokens) {
+            if (token.type === 'word') {
+                token.output = token.text;
+                token.pos = token.states[0].pos;
+            } else if (token.type === 'hanzi') {
+                token.english = token.choice.english;
+                token.output = token.choice.english || token.text;
+                token.pos = token.choice.pos;
+            } else {
+                token.output = token.text;
+            }
+            delete token.states;
+            delete token.choice;
+        }
+
+        return { text: tokens.map(token => token.output).join(''), tokens };
+    }
+
+    // Pick the best state for every lattice token (log-space Viterbi over
+    // POS transitions and entry priors); sets token.choice
+    viterbi(lattice) {
+        let previous = [{ state: { pos: 'start' }, score: 0, back: null }];
+
+        const close = () => {
+            const best = previous.reduce((a, b) => (b.score > a.score ? b : a));
+            for (let node = best; node && node.token; node = node.back) {
+                node.token.choice = node.state;
+            }
+        };
+
+        for (const token of lattice) {
+            if (token.boundary) {
+                close();
+                previous = [{ state: { pos: 'start' }, score: 0, back: null }];
+                continue;
+            }
+
+            previous = token.states.map(state => {
+                let best = null;
+                for (const node of previous) {
+                    const score = node.score + Math.log(transition(node.state.pos, state.pos));
+                    if (!best || score > best.score) best = { score, back: node };
+                }
+                return {
+                    token,
+                    state,
+                    score: best.score + PRIOR_WEIGHT * Math.log(state.prior),
+                    back: best.back
+                };
+            });
+        }
+
+        close();
+    }
+}
+
+// Check whether a decoded word matches the original word or its lemma
+function matchesOriginal(original, decoded, lookup) {
+    const word = original.toLowerCase();
+    const guess = String(decoded || '').toLowerCase();
+    if (!guess) return { exact: false, lemma: false };
+    if (word === guess) return { exact: true, lemma: true };
+    return { exact: false, lemma: lemmatize(word, lookup).some(result => result.lemma === guess) };
+}
+
+// Decode an integratePassage result and score it against the original:
+// { decoded, tokens, words, integrated, exact, lemma, accuracy, lemmaAccuracy, errors }
+// where tokens line up with integration.segments.
+// accuracy counts integrated words read back exactly; lemmaAccuracy also
+// accepts the base form ("teachers" -> "teacher").
+export function roundTrip(integration, decoder) {
+    // Integrated words become hanzi tokens, one per original word
+    const decoded = decoder.decodeTokens(integration.segments.map(segment => ({
+        type: segment.status === 'integrated' ? 'hanzi' : segment.type,
+        text: segment.output,
+        offset: segment.offset
+    })));
+    const lookup = word => decoder.lookup(word);
+
+    let integrated = 0;
+    let exact = 0;
+    let lemma = 0;
+    const errors = [];
+
+    integration.segments.forEach((segment, index) => {
+        if (segment.status !== 'integrated') return;
+        const token = decoded.tokens[index];
+
+        integrated++;
+        const match = matchesOriginal(segment.text, token.english, lookup);
+        if (match.exact) exact++;
+        if (match.lemma) lemma++;
+        if (!match.exact) {
+            errors.push({
+                index,
+                original: segment.text,
+                hanzi: segment.output,
+                decoded: token.english,
+                lemma: match.lemma,
+                candidates: token.candidates.map(candidate => candidate.english)
+            });
+        }
+    });
+
+    const ratio = count => (integrated > 0 ? Math.round((count / integrated) * 1000) / 1000 : 1);
+    return {
+        decoded: decoded.text,
+        tokens: decoded.tokens,
+        words: integration.stats.words,
+        integrated,
+        exact,
+        lemma,
+        accuracy: ratio(exact),
+        lemmaAccuracy: ratio(lemma),
+        errors
+    };
+}
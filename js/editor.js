@@ -0,0 +1,234 @@
+// Lexicon editor - local changes layered over the shipped lexicon, with
+// validation, undo/redo, a diff against the base and export
+
+import { toLexiconEntry, lexiconContentHash, LOGIC_TYPES } from './lexicon.js';
+import { validateEntry, lexiconCounts } from './lexicon_validator.js';
+
+// Display-model fields the editor can change (notes are carried over)
+export const EDITABLE_FIELDS = [
+    'english', 'chinese', 'pinyin', 'pos', 'category', 'priority',
+    'logic', 'meaning_en', 'meaning_zh', 'example'
+];
+
+// Display entry from form fields. Priority stays a number even when it is
+// not a valid one, so validation can report it.
+function normalizeEntry(fields, id) {
+    const text = value => String(value ?? '').trim();
+    return {
+        id,
+        english: text(fields.english),
+        chinese: text(fields.chinese),
+        pinyin: text(fields.pinyin),
+        pos: text(fields.pos),
+        category: text(fields.category),
+        priority: Number(fields.priority),
+        logic: text(fields.logic),
+        meaning_en: text(fields.meaning_en),
+        meaning_zh: text(fields.meaning_zh),
+        example: text(fields.example),
+        notes: text(fields.notes)
+    };
+}
+
+// Fields that differ between two display entries
+function changedFields(before, after) {
+    return EDITABLE_FIELDS.filter(field => (before[field] ?? '') !== (after[field] ?? ''));
+}
+
+// Editor over display entries (as from parseLexicon). changes restores a
+// saved overlay: [{ id, entry }] where entry is null for a deleted entry.
+// create/update/remove return { ok, issues, entry }; nothing changes when
+// the entry has validation errors (warnings are allowed).
+export class LexiconEditor {
+    constructor(baseEntries = [], { logicTypes = LOGIC_TYPES, changes = [] } = {}) {
+        this.base = new Map(baseEntries.map(entry => [entry.id, entry]));
+        this.logicTypes = logicTypes;
+        this.overlay = new Map();
+        this.undoStack = [];
+        this.redoStack = [];
+
+        for (const { id, entry } of changes) this.setOverlay(id, entry);
+    }
+
+    // Current entry for an id, or null
+    get(id) {
+        if (this.overlay.has(id)) return this.overlay.get(id);
+        return this.base.get(id) || null;
+    }
+
+    // All current entries: base order with edits applied, then added entries
+    entries() {
+        const entries = [];
+        for (const id of this.base.keys()) {
+            const current = this.get(id);
+            if (current) entries.push(current);
+        }
+        for (const [id, entry] of this.overlay) {
+            if (!this.base.has(id) && entry) entries.push(entry);
+        }
+        return entries;
+    }
+
+    // Number of changed, added and removed entries
+    get size() {
+        return this.overlay.size;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Id for a new entry
+    nextId() {
+        return Math.max(0, ...this.base.keys(), ...this.overlay.keys()) + 1;
+    }
+
+    // Validation issues for a display entry: the single-entry checks plus
+    // duplicates of the same english, hanzi and part of speech
+    validate(entry) {
+        const issues = validateEntry(toLexiconEntry(entry), { logicTypes: this.logicTypes });
+        const english = entry.english.toLowerCase();
+        const duplicate = this.entries().find(other => other.id !== entry.id &&
+            other.english.toLowerCase() === english &&
+            other.chinese === entry.chinese &&
+            other.pos === entry.pos);
+
+        if (duplicate) {
+            issues.push({
+                severity: 'error',
+                code: 'duplicate-english',
+                message: `Same mapping as entry ${duplicate.id}`,
+                id: entry.id,
+                english: entry.english,
+                field: 'english'
+            });
+        }
+        return issues;
+    }
+
+    // Add an entry from form fields
+    create(fields) {
+        return this.commit(normalizeEntry(fields, this.nextId()));
+    }
+
+    // Change fields of an entry
+    update(id, fields) {
+        const current = this.get(id);
+        if (!current) return this.missing(id);
+        return this.commit(normalizeEntry({ ...current, ...fields }, id));
+    }
+
+    // Delete an entry
+    remove(id) {
+        const current = this.get(id);
+        if (!current) return this.missing(id);
+        this.record(id, null);
+        return { ok: true, issues: [], entry: current };
+    }
+
+    // Undo the last change; returns the id it touched, or null
+    undo() {
+        return this.step(this.undoStack, this.redoStack);
+    }
+
+    // Redo the last undone change; returns the id it touched, or null
+    redo() {
+        return this.step(this.redoStack, this.undoStack);
+    }
+
+    // Drop every local change and the history
+    reset() {
+        const ids = [...this.overlay.keys()];
+        this.overlay.clear();
+        this.undoStack = [];
+        this.redoStack = [];
+        return ids;
+    }
+
+    // Saved form of the overlay: [{ id, entry }] (entry null when deleted);
+    // state(id) is the same for a single id (undefined when unchanged)
+    changes() {
+        return [...this.overlay].map(([id, entry]) => ({ id, entry }));
+    }
+
+    state(id) {
+        return this.overlay.has(id) ? this.overlay.get(id) : undefined;
+    }
+
+    // Changes against the base, by id:
+    // [{ id, type: 'added' | 'changed' | 'removed', before, after, fields }]
+    diff() {
+        return this.changes()
+            .map(({ id, entry }) => {
+                const before = this.base.get(id) || null;
+                const type = !before ? 'added' : entry ? 'changed' : 'removed';
+                const fields = type === 'changed' ? changedFields(before, entry) : EDITABLE_FIELDS;
+                return { id, type, before, after: entry, fields };
+            })
+            .sort((a, b) => a.id - b.id);
+    }
+
+    // lexicon.json document for the current entries, keeping the metadata
+    // envelope with its counts, distributions and content hash recomputed
+    exportDocument(metadata = {}) {
+        const lexicon = this.entries().map(toLexiconEntry);
+        return {
+            metadata: {
+                ...metadata,
+                ...lexiconCounts(lexicon),
+                content_hash: lexiconContentHash(lexicon),
+                updated: new Date().toISOString()
+            },
+            lexicon
+        };
+    }
+
+    // Validate and record an edited or new entry
+    commit(entry) {
+        const issues = this.validate(entry);
+        if (issues.some(issue => issue.severity === 'error')) {
+            return { ok: false, issues, entry };
+        }
+        this.record(entry.id, entry);
+        return { ok: true, issues, entry };
+    }
+
+    // Apply a change and make it undoable
+    record(id, entry) {
+        this.undoStack.push({ id, state: this.state(id) });
+        this.redoStack = [];
+        this.setOverlay(id, entry);
+    }
+
+    step(from, to) {
+        const change = from.pop();
+        if (!change) return null;
+        to.push({ id: change.id, state: this.state(change.id) });
+        this.setOverlay(change.id, change.state);
+        return change.id;
+    }
+
+    // Set the overlay for an id; undefined, or an entry equal to the base
+    // entry, clears it. Deleting an added entry removes it altogether.
+    setOverlay(id, entry) {
+        const base = this.base.get(id);
+        const unchanged = entry === undefined ||
+            (entry === null && !base) ||
+            (entry && base && changedFields(base, entry).length === 0);
+
+        if (unchanged) this.overlay.delete(id);
+        else this.overlay.set(id, entry);
+    }
+
+    missing(id) {
+        return {
+            ok: false,
+            issues: [{ severity: 'error', code: 'missing-entry', message: `No entry with id ${id}`, id, english: null, field: null }],
+            entry: null
+        };
+    }
+}
@@ -0,0 +1,225 @@
+// Analysis engine - runs the analyzer in a Web Worker so word lists and
+// passages do not block the page. The page and the worker exchange
+// messages with a request id:
+//
+//   page → worker  { id, type: 'init', data }            build the analyzer
+//                  { id, type: 'overrides', overrides }  set user overrides
+//                  { id, type: 'analyze', word }         one result
+//                  { id, type: 'rank', word, limit }     ranked candidates
+//                  { id, type: 'passage', text }         integrated passage
+//                  { id, type: 'batch', words, candidates }  batch rows
+//                  { id, type: 'cancel', job }           stop a running batch
+//   worker → page  { id, type: 'progress', done, total } during a batch
+//                  { id, type: 'result', value }
+//                  { id, type: 'error', message, cancelled }
+//
+// Without Worker support the same handler runs on the page; batches still
+// yield between chunks so progress shows and cancel works.
+
+import { Analyzer } from './analyzer.js';
+import { MorphemeInventory } from './morphemes.js';
+import { buildPinyinTable } from './pinyin.js';
+import { ConfidenceModel } from './scoring.js';
+import { integratePassage } from './passage.js';
+import { analyzeBatch } from './batch.js';
+import { LexiconIndex } from './lexicon_index.js';
+
+// Worker script, resolved next to this module
+export const ENGINE_WORKER_URL = new URL('./engine_worker.js', import.meta.url);
+
+// Analyzer from the plain data sent with init (see Engine.init)
+function buildAnalyzer({ entries, morphemes, pinyinSupplement = {}, scoring = {}, overrides = [], index = null }) {
+    const analyzer = new Analyzer({
+        entries,
+        index: LexiconIndex.restore(index, entries).index,
+        morphemes: new MorphemeInventory(morphemes ? morphemes.morphemes : [], morphemes ? morphemes.metadata : {}),
+        pinyinTable: buildPinyinTable(entries, pinyinSupplement),
+        scoring: new ConfidenceModel(scoring.weights, scoring.metadata)
+    });
+    analyzer.setOverrides(overrides);
+    return analyzer;
+}
+
+// Worker side: a function handling one request message, posting replies
+// with post(message)
+export function createEngineHandler(post) {
+    let analyzer = null;
+    const jobs = new Map();
+
+    const ready = () => {
+        if (!analyzer) throw new Error('The analysis engine has no lexicon yet');
+        return analyzer;
+    };
+
+    const handlers = {
+        init({ data }) {
+            analyzer = buildAnalyzer(data);
+            return { entries: analyzer.entries.length };
+        },
+        overrides({ overrides }) {
+            ready().setOverrides(overrides);
+            return overrides.length;
+        },
+        analyze({ word }) {
+            return ready().analyze(word);
+        },
+        rank({ word, limit }) {
+            return ready().rank(word, { limit });
+        },
+        passage({ text }) {
+            const current = ready();
+            return integratePassage(text, word => current.resolve(word));
+        },
+        async batch({ id, words, candidates }) {
+            const controller = new AbortController();
+            jobs.set(id, controller);
+            try {
+                return await analyzeBatch(words, ready(), {
+                    candidates,
+                    signal: controller.signal,
+                    onProgress: (done, total) => post({ id, type: 'progress', done, total })
+                });
+            } finally {
+                jobs.delete(id);
+            }
+        },
+        cancel({ job }) {
+            const controller = jobs.get(job);
+            if (controller) controller.abort();
+            return Boolean(controller);
+        }
+    };
+
+    return async function handle(message) {
+        try {
+            const handler = handlers[message.type];
+            if (!handler) throw new Error(`Unknown engine request "${message.type}"`);
+            post({ id: message.id, type: 'result', value: await handler(message) });
+        } catch (error) {
+            post({ id: message.id, type: 'error', message: error.message, cancelled: error.name === 'AbortError' });
+        }
+    };
+}
+
+// Error for a failed request; cancelled is true when the job was stopped
+// with cancel()
+function engineError(message, cancelled = false) {
+    return Object.assign(new Error(message), { cancelled });
+}
+
+// Page side: promise-based requests to a worker, or to a handler on the
+// page when worker is null
+export class Engine {
+    constructor(worker = null) {
+        this.worker = worker;
+        this.nextId = 1;
+        this.pending = new Map();
+
+        if (worker) {
+            worker.onmessage = event => this.receive(event.data);
+            worker.onerror = event => this.fail(engineError(event.message || 'The analysis worker failed to start'));
+            this.send = message => worker.postMessage(message);
+        } else {
+            // Replies are delivered asynchronously, as from a worker
+            const handle = createEngineHandler(message => queueMicrotask(() => this.receive(message)));
+            this.send = message => handle(message);
+        }
+    }
+
+    // Engine in a module worker, or on the page when workers are unavailable
+    static create(url = ENGINE_WORKER_URL) {
+        if (typeof Worker === 'undefined') return new Engine();
+        try {
+            return new Engine(new Worker(url, { type: 'module' }));
+        } catch (error) {
+            console.error('Analysis worker unavailable, analyzing on the page:', error);
+            return new Engine();
+        }
+    }
+
+    // True when the analyzer runs off the page's thread
+    get threaded() {
+        return this.worker !== null;
+    }
+
+    // Send a request; the promise resolves with the result value and has
+    // the request id as .id (for cancel)
+    request(type, fields = {}, { onProgress } = {}) {
+        const id = this.nextId++;
+        const promise = new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+        });
+        promise.id = id;
+        this.send({ id, type, ...fields });
+        return promise;
+    }
+
+    receive(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        if (message.type === 'progress') {
+            if (request.onProgress) request.onProgress(message.done, message.total);
+            return;
+        }
+        this.pending.delete(message.id);
+        if (message.type === 'result') {
+            request.resolve(message.value);
+        } else {
+            request.reject(engineError(message.message, message.cancelled));
+        }
+    }
+
+    // Reject every waiting request (the worker died)
+    fail(error) {
+        for (const request of this.pending.values()) request.reject(error);
+        this.pending.clear();
+    }
+
+    // Build the analyzer from display entries, a MorphemeInventory, the
+    // pinyin supplement, a ConfidenceModel, overrides ([{ word, hanzi }]) and
+    // a LexiconIndex over the entries (built in the engine when missing)
+    init({ entries, morphemes, pinyinSupplement = {}, scoring, overrides = [], index = null }) {
+        return this.request('init', {
+            data: {
+                entries,
+                morphemes: morphemes ? { morphemes: morphemes.morphemes, metadata: morphemes.metadata } : null,
+                pinyinSupplement,
+                scoring: scoring ? { weights: scoring.weights, metadata: scoring.metadata } : {},
+                overrides,
+                index: index ? index.toJSON() : null
+            }
+        });
+    }
+
+    setOverrides(overrides) {
+        return this.request('overrides', { overrides });
+    }
+
+    analyze(word) {
+        return this.request('analyze', { word });
+    }
+
+    rank(word, { limit } = {}) {
+        return this.request('rank', { word, limit });
+    }
+
+    passage(text) {
+        return this.request('passage', { text });
+    }
+
+    // Batch rows for [{ line, word }]; onProgress(done, total) as they come
+    batch(words, { candidates, onProgress } = {}) {
+        return this.request('batch', { words, candidates }, { onProgress });
+    }
+
+    // Stop a running batch; its promise rejects with cancelled set
+    cancel(job) {
+        return this.request('cancel', { job: typeof job === 'object' ? job.id : job });
+    }
+
+    terminate() {
+        if (this.worker) this.worker.terminate();
+        this.fail(engineError('The analysis engine was stopped'));
+    }
+}
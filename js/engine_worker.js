@@ -0,0 +1,7 @@
+// Analysis engine worker - answers the requests described in engine.js
+
+import { createEngineHandler } from './engine.js';
+
+const handle = createEngineHandler(message => self.postMessage(message));
+
+self.onmessage = event => handle(event.data);
@@ -0,0 +1,195 @@
+// Evaluation - runs the analyzer over a gold-standard set and reports
+// accuracy, precision/recall by match type and confidence calibration
+
+// Default locations of the gold set and the latest evaluation output
+export const GOLD_STANDARD_URL = 'data/gold_standard.json';
+export const EVALUATION_URL = 'data/evaluation.json';
+
+// Kinds of match a gold item can call for, in cascade order
+export const MATCH_TYPES = ['direct', 'lemma', 'inflection', 'affix', 'similar', 'compound'];
+
+// Match type of an analyzer result ('none' when nothing matched). Irregular
+// forms (went -> go) count as lemma, suffix rules as inflection.
+export function resultMatchType(result) {
+    if (!result.found) return 'none';
+    const { matchType, lemmaRule } = result.analysis;
+    switch (matchType) {
+        case 'lemma': return String(lemmaRule || '').startsWith('irregular') ? 'lemma' : 'inflection';
+        case 'fuzzy': return 'similar';
+        case 'classical_analysis':
+        case 'compound_analysis': return 'compound';
+        default: return matchType || 'none';
+    }
+}
+
+// Parse a gold_standard.json document into { metadata, items }
+export function parseGoldSet(data) {
+    if (!data || Array.isArray(data) || !Array.isArray(data.items)) {
+        throw new Error('Not a gold standard document: expected { metadata, items: [] }');
+    }
+
+    const items = data.items
+        .filter(item => item && item.word && item.hanzi)
+        .map(item => ({
+            word: String(item.word).toLowerCase().trim(),
+            hanzi: item.hanzi,
+            acceptable: item.acceptable || [],
+            matchType: MATCH_TYPES.includes(item.matchType) ? item.matchType : '',
+            notes: item.notes || ''
+        }));
+
+    return { metadata: data.metadata || {}, items };
+}
+
+const ratio = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : null);
+
+// Confidence calibration over answered items: equal-width bins with the
+// mean confidence and the observed accuracy of each, plus the expected
+// calibration error (mean |confidence - accuracy| weighted by bin size)
+export function calibrationTable(outcomes, bins = 5) {
+    const rows = Array.from({ length: bins }, (_, index) => ({
+        from: index / bins,
+        to: (index + 1) / bins,
+        count: 0,
+        correct: 0,
+        confidenceSum: 0
+    }));
+
+    for (const { confidence, correct } of outcomes) {
+        const index = Math.min(bins - 1, Math.floor(confidence * bins));
+        rows[index].count++;
+        rows[index].confidenceSum += confidence;
+        if (correct) rows[index].correct++;
+    }
+
+    let error = 0;
+    const table = rows.map(({ from, to, count, correct, confidenceSum }) => {
+        const meanConfidence = count > 0 ? confidenceSum / count : null;
+        const accuracy = ratio(correct, count);
+        if (count > 0) error += (count / outcomes.length) * Math.abs(meanConfidence - correct / count);
+        return {
+            range: `${from.toFixed(1)}-${to.toFixed(1)}`,
+            count,
+            meanConfidence: meanConfidence === null ? null : Math.round(meanConfidence * 1000) / 1000,
+            accuracy
+        };
+    });
+
+    return { bins: table, expectedError: outcomes.length > 0 ? Math.round(error * 1000) / 1000 : null };
+}
+
+const isExpected = (item, chinese) => chinese === item.hanzi || item.acceptable.includes(chinese);
+
+// Training samples for the confidence model, one per gold item in order:
+// { evidence, entry, correct } for an answered item, null otherwise
+export function goldSamples(analyzer, items) {
+    return items.map(item => {
+        const result = analyzer.analyze(item.word);
+        if (!result.found) return null;
+        return { evidence: result.analysis.evidence, entry: result.entry, correct: isExpected(item, result.chinese) };
+    });
+}
+
+// Fold of the item at a position in a k-fold split (positions taken in
+// turn, so the split is the same on every run)
+export function foldOf(position, folds) {
+    return position % folds;
+}
+
+// Samples outside one fold (nulls dropped), to fit a model tested on it
+export function trainingSamples(samples, fold, folds) {
+    return samples.filter((sample, position) => sample && foldOf(position, folds) !== fold);
+}
+
+// Run the analyzer over gold items and build the report:
+// { summary, byMatchType, calibration, crossValidation, items }.
+// candidateRank is where the expected hanzi sits among the ranked candidates
+// (null when absent), and summary.candidateRecall the share of items with it
+// anywhere in them.
+//
+// With fit (samples -> confidence model) the weights are cross-validated:
+// the items are split into folds and each fold is scored by a model fitted
+// on the other folds, so confidence, calibration and candidate ranks are
+// out-of-sample. Without it the analyzer's own model scores every item.
+export function evaluate(analyzer, items, { bins = 5, candidates = 5, fit = null, folds = 5 } = {}) {
+    if (fit && folds > 1 && items.length >= folds) {
+        const scoring = analyzer.scoring;
+        const samples = goldSamples(analyzer, items);
+        const results = new Array(items.length);
+        try {
+            for (let fold = 0; fold < folds; fold++) {
+                analyzer.setScoring(fit(trainingSamples(samples, fold, folds)));
+                items.forEach((item, position) => {
+                    if (foldOf(position, folds) === fold) results[position] = evaluateItem(analyzer, item, candidates);
+                });
+            }
+        } finally {
+            analyzer.setScoring(scoring);
+        }
+        return report(results, bins, { folds });
+    }
+
+    return report(items.map(item => evaluateItem(analyzer, item, candidates)), bins, null);
+}
+
+function evaluateItem(analyzer, item, candidates) {
+    const result = analyzer.analyze(item.word);
+    const predicted = resultMatchType(result);
+    const chinese = result.found ? result.chinese : '';
+    const ranked = analyzer.rank(item.word, { limit: candidates });
+    const hit = ranked.find(candidate => isExpected(item, candidate.chinese));
+    return {
+        word: item.word,
+        expected: item.hanzi,
+        actual: chinese,
+        expectedType: item.matchType,
+        predictedType: predicted,
+        confidence: result.analysis.confidence,
+        answered: result.found,
+        correct: Boolean(chinese) && isExpected(item, chinese),
+        candidateRank: hit ? hit.rank : null
+    };
+}
+
+function report(results, bins, crossValidation) {
+    const byMatchType = MATCH_TYPES.map(type => {
+        const predicted = results.filter(r => r.predictedType === type);
+        const gold = results.filter(r => r.expectedType === type);
+        return {
+            matchType: type,
+            predicted: predicted.length,
+            precision: ratio(predicted.filter(r => r.correct).length, predicted.length),
+            gold: gold.length,
+            recall: ratio(gold.filter(r => r.correct).length, gold.length),
+            sameType: gold.filter(r => r.predictedType === type).length
+        };
+    });
+
+    const answered = results.filter(r => r.answered);
+    const correct = results.filter(r => r.correct).length;
+
+    return {
+        summary: {
+            items: results.length,
+            answered: answered.length,
+            correct,
+            accuracy: ratio(correct, results.length),
+            precision: ratio(correct, answered.length),
+            coverage: ratio(answered.length, results.length),
+            candidateRecall: ratio(results.filter(r => r.candidateRank !== null).length, results.length)
+        },
+        byMatchType,
+        calibration: calibrationTable(answered, bins),
+        crossValidation,
+        items: results
+    };
+}
+
+// Fetch the latest evaluation output written by tools/evaluate.js
+export async function loadEvaluation(url = EVALUATION_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+    }
+    return response.json();
+}
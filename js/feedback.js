@@ -0,0 +1,63 @@
+// User feedback - votes and suggested hanzi on mapping results, export for
+// maintainers, and accepted suggestions as analyzer overrides
+
+import { formatDelimited } from './csv.js';
+
+// Columns of the CSV export, in order
+export const FEEDBACK_COLUMNS = [
+    'id', 'query', 'english', 'hanzi', 'pinyin', 'vote', 'suggestion',
+    'accepted', 'strategy', 'matchType', 'confidence', 'createdAt'
+];
+
+// A suggestion must be one or more hanzi
+const HANZI_PATTERN = /^\p{Script=Han}+$/u;
+
+// Check a suggested hanzi string; returns an error message or ''
+export function checkSuggestion(text) {
+    const value = String(text || '').trim();
+    if (!value) return 'Enter the hanzi you would use';
+    if (!HANZI_PATTERN.test(value)) return `"${value}" is not a hanzi string`;
+    return '';
+}
+
+// Feedback record for an analyzer result. vote is 'up' or 'down'; a
+// suggestion always counts as a down vote.
+export function createFeedback(result, { vote = 'down', suggestion = '', id = Date.now() } = {}) {
+    const suggested = String(suggestion || '').trim();
+    return {
+        id,
+        query: result.input,
+        english: result.english,
+        hanzi: result.found ? result.chinese : '',
+        pinyin: result.found ? result.pinyin : '',
+        vote: suggested ? 'down' : vote,
+        suggestion: suggested,
+        accepted: false,
+        strategy: result.strategy,
+        matchType: result.analysis.matchType,
+        confidence: result.analysis.confidence,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// Overrides for the analyzer from accepted suggestions: [{ word, hanzi }],
+// oldest first so the latest correction of a word wins
+export function feedbackOverrides(records) {
+    return records
+        .filter(record => record.accepted && record.suggestion)
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+        .map(record => ({ word: record.query, hanzi: record.suggestion }));
+}
+
+// Records as CSV text with a header row
+export function feedbackToCsv(records) {
+    return formatDelimited(records, FEEDBACK_COLUMNS);
+}
+
+// Records from an exported feedback JSON document (an array of records)
+export function parseFeedback(data) {
+    if (!Array.isArray(data)) {
+        throw new Error('Not a feedback export: expected an array of records');
+    }
+    return data.filter(record => record && record.query);
+}
@@ -0,0 +1,296 @@
+// Fuzzy matching - edit distance, keyboard typo model, phonetic keys and
+// a bigram index for ranked "did you mean" suggestions
+
+import { LexiconIndex, letterBigrams } from './lexicon_index.js';
+
+// QWERTY layout used by the typo model
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+// Map each key to its physical neighbours
+const KEY_NEIGHBOURS = {};
+KEYBOARD_ROWS.forEach((row, r) => {
+    Array.from(row).forEach((key, c) => {
+        const neighbours = new Set();
+        for (let dr = -1; dr <= 1; dr++) {
+            const other = KEYBOARD_ROWS[r + dr];
+            if (!other) continue;
+            for (let dc = -1; dc <= 1; dc++) {
+                const neighbour = other[c + dc];
+                if (neighbour && neighbour !== key) neighbours.add(neighbour);
+            }
+        }
+        KEY_NEIGHBOURS[key] = neighbours;
+    });
+});
+
+// Check whether two keys are adjacent on the keyboard
+export function isAdjacentKey(a, b) {
+    return Boolean(KEY_NEIGHBOURS[a] && KEY_NEIGHBOURS[a].has(b));
+}
+
+// True Damerau-Levenshtein distance (unrestricted transpositions)
+export function damerauLevenshtein(a, b) {
+    const s = Array.from(a);
+    const t = Array.from(b);
+    const maxDistance = s.length + t.length;
+    const lastRow = new Map();
+
+    // d has an extra leading row/column holding maxDistance
+    const d = [];
+    for (let i = 0; i <= s.length + 1; i++) {
+        d.push(new Array(t.length + 2).fill(0));
+    }
+    d[0][0] = maxDistance;
+    for (let i = 0; i <= s.length; i++) {
+        d[i + 1][0] = maxDistance;
+        d[i + 1][1] = i;
+    }
+    for (let j = 0; j <= t.length; j++) {
+        d[0][j + 1] = maxDistance;
+        d[1][j + 1] = j;
+    }
+
+    for (let i = 1; i <= s.length; i++) {
+        let lastMatchColumn = 0;
+        for (let j = 1; j <= t.length; j++) {
+            const k = lastRow.get(t[j - 1]) || 0;
+            const l = lastMatchColumn;
+            const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+            if (cost === 0) lastMatchColumn = j;
+
+            d[i + 1][j + 1] = Math.min(
+                d[i][j] + cost,
+                d[i + 1][j] + 1,
+                d[i][j + 1] + 1,
+                d[k][l] + (i - k - 1) + 1 + (j - l - 1)
+            );
+        }
+        lastRow.set(s[i - 1], i);
+    }
+
+    return d[s.length + 1][t.length + 1];
+}
+
+// Weighted edit distance for typos: adjacent-key substitutions, doubled
+// letters and transpositions are cheaper than arbitrary edits
+export function typoDistance(a, b) {
+    const s = Array.from(a);
+    const t = Array.from(b);
+    const d = [];
+    for (let i = 0; i <= s.length; i++) {
+        d.push(new Array(t.length + 1).fill(0));
+        d[i][0] = i;
+    }
+    for (let j = 0; j <= t.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= s.length; i++) {
+        for (let j = 1; j <= t.length; j++) {
+            let substitution = 1;
+            if (s[i - 1] === t[j - 1]) substitution = 0;
+            else if (isAdjacentKey(s[i - 1], t[j - 1])) substitution = 0.5;
+
+            // Inserting or dropping a repeated letter ("adress", "occurred")
+            const deletion = (i > 1 && s[i - 1] === s[i - 2]) ? 0.5 : 1;
+            const insertion = (j > 1 && t[j - 1] === t[j - 2]) ? 0.5 : 1;
+
+            d[i][j] = Math.min(
+                d[i - 1][j] + deletion,
+                d[i][j - 1] + insertion,
+                d[i - 1][j - 1] + substitution
+            );
+
+            if (i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 0.5);
+            }
+        }
+    }
+
+    return d[s.length][t.length];
+}
+
+const VOWELS = 'aeiou';
+
+// Metaphone phonetic key ("photography" -> "FTKRF")
+export function phoneticKey(word) {
+    let w = String(word || '').toLowerCase().replace(/[^a-z]/g, '');
+    if (!w) return '';
+
+    // Initial letter exceptions
+    if (/^(kn|gn|pn|ae|wr)/.test(w)) w = w.slice(1);
+    if (w[0] === 'x') w = 's' + w.slice(1);
+    if (w.startsWith('wh')) w = 'w' + w.slice(2);
+
+    const at = i => w[i] || '';
+    const isVowel = c => Boolean(c) && VOWELS.includes(c);
+    let key = '';
+
+    for (let i = 0; i < w.length; i++) {
+        const c = w[i];
+        const prev = at(i - 1);
+        const next = at(i + 1);
+
+        // Skip doubled letters except c
+        if (c === prev && c !== 'c') continue;
+
+        switch (c) {
+            case 'a': case 'e': case 'i': case 'o': case 'u':
+                if (i === 0) key += c.toUpperCase();
+                break;
+            case 'b':
+                if (!(prev === 'm' && i === w.length - 1)) key += 'B';
+                break;
+            case 'c':
+                if (next === 'i' && at(i + 2) === 'a') key += 'X';
+                else if (next === 'h') key += prev === 's' ? 'K' : 'X';
+                else if ('iey'.includes(next) && next) key += prev === 's' ? '' : 'S';
+                else key += 'K';
+                break;
+            case 'd':
+                if (next === 'g' && 'eiy'.includes(at(i + 2)) && at(i + 2)) key += 'J';
+                else key += 'T';
+                break;
+            case 'g':
+                if (next === 'h' && !(i + 2 >= w.length || isVowel(at(i + 2)))) break;
+                if (next === 'n' && (i + 2 === w.length || w.slice(i + 1) === 'ned')) break;
+                if ('iey'.includes(next) && next && prev !== 'g') key += 'J';
+                else key += 'K';
+                break;
+            case 'h':
+                if (isVowel(next) && !'csptg'.includes(prev || 'x')) key += 'H';
+                break;
+            case 'k':
+                if (prev !== 'c') key += 'K';
+                break;
+            case 'p':
+                key += next === 'h' ? 'F' : 'P';
+                break;
+            case 'q':
+                key += 'K';
+                break;
+            case 's':
+                if (next === 'h' || (next === 'i' && 'oa'.includes(at(i + 2)) && at(i + 2))) key += 'X';
+                else key += 'S';
+                break;
+            case 't':
+                if (next === 'i' && 'oa'.includes(at(i + 2)) && at(i + 2)) key += 'X';
+                else if (next === 'h') key += '0';
+                else if (!(next === 'c' && at(i + 2) === 'h')) key += 'T';
+                break;
+            case 'v':
+                key += 'F';
+                break;
+            case 'w':
+            case 'y':
+                if (isVowel(next)) key += c.toUpperCase();
+                break;
+            case 'x':
+                key += 'KS';
+                break;
+            case 'z':
+                key += 'S';
+                break;
+            default:
+                key += c.toUpperCase();
+        }
+    }
+
+    return key;
+}
+
+// Largest typo distance worth suggesting for a word of this length
+function maxDistanceFor(length) {
+    if (length <= 3) return 1;
+    if (length <= 5) return 1.5;
+    if (length <= 8) return 2;
+    return 3;
+}
+
+// Map evidence to a 0-1 score. In a 6-letter word one adjacent-key typo
+// scores about 0.8, one arbitrary edit about 0.67, and two edits about 0.3;
+// a matching phonetic key lifts each of these by roughly 0.15.
+function calibrate(distance, length, phonetic) {
+    const normalized = distance / Math.max(length, 1);
+    const z = 2.2 - 9 * normalized + (phonetic ? 1.0 : 0) - (length <= 3 ? 1.0 : 0);
+    return 1 / (1 + Math.exp(-z));
+}
+
+// Fuzzy matcher over lexicon entries (objects with an english field). The
+// headwords and their bigrams come from a LexiconIndex, built here unless a
+// loaded one is passed.
+export class FuzzyMatcher {
+    constructor(entries, { index = LexiconIndex.build(entries) } = {}) {
+        this.index = index;
+        this.phoneticIndex = new Map();
+
+        for (const word of index.words) {
+            const key = phoneticKey(word);
+            if (!key) continue;
+            if (!this.phoneticIndex.has(key)) this.phoneticIndex.set(key, []);
+            this.phoneticIndex.get(key).push(word);
+        }
+    }
+
+    // Words sharing enough bigrams or the phonetic key with the input
+    candidates(word) {
+        const shared = new Map();
+        for (const gram of letterBigrams(word)) {
+            for (const candidate of this.index.gramWords(gram)) {
+                shared.set(candidate, (shared.get(candidate) || 0) + 1);
+            }
+        }
+
+        const minShared = Math.max(1, Math.floor((word.length + 1) / 3));
+        const result = new Set();
+        for (const [candidate, count] of shared) {
+            if (count >= minShared && Math.abs(candidate.length - word.length) <= 3) {
+                result.add(candidate);
+            }
+        }
+
+        for (const candidate of this.phoneticIndex.get(phoneticKey(word)) || []) {
+            result.add(candidate);
+        }
+
+        result.delete(word);
+        return result;
+    }
+
+    // Ranked suggestions: [{ english, entries, distance, typoDistance, phonetic, score }]
+    suggest(word, { limit = 5, minScore = 0.3 } = {}) {
+        const input = String(word || '').toLowerCase().trim();
+        if (!input) return [];
+
+        const inputKey = phoneticKey(input);
+        const maxDistance = maxDistanceFor(input.length);
+        const suggestions = [];
+
+        for (const candidate of this.candidates(input)) {
+            const phonetic = inputKey.length > 1 && phoneticKey(candidate) === inputKey;
+            const typo = typoDistance(input, candidate);
+            if (typo > maxDistance && !phonetic) continue;
+
+            const score = calibrate(typo, Math.max(input.length, candidate.length), phonetic);
+            if (score < minScore) continue;
+
+            suggestions.push({
+                english: candidate,
+                entries: this.index.lookup(candidate),
+                distance: damerauLevenshtein(input, candidate),
+                typoDistance: typo,
+                phonetic,
+                score
+            });
+        }
+
+        suggestions.sort((a, b) => b.score - a.score || a.english.localeCompare(b.english));
+        return suggestions.slice(0, limit);
+    }
+
+    // Best suggestion when it is confident and clearly ahead of the next one
+    bestMatch(word, { minScore = 0.75, minMargin = 0.1 } = {}) {
+        const [first, second] = this.suggest(word, { limit: 2 });
+        if (!first || first.score < minScore) return null;
+        if (second && first.score - second.score < minMargin) return null;
+        return first;
+    }
+}
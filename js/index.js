@@ -0,0 +1,28 @@
+// Public entry point for the matching engine. Everything exported here is
+// DOM-free and runs in browsers, workers and Node; the Node-only disk
+// loader lives in js/node.js.
+
+export { Analyzer, createResult, serializeResult, UNMAPPED_CHINESE, DEFAULT_STRATEGIES, DEFAULT_CANDIDATE_LIMIT,
+    createOverrideStrategy, OVERRIDE_STRATEGY,
+    directStrategy, inflectionStrategy, derivationStrategy, fuzzyStrategy, compoundStrategy } from './analyzer.js';
+export { parseLexicon, loadLexicon, lexiconContentHash, checkContentHash, LEXICON_COLUMNS, LOGIC_TYPES, POS_LABELS, describeLogic, describePos } from './lexicon.js';
+export { MorphemeInventory, parseMorphemes, loadMorphemes } from './morphemes.js';
+export { validateLexicon, validateEntry, lexiconCounts } from './lexicon_validator.js';
+export { LexiconEditor, EDITABLE_FIELDS } from './editor.js';
+export { Engine, createEngineHandler, ENGINE_WORKER_URL } from './engine.js';
+export { parseWordList, analyzeBatch, batchRow, batchSummary, sortBatchRows, formatBatch, BATCH_COLUMNS, BATCH_FORMATS } from './batch.js';
+export { csvField, formatDelimited, parseDelimited, detectDelimiter } from './csv.js';
+export { parseQuery, compileQuery, categoryMatches, sortEntries, parseSort, formatSort, QUERY_FIELDS, SORTABLE_FIELDS } from './query.js';
+export { createFeedback, checkSuggestion, feedbackOverrides, feedbackToCsv, parseFeedback, FEEDBACK_COLUMNS } from './feedback.js';
+export { Segmenter, describeSegmentation } from './segmenter.js';
+export { composeSegments, describeTrace } from './composer.js';
+export { lemmatize } from './lemmatizer.js';
+export { FuzzyMatcher } from './fuzzy.js';
+export { buildPinyinTable, toPinyin } from './pinyin.js';
+export { tokenizePassage, integratePassage } from './passage.js';
+export { ReverseIndex, groupByLogicAndPos } from './reverse.js';
+export { LexiconIndex, loadLexiconIndex, lexiconHash, LEXICON_INDEX_URL, INDEX_FORMAT } from './lexicon_index.js';
+export { analyzeCollisions, collisionLoss } from './collisions.js';
+export { Decoder, roundTrip } from './decoder.js';
+export { evaluate, parseGoldSet, resultMatchType, calibrationTable, MATCH_TYPES } from './evaluation.js';
+export { ConfidenceModel, fitWeights, parseScoringModel, FACTORS, DEFAULT_WEIGHTS } from './scoring.js';
@@ -0,0 +1,338 @@
+// Rule-based English lemmatizer - inflectional suffix rules plus irregular forms
+
+import { CLOSED_CLASSES } from './lexicon.js';
+
+// Irregular verb forms: base -> [past, past participle, ...]
+const IRREGULAR_VERBS = {
+    be: ['am', 'is', 'are', 'was', 'were', 'been', 'being'],
+    have: ['has', 'had', 'having'],
+    do: ['does', 'did', 'done', 'doing'],
+    go: ['goes', 'went', 'gone'],
+    make: ['made'],
+    take: ['took', 'taken'],
+    give: ['gave', 'given'],
+    come: ['came'],
+    see: ['saw', 'seen'],
+    know: ['knew', 'known'],
+    get: ['got', 'gotten'],
+    say: ['said'],
+    think: ['thought'],
+    tell: ['told'],
+    find: ['found'],
+    become: ['became'],
+    leave: ['left'],
+    feel: ['felt'],
+    bring: ['brought'],
+    begin: ['began', 'begun'],
+    keep: ['kept'],
+    hold: ['held'],
+    write: ['wrote', 'written'],
+    stand: ['stood'],
+    hear: ['heard'],
+    let: ['let'],
+    mean: ['meant'],
+    set: ['set'],
+    meet: ['met'],
+    run: ['ran'],
+    pay: ['paid'],
+    sit: ['sat'],
+    speak: ['spoke', 'spoken'],
+    lie: ['lay', 'lain', 'lying'],
+    lead: ['led'],
+    read: ['read'],
+    grow: ['grew', 'grown'],
+    lose: ['lost'],
+    fall: ['fell', 'fallen'],
+    send: ['sent'],
+    build: ['built'],
+    understand: ['understood'],
+    draw: ['drew', 'drawn'],
+    break: ['broke', 'broken'],
+    spend: ['spent'],
+    cut: ['cut'],
+    rise: ['rose', 'risen'],
+    drive: ['drove', 'driven'],
+    buy: ['bought'],
+    wear: ['wore', 'worn'],
+    choose: ['chose', 'chosen'],
+    seek: ['sought'],
+    throw: ['threw', 'thrown'],
+    catch: ['caught'],
+    deal: ['dealt'],
+    win: ['won'],
+    forget: ['forgot', 'forgotten'],
+    sell: ['sold'],
+    fight: ['fought'],
+    teach: ['taught'],
+    eat: ['ate', 'eaten'],
+    drink: ['drank', 'drunk'],
+    sing: ['sang', 'sung'],
+    swim: ['swam', 'swum'],
+    fly: ['flew', 'flown'],
+    sleep: ['slept'],
+    wake: ['woke', 'woken'],
+    ride: ['rode', 'ridden'],
+    hide: ['hid', 'hidden'],
+    bite: ['bit', 'bitten'],
+    shake: ['shook', 'shaken'],
+    steal: ['stole', 'stolen'],
+    freeze: ['froze', 'frozen'],
+    forgive: ['forgave', 'forgiven'],
+    blow: ['blew', 'blown'],
+    shine: ['shone'],
+    shoot: ['shot'],
+    feed: ['fed'],
+    hang: ['hung'],
+    dig: ['dug'],
+    stick: ['stuck'],
+    strike: ['struck'],
+    swing: ['swung'],
+    ring: ['rang', 'rung'],
+    sink: ['sank', 'sunk'],
+    bear: ['bore', 'born', 'borne'],
+    tear: ['tore', 'torn'],
+    beat: ['beaten'],
+    bend: ['bent'],
+    bind: ['bound'],
+    bleed: ['bled'],
+    breed: ['bred'],
+    burn: ['burnt'],
+    dream: ['dreamt'],
+    flee: ['fled'],
+    forbid: ['forbade', 'forbidden'],
+    light: ['lit'],
+    lend: ['lent'],
+    slide: ['slid'],
+    spin: ['spun'],
+    spread: ['spread'],
+    weep: ['wept'],
+    hit: ['hit'],
+    hurt: ['hurt'],
+    put: ['put'],
+    quit: ['quit'],
+    shut: ['shut'],
+    cost: ['cost'],
+    die: ['dying'],
+    tie: ['tying']
+};
+
+// Irregular plurals: singular -> plural forms
+const IRREGULAR_PLURALS = {
+    child: ['children'],
+    man: ['men'],
+    woman: ['women'],
+    person: ['people'],
+    foot: ['feet'],
+    tooth: ['teeth'],
+    goose: ['geese'],
+    mouse: ['mice'],
+    louse: ['lice'],
+    ox: ['oxen'],
+    die: ['dice'],
+    leaf: ['leaves'],
+    life: ['lives'],
+    knife: ['knives'],
+    wife: ['wives'],
+    wolf: ['wolves'],
+    half: ['halves'],
+    self: ['selves'],
+    shelf: ['shelves'],
+    thief: ['thieves'],
+    loaf: ['loaves'],
+    calf: ['calves'],
+    crisis: ['crises'],
+    analysis: ['analyses'],
+    thesis: ['theses'],
+    basis: ['bases'],
+    hypothesis: ['hypotheses'],
+    phenomenon: ['phenomena'],
+    criterion: ['criteria'],
+    datum: ['data'],
+    medium: ['media'],
+    bacterium: ['bacteria'],
+    curriculum: ['curricula'],
+    cactus: ['cacti'],
+    fungus: ['fungi'],
+    nucleus: ['nuclei'],
+    stimulus: ['stimuli'],
+    index: ['indices'],
+    appendix: ['appendices'],
+    matrix: ['matrices']
+};
+
+// Irregular comparatives and superlatives: base -> forms
+const IRREGULAR_COMPARISONS = {
+    good: ['better', 'best'],
+    well: ['better', 'best'],
+    bad: ['worse', 'worst'],
+    ill: ['worse', 'worst'],
+    far: ['farther', 'farthest', 'further', 'furthest'],
+    many: ['more', 'most'],
+    much: ['more', 'most'],
+    little: ['less', 'least']
+};
+
+// Build inflected form -> [{ lemma, pos, rule }]
+const IRREGULAR_FORMS = new Map();
+function addIrregular(table, pos, rule) {
+    for (const [lemma, forms] of Object.entries(table)) {
+        for (const form of forms) {
+            if (!IRREGULAR_FORMS.has(form)) IRREGULAR_FORMS.set(form, []);
+            IRREGULAR_FORMS.get(form).push({ lemma, pos, rule });
+        }
+    }
+}
+addIrregular(IRREGULAR_VERBS, ['v'], 'irregular-verb');
+addIrregular(IRREGULAR_PLURALS, ['n'], 'irregular-plural');
+addIrregular(IRREGULAR_COMPARISONS, ['adj', 'adv'], 'irregular-comparison');
+
+// Words that look inflected but are not
+const NON_INFLECTED = new Set([
+    'this', 'his', 'is', 'was', 'has', 'us', 'thus', 'yes', 'bus', 'gas', 'plus', 'lens',
+    'news', 'always', 'perhaps', 'series', 'species', 'means', 'physics', 'mathematics',
+    'economics', 'politics', 'ethics', 'bed', 'red', 'need', 'seed', 'speed', 'feed',
+    'hundred', 'sacred', 'naked', 'wicked', 'thing', 'king', 'ring', 'sing', 'bring',
+    'spring', 'string', 'morning', 'evening', 'ceiling', 'during', 'nothing', 'something',
+    'everything', 'anything', 'water', 'after', 'other', 'over', 'under', 'never', 'ever',
+    'paper', 'power', 'number', 'matter', 'letter', 'center', 'winter', 'summer', 'mother',
+    'father', 'brother', 'sister', 'river', 'fever', 'butter', 'flower', 'tower', 'honest',
+    'forest', 'interest', 'guest', 'chest', 'west', 'test', 'rest', 'best', 'nest', 'harvest'
+]);
+
+const VOWELS = new Set(['a', 'e', 'i', 'o', 'u']);
+
+// Check for a doubled final consonant ("stopp" -> true)
+function endsWithDoubledConsonant(stem) {
+    const last = stem[stem.length - 1];
+    return stem.length > 2 && last === stem[stem.length - 2] && !VOWELS.has(last) && !'lsz'.includes(last);
+}
+
+// Suffix rules: each returns candidate stems for a word ending in the suffix.
+// Order matters only for readability; every applicable rule contributes.
+const SUFFIX_RULES = [
+    { suffix: 'ies', inflection: 'plural', pos: ['n', 'v'], apply: stem => [[stem + 'y', 'ies->y']] },
+    { suffix: 'ves', inflection: 'plural', pos: ['n'], apply: stem => [[stem + 'f', 'ves->f'], [stem + 'fe', 'ves->fe']] },
+    {
+        suffix: 'es', inflection: 'plural', pos: ['n', 'v'],
+        apply: stem => (/(s|x|z|ch|sh|o)$/.test(stem) ? [[stem, 'es']] : [])
+    },
+    {
+        suffix: 's', inflection: 'plural', pos: ['n', 'v'],
+        apply: stem => (/(s|u|i)$/.test(stem) ? [] : [[stem, 's']])
+    },
+    { suffix: 'ied', inflection: 'past', pos: ['v'], apply: stem => [[stem + 'y', 'ied->y']] },
+    {
+        suffix: 'ed', inflection: 'past', pos: ['v', 'adj'],
+        apply: stem => {
+            const stems = [[stem, 'ed'], [stem + 'e', 'ed->e-restoration']];
+            if (endsWithDoubledConsonant(stem)) stems.unshift([stem.slice(0, -1), 'ed->consonant-doubling']);
+            return stems;
+        }
+    },
+    { suffix: 'ying', inflection: 'progressive', pos: ['v'], apply: stem => [[stem + 'y', 'ing'], [stem + 'ie', 'ying->ie']] },
+    {
+        suffix: 'ing', inflection: 'progressive', pos: ['v', 'n', 'adj'],
+        apply: stem => {
+            const stems = [[stem, 'ing'], [stem + 'e', 'ing->e-restoration']];
+            if (endsWithDoubledConsonant(stem)) stems.unshift([stem.slice(0, -1), 'ing->consonant-doubling']);
+            return stems;
+        }
+    },
+    { suffix: 'ier', inflection: 'comparative', pos: ['adj', 'adv'], apply: stem => [[stem + 'y', 'ier->y']] },
+    { suffix: 'iest', inflection: 'superlative', pos: ['adj', 'adv'], apply: stem => [[stem + 'y', 'iest->y']] },
+    {
+        suffix: 'er', inflection: 'comparative', pos: ['adj', 'adv'],
+        apply: stem => {
+            const stems = [[stem, 'er'], [stem + 'e', 'er->e-restoration']];
+            if (endsWithDoubledConsonant(stem)) stems.unshift([stem.slice(0, -1), 'er->consonant-doubling']);
+            return stems;
+        }
+    },
+    {
+        suffix: 'est', inflection: 'superlative', pos: ['adj', 'adv'],
+        apply: stem => {
+            const stems = [[stem, 'est'], [stem + 'e', 'est->e-restoration']];
+            if (endsWithDoubledConsonant(stem)) stems.unshift([stem.slice(0, -1), 'est->consonant-doubling']);
+            return stems;
+        }
+    }
+];
+
+// -s on a verb marks the third person singular, not a plural
+const THIRD_PERSON = 'third-person singular';
+
+// Inflection implied by an irregular form
+function irregularInflection(rule, form, lemma) {
+    if (rule === 'irregular-plural') return 'plural';
+    if (rule === 'irregular-comparison') {
+        return /st$/.test(form) ? 'superlative' : 'comparative';
+    }
+    if (form.endsWith('ing')) return 'progressive';
+    if (lemma === 'be' || lemma === 'have' || lemma === 'do') return 'inflected';
+    if (form === `${lemma}s` || form === `${lemma}es`) return THIRD_PERSON;
+    return 'past';
+}
+
+// Generate every candidate lemma for a word, without consulting a lexicon.
+// Each candidate: { lemma, rule, inflection, pos }
+export function lemmaCandidates(word) {
+    const lower = String(word || '').toLowerCase().trim();
+    const candidates = [];
+
+    for (const { lemma, pos, rule } of IRREGULAR_FORMS.get(lower) || []) {
+        candidates.push({ lemma, rule, inflection: irregularInflection(rule, lower, lemma), pos });
+    }
+
+    if (!NON_INFLECTED.has(lower)) {
+        for (const rule of SUFFIX_RULES) {
+            if (!lower.endsWith(rule.suffix)) continue;
+            const stem = lower.slice(0, -rule.suffix.length);
+            if (stem.length < 2) continue;
+
+            for (const [lemma, ruleName] of rule.apply(stem)) {
+                if (lemma.length < 2) continue;
+                candidates.push({ lemma, rule: ruleName, inflection: rule.inflection, pos: rule.pos });
+            }
+        }
+    }
+
+    // Keep the first (most specific) rule for each lemma
+    const seen = new Set();
+    return candidates.filter(candidate => {
+        if (seen.has(candidate.lemma) || candidate.lemma === lower) return false;
+        seen.add(candidate.lemma);
+        return true;
+    });
+}
+
+// Lemmatize against a lexicon. lookup(lemma) returns the matching entries
+// (objects with a pos field) or an empty array. Candidates whose entry has
+// the part of speech the rule expects rank first; function words the rule
+// does not expect are dropped ("whater" is not the comparative of the
+// pronoun "what"). The lexicon gives one part of speech per entry, so other
+// mismatches ("hoped" from the noun "hope") are kept.
+// Returns [{ lemma, rule, inflection, pos, entry, posMatch }], best first.
+export function lemmatize(word, lookup) {
+    const results = [];
+
+    lemmaCandidates(word).forEach((candidate, order) => {
+        const entries = (lookup(candidate.lemma) || [])
+            .filter(entry => candidate.pos.includes(entry.pos) || !CLOSED_CLASSES.includes(entry.pos));
+        if (entries.length === 0) return;
+
+        const matching = entries.find(entry => candidate.pos.includes(entry.pos));
+        const inflection = candidate.inflection === 'plural' && matching && matching.pos === 'v'
+            ? THIRD_PERSON
+            : candidate.inflection;
+        results.push({
+            ...candidate,
+            inflection,
+            entry: matching || entries[0],
+            posMatch: Boolean(matching),
+            order
+        });
+    });
+
+    results.sort((a, b) => (b.posMatch - a.posMatch) || (a.order - b.order));
+    return results.map(({ order, ...result }) => result);
+}
@@ -0,0 +1,180 @@
+// Lexicon data model - loads the versioned lexicon.json envelope
+
+// Schema version this code understands (major version must match)
+export const LEXICON_SCHEMA_VERSION = '2.0';
+
+// Default location of the lexicon file
+export const LEXICON_URL = 'data/lexicon.json';
+
+// Logic type labels, used when metadata.logic_types is missing
+export const LOGIC_TYPES = {
+    T0: 'Grammatical (keep English)',
+    T1: 'Direct semantic match',
+    T2: 'Near semantic match',
+    T3: 'Core meaning selection',
+    T4: 'Cultural loanword',
+    T5: 'System compound'
+};
+
+// Part-of-speech labels for the pos codes used in the lexicon
+export const POS_LABELS = {
+    n: 'noun',
+    v: 'verb',
+    adj: 'adjective',
+    adv: 'adverb',
+    pron: 'pronoun',
+    prep: 'preposition',
+    conj: 'conjunction',
+    aux: 'auxiliary',
+    art: 'article',
+    det: 'determiner'
+};
+
+// Function-word parts of speech; these take no inflectional or
+// derivational suffix ("whater" is not built on "what")
+export const CLOSED_CLASSES = ['pron', 'prep', 'conj', 'aux', 'art', 'det'];
+
+// Get the major part of a version string ("2.0" -> 2)
+function majorVersion(version) {
+    return parseInt(String(version).split('.')[0], 10);
+}
+
+// Throw if the lexicon version is missing or incompatible
+export function checkLexiconVersion(version) {
+    if (version === undefined || version === null || version === '') {
+        throw new Error('Lexicon metadata.version is missing');
+    }
+    if (majorVersion(version) !== majorVersion(LEXICON_SCHEMA_VERSION)) {
+        throw new Error(
+            `Unsupported lexicon version ${version} (expected ${LEXICON_SCHEMA_VERSION})`
+        );
+    }
+}
+
+// Map a raw lexicon.json entry to the display model used by the app
+export function toDisplayEntry(raw) {
+    return {
+        id: raw.id,
+        english: String(raw.english || '').trim(),
+        chinese: raw.hanzi || '',
+        pinyin: raw.pinyin || '',
+        pos: raw.pos || '',
+        category: raw.category || '',
+        priority: Number(raw.priority) || 5,
+        logic: raw.logic || '',
+        meaning_en: raw.meaning_en || '',
+        meaning_zh: raw.meaning_zh || '',
+        example: raw.example || '',
+        notes: raw.notes || ''
+    };
+}
+
+// Columns of the source CSV (metadata.source_file), in order; also the keys
+// of a lexicon.json entry
+export const LEXICON_COLUMNS = [
+    'id', 'english', 'hanzi', 'pinyin', 'pos', 'category', 'priority',
+    'logic', 'meaning_en', 'meaning_zh', 'example', 'notes'
+];
+
+// Map a display entry back to the lexicon.json entry shape
+export function toLexiconEntry(entry) {
+    return {
+        id: entry.id,
+        english: entry.english,
+        hanzi: entry.chinese,
+        pinyin: entry.pinyin || '',
+        pos: entry.pos || '',
+        category: entry.category || '',
+        priority: entry.priority,
+        logic: entry.logic || '',
+        meaning_en: entry.meaning_en || '',
+        meaning_zh: entry.meaning_zh || '',
+        example: entry.example || '',
+        notes: entry.notes || ''
+    };
+}
+
+// FNV-1a offset basis; pass a previous result as hash to continue it
+const FNV_OFFSET = 0x811c9dc5;
+
+// 32-bit FNV-1a hash of a string (a checksum, not a secure digest)
+export function fnv1a(text, hash = FNV_OFFSET) {
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+// JSON with object keys sorted, so key order does not change a hash
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Content hash of the raw lexicon.json entries (metadata.content_hash), as
+// 8 hex digits; independent of formatting and key order
+export function lexiconContentHash(records) {
+    let hash = fnv1a('');
+    for (const record of records) hash = fnv1a(`${canonicalJson(record)}\n`, hash);
+    return hash.toString(16).padStart(8, '0');
+}
+
+// Throw if metadata.content_hash is present and does not match the entries
+export function checkContentHash(metadata, records) {
+    if (!metadata.content_hash) return;
+    const actual = lexiconContentHash(records);
+    if (actual !== metadata.content_hash) {
+        throw new Error(`Lexicon content hash mismatch: metadata.content_hash is ${metadata.content_hash} ` +
+            `but the entries hash to ${actual} (damaged or edited file)`);
+    }
+}
+
+// Parse a lexicon.json document into { metadata, entries }, checking the
+// envelope, the version and the content hash
+export function parseLexicon(data) {
+    if (!data || Array.isArray(data) || !Array.isArray(data.lexicon)) {
+        throw new Error('Not a lexicon.json document: expected { metadata, lexicon: [] }');
+    }
+
+    const metadata = data.metadata || {};
+    checkLexiconVersion(metadata.version);
+    checkContentHash(metadata, data.lexicon);
+    if (!data.lexicon.some(raw => raw && raw.english)) {
+        throw new Error('The lexicon has no entries');
+    }
+
+    return {
+        metadata: {
+            ...metadata,
+            logic_types: { ...LOGIC_TYPES, ...(metadata.logic_types || {}) }
+        },
+        entries: data.lexicon
+            .filter(raw => raw && raw.english)
+            .map(toDisplayEntry)
+    };
+}
+
+// Fetch and parse the lexicon
+export async function loadLexicon(url = LEXICON_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+    }
+    return parseLexicon(await response.json());
+}
+
+// Human readable label for a logic code ("T3" -> "T3 · Core meaning selection")
+export function describeLogic(logic, logicTypes = LOGIC_TYPES) {
+    if (!logic) return '-';
+    return logicTypes[logic] ? `${logic} · ${logicTypes[logic]}` : logic;
+}
+
+// Human readable label for a pos code
+export function describePos(pos) {
+    if (!pos) return '-';
+    return POS_LABELS[pos] ? `${pos} (${POS_LABELS[pos]})` : pos;
+}
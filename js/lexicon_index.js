@@ -0,0 +1,337 @@
+// Lexicon index - lookup structures over the lexicon, built once and saved
+// as data/lexicon_index.json so the page, the worker and the tools load them
+// instead of rebuilding from lexicon.json:
+//
+//   - a letter trie over English headwords, forwards for prefix walks and
+//     backwards for suffix walks
+//   - hanzi, single character and toneless syllable postings for reverse
+//     lookup
+//   - letter bigrams ("^c", "ca", "t$") for fuzzy search
+//
+// Postings are positions in the entries array the index was built from. A
+// content hash of those entries is saved with the index; loading checks it,
+// so a stale file (or a lexicon with local edits) is never used.
+
+import { splitPinyin, stripTones } from './pinyin.js';
+import { fnv1a } from './lexicon.js';
+
+// Default location of the saved index
+export const LEXICON_INDEX_URL = 'data/lexicon_index.json';
+
+// Version of the saved layout; bump when it changes
+export const INDEX_FORMAT = 1;
+
+// Characters with a meaning in the serialized trie
+const TRIE_SYNTAX = /[*)\\]/;
+
+// 32-bit FNV-1a hash (hex) of the indexed fields of every entry, in order
+export function lexiconHash(entries) {
+    let hash = fnv1a('');
+    for (const entry of entries) {
+        hash = fnv1a(`${entry.english}\t${entry.chinese}\t${entry.pinyin}\n`, hash);
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+// Letter bigrams with word boundary markers ("cat" -> ^c ca at t$)
+export function letterBigrams(word) {
+    const padded = `^${word}$`;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 1; i++) {
+        grams.add(padded.slice(i, i + 2));
+    }
+    return grams;
+}
+
+function reverseWord(word) {
+    return Array.from(word).reverse().join('');
+}
+
+// Letter trie; each node is { children: Map(char -> node), word } where word
+// is the index of the headword ending there, or -1
+class Trie {
+    constructor() {
+        this.root = { children: new Map(), word: -1 };
+    }
+
+    insert(text, word) {
+        let node = this.root;
+        for (const char of text) {
+            if (!node.children.has(char)) node.children.set(char, { children: new Map(), word: -1 });
+            node = node.children.get(char);
+        }
+        node.word = word;
+    }
+
+    // Node reached by following text from the root, or null
+    walk(text) {
+        let node = this.root;
+        for (const char of text) {
+            node = node.children.get(char);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    // Headword indices at and below a node, in character order
+    collect(node, found = []) {
+        if (node.word >= 0) found.push(node.word);
+        const chars = [...node.children.keys()].sort();
+        for (const char of chars) this.collect(node.children.get(char), found);
+        return found;
+    }
+
+    // Headword indices along the path of text (its prefixes in the trie)
+    along(text) {
+        const found = [];
+        let node = this.root;
+        for (const char of text) {
+            node = node.children.get(char);
+            if (!node) break;
+            if (node.word >= 0) found.push(node.word);
+        }
+        return found;
+    }
+
+    // Compact form { shape, order }: shape lists each node's character in
+    // depth-first order, "*" after a character where a headword ends and ")"
+    // closing its children (* ) \ are escaped with \); order holds the
+    // headword indices of the ends in the same order
+    serialize() {
+        let shape = '';
+        const order = [];
+        const visit = node => {
+            for (const char of [...node.children.keys()].sort()) {
+                const child = node.children.get(char);
+                shape += TRIE_SYNTAX.test(char) ? `\\${char}` : char;
+                if (child.word >= 0) {
+                    shape += '*';
+                    order.push(child.word);
+                }
+                visit(child);
+                shape += ')';
+            }
+        };
+        visit(this.root);
+        return { shape, order };
+    }
+
+    static parse({ shape, order }) {
+        const trie = new Trie();
+        const stack = [trie.root];
+        let ends = 0;
+        const chars = Array.from(shape);
+
+        for (let i = 0; i < chars.length; i++) {
+            const top = stack[stack.length - 1];
+            if (chars[i] === ')') {
+                stack.pop();
+            } else if (chars[i] === '*') {
+                top.word = order[ends++];
+            } else {
+                const char = chars[i] === '\\' ? chars[++i] : chars[i];
+                const node = { children: new Map(), word: -1 };
+                top.children.set(char, node);
+                stack.push(node);
+            }
+        }
+        if (stack.length !== 1 || ends !== order.length) {
+            throw new Error('Corrupt lexicon index: trie shape does not match its headwords');
+        }
+        return trie;
+    }
+}
+
+// Map of key -> positions as a plain object, and back
+function mapToObject(map) {
+    return Object.fromEntries(map);
+}
+
+function objectToMap(object = {}) {
+    return new Map(Object.entries(object));
+}
+
+function addPosting(map, key, position) {
+    if (!map.has(key)) map.set(key, []);
+    const list = map.get(key);
+    if (list[list.length - 1] !== position) list.push(position);
+}
+
+export class LexiconIndex {
+    constructor(entries, parts) {
+        this.entries = entries;
+        Object.assign(this, parts);
+        this.wordIds = new Map(this.words.map((word, index) => [word, index]));
+    }
+
+    // Build every structure from display entries
+    static build(entries, { lexiconVersion = '' } = {}) {
+        const postingsByWord = new Map();
+        const hanzi = new Map();
+        const chars = new Map();
+        const syllables = new Map();
+
+        entries.forEach((entry, position) => {
+            const word = String(entry.english || '').toLowerCase();
+            if (word) addPosting(postingsByWord, word, position);
+
+            const chinese = String(entry.chinese || '');
+            if (chinese) {
+                addPosting(hanzi, chinese, position);
+                for (const char of chinese) addPosting(chars, char, position);
+            }
+
+            for (const syllable of splitPinyin(entry.pinyin) || []) {
+                addPosting(syllables, stripTones(syllable), position);
+            }
+        });
+
+        const words = [...postingsByWord.keys()].sort();
+        const forward = new Trie();
+        const backward = new Trie();
+        const grams = new Map();
+        words.forEach((word, index) => {
+            forward.insert(word, index);
+            backward.insert(reverseWord(word), index);
+            for (const gram of letterBigrams(word)) addPosting(grams, gram, index);
+        });
+
+        return new LexiconIndex(entries, {
+            metadata: {
+                lexicon_version: lexiconVersion,
+                entries: entries.length,
+                hash: lexiconHash(entries)
+            },
+            words,
+            postings: words.map(word => postingsByWord.get(word)),
+            forward,
+            backward,
+            hanzi,
+            chars,
+            syllables,
+            grams
+        });
+    }
+
+    // Index from its saved form over the same entries. Throws when the file
+    // has another layout or was built from different entries.
+    static load(data, entries) {
+        if (!data || data.format !== INDEX_FORMAT || !Array.isArray(data.words)) {
+            throw new Error(`Not a lexicon index (format ${INDEX_FORMAT})`);
+        }
+        const hash = lexiconHash(entries);
+        if (!data.metadata || data.metadata.hash !== hash || data.metadata.entries !== entries.length) {
+            throw new Error('Lexicon index is out of date for this lexicon (npm run index)');
+        }
+        return new LexiconIndex(entries, {
+            metadata: data.metadata,
+            words: data.words,
+            postings: data.postings,
+            forward: Trie.parse(data.forward),
+            backward: Trie.parse(data.backward),
+            hanzi: objectToMap(data.hanzi),
+            chars: objectToMap(data.chars),
+            syllables: objectToMap(data.syllables),
+            grams: objectToMap(data.grams)
+        });
+    }
+
+    // Saved index when it matches the entries, else a fresh build;
+    // { index, rebuilt, reason }
+    static restore(data, entries, options = {}) {
+        if (!data) return { index: LexiconIndex.build(entries, options), rebuilt: true, reason: 'no saved index' };
+        try {
+            return { index: LexiconIndex.load(data, entries), rebuilt: false, reason: '' };
+        } catch (error) {
+            return { index: LexiconIndex.build(entries, options), rebuilt: true, reason: error.message };
+        }
+    }
+
+    // Saved form (see load)
+    toJSON() {
+        return {
+            format: INDEX_FORMAT,
+            metadata: this.metadata,
+            words: this.words,
+            postings: this.postings,
+            forward: this.forward.serialize(),
+            backward: this.backward.serialize(),
+            hanzi: mapToObject(this.hanzi),
+            chars: mapToObject(this.chars),
+            syllables: mapToObject(this.syllables),
+            grams: mapToObject(this.grams)
+        };
+    }
+
+    get size() {
+        return this.words.length;
+    }
+
+    has(word) {
+        return this.wordIds.has(String(word || '').toLowerCase());
+    }
+
+    // Entries for one headword (case-insensitive)
+    lookup(word) {
+        const index = this.wordIds.get(String(word || '').toLowerCase());
+        return index === undefined ? [] : this.postings[index].map(position => this.entries[position]);
+    }
+
+    // Headwords starting with prefix, in character order
+    withPrefix(prefix) {
+        const node = this.forward.walk(String(prefix || '').toLowerCase());
+        return node ? this.forward.collect(node).map(index => this.words[index]) : [];
+    }
+
+    // Headwords ending with suffix, grouped by their reversed spelling
+    withSuffix(suffix) {
+        const node = this.backward.walk(reverseWord(String(suffix || '').toLowerCase()));
+        return node ? this.backward.collect(node).map(index => this.words[index]) : [];
+    }
+
+    // Headwords that are prefixes of word (shortest first)
+    prefixesOf(word) {
+        return this.forward.along(String(word || '').toLowerCase()).map(index => this.words[index]);
+    }
+
+    // Headwords that are suffixes of word (shortest first)
+    suffixesOf(word) {
+        return this.backward.along(reverseWord(String(word || '').toLowerCase())).map(index => this.words[index]);
+    }
+
+    // Entries whose hanzi are exactly the query
+    byHanzi(hanzi) {
+        return (this.hanzi.get(hanzi) || []).map(position => this.entries[position]);
+    }
+
+    // Entries whose hanzi contain every character of the query (a superset
+    // of the entries containing the query as a run), in lexicon order
+    withChars(text) {
+        const lists = Array.from(new Set(Array.from(String(text || '')))).map(char => this.chars.get(char) || []);
+        if (lists.length === 0) return [];
+        lists.sort((a, b) => a.length - b.length);
+        const [shortest, ...rest] = lists;
+        const others = rest.map(list => new Set(list));
+        return shortest.filter(position => others.every(set => set.has(position))).map(position => this.entries[position]);
+    }
+
+    // Entries with a syllable whose toneless form is given, in lexicon order
+    withSyllable(syllable) {
+        return (this.syllables.get(stripTones(String(syllable || '').toLowerCase())) || [])
+            .map(position => this.entries[position]);
+    }
+
+    // Headwords containing a letter bigram
+    gramWords(gram) {
+        return (this.grams.get(gram) || []).map(index => this.words[index]);
+    }
+}
+
+// Fetch a saved index (the JSON document; see LexiconIndex.load)
+export async function loadLexiconIndex(url = LEXICON_INDEX_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+    }
+    return response.json();
+}
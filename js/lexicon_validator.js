@@ -0,0 +1,270 @@
+// Lexicon validator - schema and consistency checks for lexicon.json
+
+import { LEXICON_SCHEMA_VERSION, LOGIC_TYPES, POS_LABELS, checkLexiconVersion, checkContentHash } from './lexicon.js';
+import { splitPinyin, checkPinyin } from './pinyin.js';
+
+// Categories used by the lexicon
+export const KNOWN_CATEGORIES = [
+    'Nature/Existence',
+    'People/Society',
+    'Actions/Changes',
+    'Qualities/Degree',
+    'Modern/Abstract',
+    'Relations/Functions',
+    'Body/Health'
+];
+
+// Placeholder hanzi for T0 entries that keep their English form
+export const RETAINED_HANZI = '(保留)';
+
+// Template text left over from the generator script
+const PLACEHOLDER_PATTERNS = {
+    meaning_en: /^meaning of\b/i,
+    meaning_zh: /的释义$/,
+    example: /^Example: (I \S+ it\.|\S+ book)$/,
+    notes: /^Priority \d, Logic T\d$/
+};
+
+// Fields every entry must have
+const REQUIRED_FIELDS = ['id', 'english', 'hanzi', 'pos', 'category', 'priority', 'logic'];
+
+// Reporter that appends issues to a list
+function collectInto(issues) {
+    return (severity, code, message, entry = null, field = null) => {
+        issues.push({
+            severity,
+            code,
+            message,
+            id: entry ? entry.id : null,
+            english: entry ? entry.english : null,
+            field
+        });
+    };
+}
+
+// Validate a parsed lexicon.json document and return a report. options:
+// strict (warnings make it invalid too) and gold (parsed gold-standard
+// items, whose direct items must be headwords)
+export function validateLexicon(data, options = {}) {
+    const issues = [];
+    const report = collectInto(issues);
+
+    if (!data || Array.isArray(data) || !Array.isArray(data.lexicon)) {
+        report('error', 'envelope', 'Expected { metadata, lexicon: [] }');
+        return buildReport(issues, 0, options);
+    }
+
+    const metadata = data.metadata || {};
+    try {
+        checkLexiconVersion(metadata.version);
+    } catch (error) {
+        report('error', 'version', error.message, null, 'metadata.version');
+    }
+    try {
+        checkContentHash(metadata, data.lexicon);
+    } catch (error) {
+        report('error', 'content-hash', error.message, null, 'metadata.content_hash');
+    }
+
+    const logicTypes = metadata.logic_types || LOGIC_TYPES;
+    const seenIds = new Map();
+    const seenEnglish = new Map();
+
+    data.lexicon.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            report('error', 'entry', `Entry #${index} is not an object`);
+            return;
+        }
+
+        checkEntry(entry, report, logicTypes);
+
+        // Duplicate ids
+        if (seenIds.has(entry.id)) {
+            report('error', 'duplicate-id', `id ${entry.id} also used at entry #${seenIds.get(entry.id)}`, entry, 'id');
+        } else {
+            seenIds.set(entry.id, index);
+        }
+
+        // Duplicate english keys
+        const key = String(entry.english || '').toLowerCase().trim();
+        if (key) {
+            if (!seenEnglish.has(key)) seenEnglish.set(key, []);
+            seenEnglish.get(key).push(entry);
+        }
+    });
+
+    // Same english twice: identical mapping is an error, a different sense a warning
+    for (const [english, entries] of seenEnglish) {
+        if (entries.length < 2) continue;
+        const ids = entries.map(e => e.id).join(', ');
+        const senses = new Set(entries.map(e => `${e.hanzi}|${e.pos}`));
+
+        if (senses.size < entries.length) {
+            report('error', 'duplicate-english', `"${english}" has duplicate identical entries (ids ${ids})`, entries[1], 'english');
+        } else {
+            report('warning', 'multiple-senses', `"${english}" has ${entries.length} senses (ids ${ids})`, entries[1], 'english');
+        }
+    }
+
+    checkMetadata(metadata, data.lexicon.filter(Boolean), report);
+    if (options.gold) checkGoldHeadwords(options.gold, seenEnglish, report);
+
+    return buildReport(issues, data.lexicon.length, options, metadata.version);
+}
+
+// Checks that need only the entry itself: required fields, codes, the T0
+// placeholder, pinyin and template text
+function checkEntry(entry, report, logicTypes) {
+    for (const field of REQUIRED_FIELDS) {
+        if (entry[field] === undefined || entry[field] === null || entry[field] === '') {
+            report('error', 'missing-field', `Missing ${field}`, entry, field);
+        }
+    }
+
+    // Codes
+    if (entry.logic && !logicTypes[entry.logic]) {
+        report('error', 'unknown-logic', `Unknown logic code "${entry.logic}"`, entry, 'logic');
+    }
+    if (entry.category && !KNOWN_CATEGORIES.includes(entry.category)) {
+        report('error', 'unknown-category', `Unknown category "${entry.category}"`, entry, 'category');
+    }
+    if (entry.pos && !POS_LABELS[entry.pos]) {
+        report('warning', 'unknown-pos', `Unknown part of speech "${entry.pos}"`, entry, 'pos');
+    }
+    if (entry.priority !== undefined && !(Number.isInteger(entry.priority) && entry.priority >= 1 && entry.priority <= 5)) {
+        report('error', 'bad-priority', `Priority must be an integer 1-5, got ${entry.priority}`, entry, 'priority');
+    }
+
+    // T0 entries keep English and carry no pinyin
+    const retained = entry.logic === 'T0';
+    if (retained !== (entry.hanzi === RETAINED_HANZI)) {
+        report('error', 'retained-mismatch',
+            `Logic ${entry.logic} does not match hanzi "${entry.hanzi}"`, entry, 'hanzi');
+    }
+
+    if (!retained && entry.hanzi) {
+        checkEntryPinyin(entry, report);
+    }
+
+    // Template placeholders
+    for (const [field, pattern] of Object.entries(PLACEHOLDER_PATTERNS)) {
+        if (entry[field] && pattern.test(entry[field])) {
+            report('warning', 'placeholder', `Template text in ${field}: "${entry[field]}"`, entry, field);
+        }
+    }
+}
+
+// Issues for one raw lexicon.json entry on its own (e.g. from an editor);
+// duplicates and metadata need the whole document (validateLexicon)
+export function validateEntry(entry, { logicTypes = LOGIC_TYPES } = {}) {
+    const issues = [];
+    checkEntry(entry, collectInto(issues), logicTypes);
+    return issues;
+}
+
+// Check pinyin presence, form and syllable count against the hanzi
+function checkEntryPinyin(entry, report) {
+    if (!entry.pinyin) {
+        report('error', 'missing-pinyin', `No pinyin for "${entry.hanzi}"`, entry, 'pinyin');
+        return;
+    }
+
+    const problems = checkPinyin(entry.pinyin);
+    if (problems.length > 0) {
+        problems.forEach(problem => report('error', 'bad-pinyin', problem, entry, 'pinyin'));
+        return;
+    }
+
+    const syllables = splitPinyin(entry.pinyin);
+    const characters = Array.from(entry.hanzi).length;
+    if (syllables.length !== characters) {
+        report('warning', 'pinyin-length',
+            `"${entry.pinyin}" has ${syllables.length} syllables for ${characters} characters "${entry.hanzi}"`,
+            entry, 'pinyin');
+    }
+}
+
+// Count values of a field across entries
+function countBy(entries, field) {
+    const counts = {};
+    entries.forEach(entry => {
+        const value = String(entry[field]);
+        counts[value] = (counts[value] || 0) + 1;
+    });
+    return counts;
+}
+
+// The metadata counts for a list of raw entries:
+// { total_words, unique_hanzi, categories_distribution, priorities_distribution }
+export function lexiconCounts(entries) {
+    return {
+        total_words: entries.length,
+        unique_hanzi: new Set(entries.map(e => e.hanzi).filter(h => h && h !== RETAINED_HANZI)).size,
+        categories_distribution: countBy(entries, 'category'),
+        priorities_distribution: countBy(entries, 'priority')
+    };
+}
+
+// Compare metadata claims against the actual data
+function checkMetadata(metadata, entries, report) {
+    const mismatch = (field, claimed, actual) => {
+        report('error', 'metadata-mismatch',
+            `metadata.${field} is ${claimed} but the data has ${actual}`, null, `metadata.${field}`);
+    };
+
+    const counts = lexiconCounts(entries);
+
+    if (metadata.total_words !== undefined && metadata.total_words !== counts.total_words) {
+        mismatch('total_words', metadata.total_words, counts.total_words);
+    }
+
+    if (metadata.unique_hanzi !== undefined && metadata.unique_hanzi !== counts.unique_hanzi) {
+        mismatch('unique_hanzi', metadata.unique_hanzi, counts.unique_hanzi);
+    }
+
+    const distributions = {
+        categories_distribution: counts.categories_distribution,
+        priorities_distribution: counts.priorities_distribution
+    };
+
+    for (const [field, actual] of Object.entries(distributions)) {
+        const claimed = metadata[field];
+        if (!claimed) continue;
+
+        const keys = new Set([...Object.keys(claimed), ...Object.keys(actual)]);
+        for (const key of keys) {
+            if ((claimed[key] || 0) !== (actual[key] || 0)) {
+                mismatch(`${field}["${key}"]`, claimed[key] || 0, actual[key] || 0);
+            }
+        }
+    }
+}
+
+// Gold items tagged direct must be headwords, or the direct figures in the
+// evaluation measure missing entries instead of lookup
+function checkGoldHeadwords(items, headwords, report) {
+    items
+        .filter(item => item.matchType === 'direct' && !headwords.has(String(item.word).toLowerCase().trim()))
+        .forEach(item => {
+            report('error', 'gold-not-headword', `Gold item "${item.word}" is tagged direct but is not a headword`, null, 'gold');
+        });
+}
+
+// Summarize issues into the final report
+function buildReport(issues, entryCount, options, version = null) {
+    const byCode = {};
+    issues.forEach(issue => {
+        byCode[issue.code] = (byCode[issue.code] || 0) + 1;
+    });
+
+    const errors = issues.filter(i => i.severity === 'error').length;
+    const warnings = issues.length - errors;
+
+    return {
+        schemaVersion: LEXICON_SCHEMA_VERSION,
+        lexiconVersion: version,
+        valid: options.strict ? issues.length === 0 : errors === 0,
+        summary: { entries: entryCount, errors, warnings, byCode },
+        issues
+    };
+}
@@ -0,0 +1,149 @@
+// Morpheme inventory - classical roots and English affixes with origin,
+// English and hanzi glosses, allomorphs and position constraints
+
+// Default location of the morpheme inventory
+export const MORPHEMES_URL = 'data/morphemes.json';
+
+export const MORPHEME_TYPES = ['root', 'prefix', 'suffix'];
+
+// Where a morpheme may appear in a word
+export const POSITIONS = ['initial', 'medial', 'final', 'any'];
+
+// Origins treated as classical (Latin and Greek)
+export const CLASSICAL_ORIGINS = ['Latin', 'Greek'];
+
+// Suffix categories that inflect rather than derive (left to the lemmatizer)
+const INFLECTIONAL_CATEGORIES = ['plural', 'progressive', 'perfective'];
+
+// Check whether a surface form spanning [start, end) of a word of the given
+// length satisfies a position constraint
+export function allowedAt(position, start, end, length) {
+    switch (position) {
+        case 'initial': return start === 0;
+        case 'final': return end === length;
+        case 'medial': return start > 0 && end < length;
+        default: return true;
+    }
+}
+
+// Check whether a suffix inflects rather than derives
+export function isInflectional(morpheme) {
+    return INFLECTIONAL_CATEGORIES.includes(morpheme.category);
+}
+
+// Normalize one raw inventory record
+function toMorpheme(raw) {
+    return {
+        form: String(raw.form || '').toLowerCase(),
+        type: raw.type,
+        origin: raw.origin || '',
+        gloss: raw.gloss || '',
+        hanzi: raw.hanzi || '',
+        reading: raw.reading || '',
+        allomorphs: (raw.allomorphs || []).map(form => String(form).toLowerCase()),
+        position: POSITIONS.includes(raw.position) ? raw.position : 'any',
+        category: raw.category || '',
+        pos: raw.pos || '',
+        attachesTo: raw.attachesTo || [],
+        verbHead: raw.verbHead === true
+    };
+}
+
+// Lookup structure over the inventory. Every surface form (the citation
+// form and its allomorphs) points back at its morpheme; homographs such as
+// "ped" (child / foot) keep file order.
+export class MorphemeInventory {
+    constructor(morphemes = [], metadata = {}) {
+        this.metadata = metadata;
+        this.morphemes = morphemes;
+        this.surfaces = { root: new Map(), prefix: new Map(), suffix: new Map() };
+        this.sorted = {};
+
+        for (const morpheme of morphemes) {
+            const index = this.surfaces[morpheme.type];
+            if (!index) continue;
+            for (const surface of new Set([morpheme.form, ...morpheme.allomorphs])) {
+                if (!surface) continue;
+                if (!index.has(surface)) index.set(surface, []);
+                index.get(surface).push(morpheme);
+            }
+        }
+
+        // Surface forms longest first, so matching prefers "graphy" over "graph"
+        for (const type of MORPHEME_TYPES) {
+            this.sorted[type] = [...this.surfaces[type].keys()]
+                .sort((a, b) => b.length - a.length || a.localeCompare(b));
+        }
+    }
+
+    get size() {
+        return this.morphemes.length;
+    }
+
+    // Morphemes with this surface form, optionally limited to one type
+    lookup(surface, type) {
+        const form = String(surface || '').toLowerCase();
+        const types = type ? [type] : MORPHEME_TYPES;
+        return types.flatMap(t => this.surfaces[t].get(form) || []);
+    }
+
+    // First morpheme for a surface form, or null
+    find(surface, type) {
+        return this.lookup(surface, type)[0] || null;
+    }
+
+    // Hanzi gloss for a surface form ('' when unknown)
+    hanziFor(surface, type) {
+        const morpheme = this.find(surface, type);
+        return morpheme ? morpheme.hanzi : '';
+    }
+
+    // English gloss for a surface form ('' when unknown)
+    glossFor(surface, type) {
+        const morpheme = this.find(surface, type);
+        return morpheme ? morpheme.gloss : '';
+    }
+
+    // Surface forms of one type, longest first
+    surfaceForms(type) {
+        return this.sorted[type] || [];
+    }
+
+    // Prefixes the word starts with, longest first: [{ surface, morpheme }]
+    matchPrefixes(word) {
+        const w = String(word || '').toLowerCase();
+        return this.surfaceForms('prefix')
+            .filter(surface => w.startsWith(surface) && w.length > surface.length)
+            .map(surface => ({ surface, morpheme: this.find(surface, 'prefix') }));
+    }
+
+    // Suffixes the word ends with, longest first: [{ surface, morpheme }]
+    matchSuffixes(word) {
+        const w = String(word || '').toLowerCase();
+        return this.surfaceForms('suffix')
+            .filter(surface => w.endsWith(surface) && w.length > surface.length)
+            .map(surface => ({ surface, morpheme: this.find(surface, 'suffix') }));
+    }
+}
+
+// Parse a morphemes.json document into a MorphemeInventory
+export function parseMorphemes(data) {
+    if (!data || Array.isArray(data) || !Array.isArray(data.morphemes)) {
+        throw new Error('Not a morphemes.json document: expected { metadata, morphemes: [] }');
+    }
+
+    const morphemes = data.morphemes
+        .filter(raw => raw && raw.form && MORPHEME_TYPES.includes(raw.type))
+        .map(toMorpheme);
+
+    return new MorphemeInventory(morphemes, data.metadata || {});
+}
+
+// Fetch and parse the morpheme inventory
+export async function loadMorphemes(url = MORPHEMES_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+    }
+    return parseMorphemes(await response.json());
+}
@@ -0,0 +1,80 @@
+// Node loader - builds an Analyzer from the data files on disk, for the
+// command-line tools and other headless use. Browser code loads the same
+// files with fetch (see loadLexicon and loadMorphemes).
+
+import { access, readFile } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseLexicon } from './lexicon.js';
+import { parseMorphemes } from './morphemes.js';
+import { buildPinyinTable } from './pinyin.js';
+import { Analyzer } from './analyzer.js';
+import { ConfidenceModel, parseScoringModel } from './scoring.js';
+import { LexiconIndex } from './lexicon_index.js';
+
+// The repository's data directory
+export const DATA_DIR = fileURLToPath(new URL('../data/', import.meta.url));
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+// Fitted confidence model, or the default weights when the file is missing
+async function readScoringModel(file) {
+    try {
+        await access(file);
+    } catch {
+        return new ConfidenceModel();
+    }
+    return parseScoringModel(await readJson(file));
+}
+
+// Saved lexicon index for entries; built instead (with a warning when the
+// file is stale) when the file is missing or does not match
+async function readLexiconIndex(file, entries, metadata) {
+    const options = { lexiconVersion: metadata.version };
+    try {
+        await access(file);
+    } catch {
+        return LexiconIndex.build(entries, options);
+    }
+    const { index, rebuilt, reason } = LexiconIndex.restore(await readJson(file), entries, options);
+    if (rebuilt) console.warn(`${file}: ${reason}; rebuilt in memory`);
+    return index;
+}
+
+// Read and parse the lexicon, morpheme inventory, pinyin supplement,
+// scoring model and lexicon index. Paths default to the files in dataDir.
+export async function loadData({
+    dataDir = DATA_DIR,
+    lexicon = join(dataDir, 'lexicon.json'),
+    morphemes = join(dataDir, 'morphemes.json'),
+    pinyinSupplement = join(dataDir, 'pinyin_supplement.json'),
+    scoringModel = join(dataDir, 'scoring_model.json'),
+    lexiconIndex = join(dataDir, 'lexicon_index.json')
+} = {}) {
+    const { metadata, entries } = parseLexicon(await readJson(lexicon));
+    const inventory = parseMorphemes(await readJson(morphemes));
+    const pinyinTable = buildPinyinTable(entries, await readJson(pinyinSupplement));
+    const scoring = await readScoringModel(scoringModel);
+    const index = await readLexiconIndex(lexiconIndex, entries, metadata);
+    return { metadata, entries, morphemes: inventory, pinyinTable, scoring, index };
+}
+
+// Analyzer over the data files on disk; options as for loadData plus
+// strategies and scoring (a ConfidenceModel overriding the file's)
+export async function loadAnalyzer({ strategies, scoring, ...paths } = {}) {
+    const data = await loadData(paths);
+    return new Analyzer({
+        entries: data.entries,
+        morphemes: data.morphemes,
+        pinyinTable: data.pinyinTable,
+        scoring: scoring || data.scoring,
+        index: data.index,
+        ...(strategies ? { strategies } : {})
+    });
+}
@@ -0,0 +1,31 @@
+// Offline support - page side of the service worker (sw.js): registration,
+// connection state and reading data files straight from its caches
+
+export const SERVICE_WORKER_URL = 'sw.js';
+
+// Register the service worker (a module worker: it imports js/lexicon.js);
+// resolves with the registration, or null where service workers are
+// unavailable (file:// pages, older browsers)
+export async function registerServiceWorker(url = SERVICE_WORKER_URL) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+    return navigator.serviceWorker.register(url, { type: 'module' });
+}
+
+// True when a service worker serves this page, so it keeps working offline
+export function isServedOffline() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+        Boolean(navigator.serviceWorker.controller);
+}
+
+// True when the browser knows it has no connection
+export function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+// Cached copy of a data file, from whichever cache holds one, or null when
+// nothing is cached (or the Cache API is unavailable)
+export async function cachedJson(url) {
+    if (typeof caches === 'undefined') return null;
+    const response = await caches.match(url, { ignoreSearch: true });
+    return response ? response.json() : null;
+}
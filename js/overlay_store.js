@@ -0,0 +1,58 @@
+// Lexicon overlay store - keeps the editor's local changes in IndexedDB so
+// they survive reloads. One record per changed entry id: { id, entry,
+// updatedAt } where entry is null for a deleted entry.
+
+// Database holding the overlay
+export const OVERLAY_DB_NAME = 'sinographic-lexicon';
+const OVERLAY_STORE = 'overlay';
+
+// Promise for an IndexedDB request
+function settle(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class OverlayStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Open (and create on first use) the overlay database
+    static async open(name = OVERLAY_DB_NAME, factory = globalThis.indexedDB) {
+        if (!factory) {
+            throw new Error('IndexedDB is not available; lexicon edits will not be saved');
+        }
+        const request = factory.open(name, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OVERLAY_STORE, { keyPath: 'id' });
+        };
+        return new OverlayStore(await settle(request));
+    }
+
+    transaction(mode) {
+        return this.db.transaction(OVERLAY_STORE, mode).objectStore(OVERLAY_STORE);
+    }
+
+    // Saved changes: [{ id, entry }]
+    async load() {
+        const records = await settle(this.transaction('readonly').getAll());
+        return records.map(({ id, entry }) => ({ id, entry }));
+    }
+
+    // Save the overlay state of one id (undefined removes the record)
+    async save(id, entry) {
+        const store = this.transaction('readwrite');
+        if (entry === undefined) {
+            await settle(store.delete(id));
+        } else {
+            await settle(store.put({ id, entry, updatedAt: new Date().toISOString() }));
+        }
+    }
+
+    // Remove every saved change
+    async clear() {
+        await settle(this.transaction('readwrite').clear());
+    }
+}
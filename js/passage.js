@@ -0,0 +1,99 @@
+// Passage tokenizer and integrator for mixed English/hanzi text
+
+// CJK unified ideographs (incl. extension A) and compatibility ideographs
+const HANZI_RANGE = '\\u3400-\\u9fff\\uf900-\\ufaff';
+const HANZI_CHAR = new RegExp(`[${HANZI_RANGE}]`);
+
+// Token patterns, tried in order at each position
+const TOKEN_PATTERNS = [
+    { type: 'space', pattern: /^\s+/ },
+    { type: 'word', pattern: /^[A-Za-z]+(?:['’-][A-Za-z]+)*/ },
+    { type: 'hanzi', pattern: new RegExp(`^[${HANZI_RANGE}]+`) },
+    { type: 'number', pattern: /^\d+(?:[.,]\d+)*/ }
+];
+
+// Split text into word, hanzi, number, space and punctuation tokens.
+// Concatenating every token's text gives back the input unchanged.
+export function tokenizePassage(text) {
+    const tokens = [];
+    let rest = String(text || '');
+    let offset = 0;
+
+    while (rest.length > 0) {
+        let token = null;
+
+        for (const { type, pattern } of TOKEN_PATTERNS) {
+            const match = rest.match(pattern);
+            if (match) {
+                token = { type, text: match[0], offset };
+                break;
+            }
+        }
+
+        // Anything else is a single punctuation/symbol character
+        if (!token) {
+            const char = Array.from(rest)[0];
+            token = { type: 'punct', text: char, offset };
+        }
+
+        tokens.push(token);
+        rest = rest.slice(token.text.length);
+        offset += token.text.length;
+    }
+
+    return tokens;
+}
+
+// Check whether a string contains at least one hanzi
+export function containsHanzi(text) {
+    return HANZI_CHAR.test(text || '');
+}
+
+// Check whether a mapping result should replace the English word with hanzi
+export function isIntegrable(entry) {
+    if (!entry || !entry.chinese) return false;
+    if (entry.logic === 'T0') return false;
+    if (entry.chinese.startsWith('(') || entry.chinese.startsWith('[')) return false;
+    return containsHanzi(entry.chinese);
+}
+
+// Run every word token through resolveWord and build the integrated text.
+// resolveWord(lowercaseWord) returns an entry ({ chinese, logic, analysis }) or null.
+export function integratePassage(text, resolveWord) {
+    const tokens = tokenizePassage(text);
+    const cache = new Map();
+    const stats = { words: 0, integrated: 0, retained: 0, unmapped: 0 };
+
+    const segments = tokens.map(token => {
+        if (token.type !== 'word') {
+            return { ...token, output: token.text, status: 'passthrough' };
+        }
+
+        stats.words++;
+        const key = token.text.toLowerCase();
+        if (!cache.has(key)) {
+            cache.set(key, resolveWord(key));
+        }
+        const entry = cache.get(key);
+
+        if (!entry) {
+            stats.unmapped++;
+            return { ...token, output: token.text, status: 'unmapped', entry: null };
+        }
+
+        if (!isIntegrable(entry)) {
+            stats.retained++;
+            return { ...token, output: token.text, status: 'retained', entry };
+        }
+
+        stats.integrated++;
+        return { ...token, output: entry.chinese, status: 'integrated', entry };
+    });
+
+    return {
+        original: text,
+        text: segments.map(s => s.output).join(''),
+        segments,
+        stats
+    };
+}
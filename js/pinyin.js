@@ -0,0 +1,298 @@
+// Pinyin helpers - tone marks, syllable inventory and syllable splitting
+
+// Tone-marked vowels, indexed by tone 1-4
+const TONE_MARKS = {
+    a: ['ā', 'á', 'ǎ', 'à'],
+    e: ['ē', 'é', 'ě', 'è'],
+    i: ['ī', 'í', 'ǐ', 'ì'],
+    o: ['ō', 'ó', 'ǒ', 'ò'],
+    u: ['ū', 'ú', 'ǔ', 'ù'],
+    ü: ['ǖ', 'ǘ', 'ǚ', 'ǜ']
+};
+
+// Reverse lookup: marked vowel -> { vowel, tone }
+const MARKED_VOWELS = {};
+for (const [vowel, marks] of Object.entries(TONE_MARKS)) {
+    marks.forEach((mark, index) => {
+        MARKED_VOWELS[mark] = { vowel, tone: index + 1 };
+    });
+}
+
+// Every standard Mandarin syllable, toneless (v is written ü)
+const SYLLABLES = new Set(`
+a ai an ang ao
+ba bai ban bang bao bei ben beng bi bian biao bie bin bing bo bu
+ca cai can cang cao ce cen ceng cha chai chan chang chao che chen cheng chi chong chou chu chua chuai chuan chuang chui chun chuo ci cong cou cu cuan cui cun cuo
+da dai dan dang dao de dei den deng di dia dian diao die ding diu dong dou du duan dui dun duo
+e ei en eng er
+fa fan fang fei fen feng fo fou fu
+ga gai gan gang gao ge gei gen geng gong gou gu gua guai guan guang gui gun guo
+ha hai han hang hao he hei hen heng hong hou hu hua huai huan huang hui hun huo
+ji jia jian jiang jiao jie jin jing jiong jiu ju juan jue jun
+ka kai kan kang kao ke kei ken keng kong kou ku kua kuai kuan kuang kui kun kuo
+la lai lan lang lao le lei leng li lia lian liang liao lie lin ling liu lo long lou lu luan lun luo lü lüe
+ma mai man mang mao me mei men meng mi mian miao mie min ming miu mo mou mu
+na nai nan nang nao ne nei nen neng ni nian niang niao nie nin ning niu nong nou nu nuan nuo nü nüe
+o ou
+pa pai pan pang pao pei pen peng pi pian piao pie pin ping po pou pu
+qi qia qian qiang qiao qie qin qing qiong qiu qu quan que qun
+ran rang rao re ren reng ri rong rou ru rua ruan rui run ruo
+sa sai san sang sao se sen seng sha shai shan shang shao she shei shen sheng shi shou shu shua shuai shuan shuang shui shun shuo si song sou su suan sui sun suo
+ta tai tan tang tao te teng ti tian tiao tie ting tong tou tu tuan tui tun tuo
+wa wai wan wang wei wen weng wo wu
+xi xia xian xiang xiao xie xin xing xiong xiu xu xuan xue xun
+ya yan yang yao ye yi yin ying yo yong you yu yuan yue yun
+za zai zan zang zao ze zei zen zeng zha zhai zhan zhang zhao zhe zhei zhen zheng zhi zhong zhou zhu zhua zhuai zhuan zhuang zhui zhun zhuo zi zong zou zu zuan zui zun zuo
+`.trim().split(/\s+/));
+
+// Longest syllable length, used to bound the splitter
+const MAX_SYLLABLE_LENGTH = 6;
+
+// Remove tone marks from a pinyin string ("shāng" -> "shang")
+export function stripTones(pinyin) {
+    return Array.from(String(pinyin || '').toLowerCase())
+        .map(char => (MARKED_VOWELS[char] ? MARKED_VOWELS[char].vowel : char))
+        .join('')
+        .replace(/v/g, 'ü');
+}
+
+// Get the tone (1-4, or 5 for neutral) of a single marked syllable
+export function getTone(syllable) {
+    for (const char of String(syllable || '')) {
+        if (MARKED_VOWELS[char]) return MARKED_VOWELS[char].tone;
+    }
+    return 5;
+}
+
+// Check whether a toneless string is a valid Mandarin syllable
+export function isSyllable(toneless) {
+    return SYLLABLES.has(toneless);
+}
+
+// Split a pinyin word into marked syllables ("shāngchǎng" -> ["shāng", "chǎng"]).
+// Returns null if the string cannot be covered by valid syllables.
+export function splitPinyin(pinyin) {
+    const syllables = [];
+
+    for (const word of String(pinyin || '').trim().split(/[\s'’-]+/).filter(Boolean)) {
+        const split = splitWord(word);
+        if (!split) return null;
+        syllables.push(...split);
+    }
+
+    return syllables;
+}
+
+// Split one space-free pinyin word, preferring the fewest syllables
+function splitWord(word) {
+    const chars = Array.from(word);
+    const toneless = Array.from(stripTones(word));
+    const best = new Array(chars.length + 1).fill(null);
+    best[0] = [];
+
+    for (let end = 1; end <= chars.length; end++) {
+        for (let start = Math.max(0, end - MAX_SYLLABLE_LENGTH); start < end; start++) {
+            if (!best[start]) continue;
+            if (!isSyllable(toneless.slice(start, end).join(''))) continue;
+
+            const candidate = [...best[start], chars.slice(start, end).join('')];
+            if (!best[end] || candidate.length < best[end].length) {
+                best[end] = candidate;
+            }
+        }
+    }
+
+    return best[chars.length];
+}
+
+// Validate a pinyin string; returns a list of problems (empty when valid)
+export function checkPinyin(pinyin) {
+    const problems = [];
+    const syllables = splitPinyin(pinyin);
+
+    if (!syllables) {
+        problems.push(`"${pinyin}" is not made of valid pinyin syllables`);
+        return problems;
+    }
+
+    syllables.forEach(syllable => {
+        const marks = Array.from(syllable).filter(char => MARKED_VOWELS[char]);
+        if (marks.length > 1) {
+            problems.push(`syllable "${syllable}" has more than one tone mark`);
+        }
+    });
+
+    return problems;
+}
+
+// Convert numbered pinyin to tone marks ("zhong1 guo2" -> "zhōng guó")
+export function numberedToMarked(pinyin) {
+    return String(pinyin || '').replace(/([a-zA-ZüÜv:]+)([0-5])/g, (match, syllable, tone) => {
+        return markSyllable(syllable.toLowerCase().replace(/v|u:/g, 'ü'), Number(tone));
+    });
+}
+
+// Put the tone mark on the right vowel of a toneless syllable
+function markSyllable(syllable, tone) {
+    if (tone < 1 || tone > 4) return syllable;
+
+    let index = -1;
+    if (syllable.includes('a')) index = syllable.indexOf('a');
+    else if (syllable.includes('e')) index = syllable.indexOf('e');
+    else if (syllable.includes('ou')) index = syllable.indexOf('o');
+    else {
+        for (let i = syllable.length - 1; i >= 0; i--) {
+            if (TONE_MARKS[syllable[i]]) {
+                index = i;
+                break;
+            }
+        }
+    }
+
+    if (index < 0) return syllable;
+    const vowel = syllable[index];
+    return syllable.slice(0, index) + TONE_MARKS[vowel][tone - 1] + syllable.slice(index + 1);
+}
+
+// Convert tone-marked pinyin to numbered form ("zhōng guó" -> "zhong1 guo2")
+export function markedToNumbered(pinyin, { neutral = '' } = {}) {
+    return String(pinyin || '').split(/(\s+)/).map(word => {
+        if (!word.trim()) return word;
+        const syllables = splitPinyin(word) || [word];
+        return syllables.map(syllable => {
+            const tone = getTone(syllable);
+            return stripTones(syllable).replace(/ü/g, 'v') + (tone === 5 ? neutral : tone);
+        }).join('');
+    }).join('');
+}
+
+// Change the tone of a marked syllable
+function withTone(syllable, tone) {
+    return markSyllable(stripTones(syllable), tone);
+}
+
+// Normalize a reading from the supplement (numbered or marked) to tone marks
+function normalizeReading(reading) {
+    return /[0-5]/.test(reading) ? numberedToMarked(reading) : String(reading).toLowerCase();
+}
+
+// Build per-character and per-word reading tables from lexicon entries
+// (display model: chinese/pinyin/logic) and the supplemental dictionary.
+// Character readings are ordered by how often the lexicon uses them.
+export function buildPinyinTable(entries, supplement = {}) {
+    const counts = new Map();
+    const words = new Map();
+
+    const addReading = (char, reading, weight) => {
+        if (!counts.has(char)) counts.set(char, new Map());
+        const readings = counts.get(char);
+        readings.set(reading, (readings.get(reading) || 0) + weight);
+    };
+
+    for (const entry of entries) {
+        if (!entry.pinyin || entry.logic === 'T0') continue;
+        const chars = Array.from(entry.chinese || '');
+        const syllables = splitPinyin(entry.pinyin);
+        if (!syllables || syllables.length !== chars.length) continue;
+
+        if (chars.length === 1) {
+            addReading(chars[0], syllables[0], 1);
+        } else {
+            words.set(entry.chinese, syllables);
+        }
+    }
+
+    // Supplement readings rank after lexicon ones; its order breaks ties
+    for (const [char, readings] of Object.entries(supplement.characters || {})) {
+        readings.forEach((reading, index) => {
+            addReading(char, normalizeReading(reading), 0.5 - index * 0.01);
+        });
+    }
+
+    for (const [word, reading] of Object.entries(supplement.words || {})) {
+        const syllables = splitPinyin(normalizeReading(reading));
+        if (syllables && syllables.length === Array.from(word).length && !words.has(word)) {
+            words.set(word, syllables);
+        }
+    }
+
+    const chars = new Map();
+    for (const [char, readings] of counts) {
+        chars.set(char, [...readings.entries()].sort((a, b) => b[1] - a[1]).map(([reading]) => reading));
+    }
+
+    return { chars, words };
+}
+
+// Apply 一/不 tone sandhi in place on a list of syllable results
+function applySandhi(syllables) {
+    for (let i = 0; i < syllables.length - 1; i++) {
+        const current = syllables[i];
+        if (current.source === 'word') continue;
+
+        const nextTone = getTone(syllables[i + 1].pinyin);
+        if (current.char === '不' && current.pinyin === 'bù' && nextTone === 4) {
+            current.pinyin = 'bú';
+            current.sandhi = true;
+        } else if (current.char === '一' && current.pinyin === 'yī' && nextTone !== 5) {
+            current.pinyin = withTone('yī', nextTone === 4 ? 2 : 4);
+            current.sandhi = true;
+        }
+    }
+}
+
+// Generate pinyin for a hanzi string, syllable by syllable.
+// Known words take their reading as a unit; single characters use their
+// most common reading and are flagged ambiguous when they have several.
+// fixed gives readings already known by position (a composed suffix 的 is
+// the particle de); no word reading spans a fixed character.
+export function toPinyin(hanzi, table, fixed = []) {
+    const chars = Array.from(hanzi || '');
+    const syllables = [];
+    const maxWordLength = 4;
+
+    let i = 0;
+    while (i < chars.length) {
+        let matched = false;
+
+        for (let length = Math.min(maxWordLength, chars.length - i); length > 1; length--) {
+            if (fixed.slice(i, i + length).some(Boolean)) continue;
+            const word = chars.slice(i, i + length).join('');
+            const reading = table.words.get(word);
+            if (reading) {
+                reading.forEach((pinyin, offset) => {
+                    syllables.push({ char: chars[i + offset], pinyin, readings: [pinyin], ambiguous: false, source: 'word' });
+                });
+                i += length;
+                matched = true;
+                break;
+            }
+        }
+        if (matched) continue;
+
+        const char = chars[i];
+        if (fixed[i]) {
+            syllables.push({ char, pinyin: fixed[i], readings: [fixed[i]], ambiguous: false, source: 'fixed' });
+            i++;
+            continue;
+        }
+        const readings = table.chars.get(char) || [];
+        syllables.push({
+            char,
+            pinyin: readings[0] || '',
+            readings,
+            ambiguous: readings.length > 1,
+            source: readings.length > 0 ? 'char' : 'unknown'
+        });
+        i++;
+    }
+
+    applySandhi(syllables);
+
+    return {
+        text: syllables.map(s => s.pinyin || s.char).join(' '),
+        syllables,
+        ambiguous: syllables.filter(s => s.ambiguous).map(s => ({ char: s.char, readings: s.readings })),
+        unknown: syllables.filter(s => s.source === 'unknown').map(s => s.char)
+    };
+}
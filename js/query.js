@@ -0,0 +1,337 @@
+// Lexicon query language - field filters, regular expressions and boolean
+// operators for the database table, plus sorting
+//
+//   tree                    english, hanzi or pinyin contains "tree"
+//   pos:adj logic:T3        both must hold (space means AND)
+//   priority:<=2            numeric comparison (=, <, <=, >, >=)
+//   hanzi:生 pinyin:sheng   pinyin ignores tones unless the query has them
+//   english:/^un.*able$/    regular expression (case-insensitive unless flags are given;
+//                           g and y are ignored)
+//   pos:n OR pos:v          also |; AND (&) binds tighter; ( ) groups
+//   NOT logic:T0            also -logic:T0
+//   english:="set up"       = is an exact match; quotes allow spaces
+
+import { stripTones, numberedToMarked } from './pinyin.js';
+
+// Queryable fields: how to read them from a display entry and how to compare
+const FIELDS = {
+    english: { get: entry => entry.english, kind: 'text' },
+    hanzi: { get: entry => entry.chinese, kind: 'text' },
+    pinyin: { get: entry => entry.pinyin, kind: 'pinyin' },
+    pos: { get: entry => entry.pos, kind: 'code' },
+    logic: { get: entry => entry.logic, kind: 'code' },
+    category: { get: entry => entry.category, kind: 'category' },
+    priority: { get: entry => entry.priority, kind: 'number' },
+    id: { get: entry => entry.id, kind: 'number' },
+    meaning: { get: entry => `${entry.meaning_en || ''} ${entry.meaning_zh || ''}`, kind: 'text' },
+    example: { get: entry => entry.example, kind: 'text' },
+    notes: { get: entry => entry.notes, kind: 'text' }
+};
+
+// Other names accepted for fields
+const FIELD_ALIASES = { en: 'english', chinese: 'hanzi', zh: 'hanzi', py: 'pinyin', cat: 'category' };
+
+// Fields a bare term searches
+const DEFAULT_FIELDS = ['english', 'hanzi', 'pinyin'];
+
+// Fields the table can sort by
+export const SORTABLE_FIELDS = ['english', 'hanzi', 'pinyin', 'pos', 'logic', 'category', 'priority', 'id', 'meaning'];
+
+export const QUERY_FIELDS = Object.keys(FIELDS);
+
+const COMPARISONS = ['<=', '>=', '<', '>', '='];
+
+// Regular expressions run against every entry on each keystroke, so long
+// patterns and repeated groups that can match the same text more than one
+// way, such as (a+)+ or (.|.)*, which can backtrack for seconds, are refused
+const MAX_REGEX_LENGTH = 100;
+
+// Whether a group repeated with *, + or {n,} contains a quantifier or an
+// alternation, directly or in a nested group
+function hasAmbiguousRepeat(source) {
+    const groups = [];
+    let current = { ambiguous: false };
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            // Skip the class; ] right after [ or [^ is a literal
+            i += source[i + 1] === '^' ? 2 : 1;
+            if (source[i] === ']') i++;
+            while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+        } else if (char === '(') {
+            groups.push(current);
+            current = { ambiguous: false };
+            // The ? of (?: (?= (?<name> and the like is not a quantifier
+            if (source[i + 1] === '?') i++;
+        } else if (char === ')') {
+            const closed = current;
+            current = groups.pop() || { ambiguous: false };
+            if (closed.ambiguous && /[*+{]/.test(source[i + 1])) return true;
+            current.ambiguous ||= closed.ambiguous;
+        } else if (char === '|' || /[*+?{]/.test(char)) {
+            current.ambiguous = true;
+        }
+    }
+    return false;
+}
+
+// g and y make test() stateful (it resumes from lastIndex), so only the
+// flags that change what matches are kept
+const REGEX_FLAGS = /[imsu]/g;
+
+// Compile a /source/flags term; flags default to i
+function compileRegex(source, flags) {
+    if (source.length > MAX_REGEX_LENGTH) {
+        throw new Error(`Regular expression too long (over ${MAX_REGEX_LENGTH} characters)`);
+    }
+    if (hasAmbiguousRepeat(source)) {
+        throw new Error(`Bad regular expression /${source}/: nested quantifiers and repeated alternations are not allowed`);
+    }
+    const kept = flags ? [...new Set(flags.match(REGEX_FLAGS) || [])].join('') : 'i';
+    try {
+        return new RegExp(source, kept);
+    } catch (error) {
+        throw new Error(`Bad regular expression /${source}/: ${error.message}`);
+    }
+}
+
+// Split a query into tokens: parentheses, operators and terms
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    // Quoted string, /regex/flags or a run up to whitespace or a parenthesis
+    const readValue = () => {
+        if (text[i] === '"') {
+            const end = text.indexOf('"', i + 1);
+            if (end < 0) throw new Error('Unclosed quote');
+            const value = text.slice(i + 1, end);
+            i = end + 1;
+            return { value };
+        }
+        if (text[i] === '/') {
+            let end = i + 1;
+            while (end < text.length && text[end] !== '/') end += text[end] === '\\' ? 2 : 1;
+            if (end >= text.length) throw new Error('Unclosed regular expression');
+            const source = text.slice(i + 1, end);
+            const flags = /^[a-z]*/.exec(text.slice(end + 1))[0];
+            i = end + 1 + flags.length;
+            return { value: source, regex: compileRegex(source, flags) };
+        }
+        const match = /^[^\s()]*/.exec(text.slice(i))[0];
+        i += match.length;
+        return { value: match };
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+        } else if (char === '|' || char === '&') {
+            tokens.push({ type: char === '|' ? 'OR' : 'AND' });
+            i++;
+        } else if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+            tokens.push({ type: 'NOT' });
+            i++;
+        } else {
+            const field = /^([a-z_]+):/i.exec(text.slice(i));
+            if (field) {
+                i += field[0].length;
+                const op = COMPARISONS.find(candidate => text.startsWith(candidate, i)) || ':';
+                if (op !== ':') i += op.length;
+                tokens.push({ type: 'term', field: field[1].toLowerCase(), op, ...readValue() });
+            } else {
+                const term = readValue();
+                if (!term.regex && ['AND', 'OR', 'NOT'].includes(term.value)) {
+                    tokens.push({ type: term.value });
+                } else {
+                    tokens.push({ type: 'term', field: null, op: ':', ...term });
+                }
+            }
+        }
+    }
+    return tokens;
+}
+
+// Parse a query into a tree of { type: 'and' | 'or', items },
+// { type: 'not', item } and { type: 'term', field, op, value, regex }.
+// An empty query parses to null. Throws on syntax errors.
+export function parseQuery(text) {
+    const tokens = tokenize(String(text || ''));
+    let position = 0;
+    const peek = () => tokens[position];
+
+    const parseOr = () => {
+        const items = [parseAnd()];
+        while (peek() && peek().type === 'OR') {
+            position++;
+            items.push(parseAnd());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    };
+
+    const parseAnd = () => {
+        const items = [parseNot()];
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') position++;
+            items.push(parseNot());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    };
+
+    const parseNot = () => {
+        if (peek() && peek().type === 'NOT') {
+            position++;
+            return { type: 'not', item: parseNot() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error('Query ends too early');
+        if (token.type === '(') {
+            const inner = parseOr();
+            if (!peek() || peek().type !== ')') throw new Error('Missing )');
+            position++;
+            return inner;
+        }
+        if (token.type !== 'term') throw new Error(`Unexpected ${token.type}`);
+        return checkTerm(token);
+    };
+
+    if (tokens.length === 0) return null;
+    const tree = parseOr();
+    if (position < tokens.length) throw new Error(`Unexpected ${tokens[position].type}`);
+    return tree;
+}
+
+// Resolve the field name and check the comparison suits it
+function checkTerm(token) {
+    const term = { type: 'term', field: null, op: token.op, value: token.value, regex: token.regex || null };
+    if (token.field) {
+        term.field = FIELD_ALIASES[token.field] || token.field;
+        if (!FIELDS[term.field]) {
+            throw new Error(`Unknown field "${token.field}" (fields: ${QUERY_FIELDS.join(', ')})`);
+        }
+        const { kind } = FIELDS[term.field];
+        if (kind === 'number' && !term.regex && !Number.isFinite(Number(term.value))) {
+            throw new Error(`${term.field} needs a number, got "${term.value}"`);
+        }
+        if (kind !== 'number' && term.op !== ':' && term.op !== '=') {
+            throw new Error(`${term.op} only works on numeric fields (priority, id)`);
+        }
+    }
+    if (!term.value && !term.regex) {
+        throw new Error(token.field ? `No value for ${token.field}:` : 'Empty term');
+    }
+    return term;
+}
+
+// Pinyin without spaces or apostrophes, tone-marked or toneless
+function comparablePinyin(pinyin, toned) {
+    const marked = numberedToMarked(String(pinyin || '')).toLowerCase();
+    return (toned ? marked : stripTones(marked)).replace(/[\s']/g, '');
+}
+
+// Check whether a category matches: = is exact, : matches the start of the
+// whole name or of one of its parts ("society" -> People/Society)
+export function categoryMatches(category, value, exact = false) {
+    const name = String(category || '').toLowerCase();
+    const wanted = String(value || '').toLowerCase();
+    if (exact) return name === wanted;
+    return name.startsWith(wanted) || name.split('/').some(part => part.startsWith(wanted));
+}
+
+// Test one field of an entry against a term
+function matchField(entry, field, term) {
+    const { get, kind } = FIELDS[field];
+    const actual = get(entry);
+    if (term.regex) return term.regex.test(String(actual ?? ''));
+
+    const exact = term.op === '=';
+    const value = term.value.toLowerCase();
+    switch (kind) {
+        case 'number': {
+            const number = Number(actual);
+            const wanted = Number(term.value);
+            if (term.op === '<') return number < wanted;
+            if (term.op === '<=') return number <= wanted;
+            if (term.op === '>') return number > wanted;
+            if (term.op === '>=') return number >= wanted;
+            return number === wanted;
+        }
+        case 'code':
+            return String(actual || '').toLowerCase() === value;
+        case 'category':
+            return categoryMatches(actual, value, exact);
+        case 'pinyin': {
+            // Tones count only when the query has them
+            const toned = comparablePinyin(value, true) !== comparablePinyin(value, false);
+            const wanted = comparablePinyin(value, toned);
+            const have = comparablePinyin(actual, toned);
+            return exact ? have === wanted : have.includes(wanted);
+        }
+        default: {
+            const text = String(actual || '').toLowerCase();
+            return exact ? text === value : text.includes(value);
+        }
+    }
+}
+
+function evaluateNode(node, entry) {
+    switch (node.type) {
+        case 'and': return node.items.every(item => evaluateNode(item, entry));
+        case 'or': return node.items.some(item => evaluateNode(item, entry));
+        case 'not': return !evaluateNode(node.item, entry);
+        default:
+            return node.field
+                ? matchField(entry, node.field, node)
+                : DEFAULT_FIELDS.some(field => matchField(entry, field, node));
+    }
+}
+
+// Predicate for a query (every entry matches an empty one). Throws on
+// syntax errors.
+export function compileQuery(text) {
+    const tree = parseQuery(text);
+    return tree ? entry => evaluateNode(tree, entry) : () => true;
+}
+
+// Parse a sort key: "priority" (ascending) or "-priority" (descending);
+// null for an empty or unknown key
+export function parseSort(key) {
+    const text = String(key || '');
+    const field = text.replace(/^-/, '');
+    if (!SORTABLE_FIELDS.includes(field)) return null;
+    return { field, direction: text.startsWith('-') ? 'desc' : 'asc' };
+}
+
+export function formatSort(sort) {
+    return sort ? `${sort.direction === 'desc' ? '-' : ''}${sort.field}` : '';
+}
+
+// Comparator for one field; pinyin sorts toneless first, then by tone
+function compareField(field) {
+    const { get, kind } = FIELDS[field];
+    if (kind === 'number') return (a, b) => get(a) - get(b);
+    if (kind === 'pinyin') {
+        return (a, b) => comparablePinyin(get(a), false).localeCompare(comparablePinyin(get(b), false)) ||
+            String(get(a)).localeCompare(String(get(b)));
+    }
+    const locale = field === 'hanzi' ? 'zh' : 'en';
+    return (a, b) => String(get(a) || '').localeCompare(String(get(b) || ''), locale);
+}
+
+// Sorted copy of entries; ties keep id order
+export function sortEntries(entries, sort) {
+    if (!sort) return [...entries];
+    const compare = compareField(sort.field);
+    const sign = sort.direction === 'desc' ? -1 : 1;
+    return [...entries].sort((a, b) => sign * compare(a, b) || a.id - b.id);
+}
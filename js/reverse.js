@@ -0,0 +1,172 @@
+// Reverse lookup - from hanzi or pinyin back to the English entries that
+// map to them, and the "family" of words built on one character
+
+import { LOGIC_TYPES, POS_LABELS } from './lexicon.js';
+import { containsHanzi } from './passage.js';
+import { splitPinyin, stripTones, numberedToMarked } from './pinyin.js';
+import { LexiconIndex } from './lexicon_index.js';
+
+// Display order for groups; codes not listed sort after these
+const LOGIC_ORDER = Object.keys(LOGIC_TYPES);
+const POS_ORDER = Object.keys(POS_LABELS);
+
+function orderOf(order, key) {
+    const index = order.indexOf(key);
+    return index < 0 ? order.length : index;
+}
+
+// Where a character sits in a word: alone, initial, medial or final
+function charPosition(chars, index) {
+    if (chars.length === 1) return 'alone';
+    if (index === 0) return 'initial';
+    return index === chars.length - 1 ? 'final' : 'medial';
+}
+
+// Check whether a pinyin query carries tones (marks or numbers)
+function hasTones(query) {
+    return stripTones(query) !== query.toLowerCase().replace(/v/g, 'ü');
+}
+
+// Index whose syllables start at a contiguous run equal to the query, or -1
+function findSyllables(syllables, query) {
+    for (let i = 0; i + query.length <= syllables.length; i++) {
+        if (query.every((syllable, j) => syllables[i + j] === syllable)) return i;
+    }
+    return -1;
+}
+
+// Group entries by logic type, then by part of speech:
+// [{ logic, count, groups: [{ pos, entries }] }]
+export function groupByLogicAndPos(entries) {
+    const byLogic = new Map();
+    for (const entry of entries) {
+        const logic = entry.logic || '';
+        if (!byLogic.has(logic)) byLogic.set(logic, new Map());
+        const byPos = byLogic.get(logic);
+        const pos = entry.pos || '';
+        if (!byPos.has(pos)) byPos.set(pos, []);
+        byPos.get(pos).push(entry);
+    }
+
+    return [...byLogic.entries()]
+        .sort(([a], [b]) => orderOf(LOGIC_ORDER, a) - orderOf(LOGIC_ORDER, b) || a.localeCompare(b))
+        .map(([logic, byPos]) => ({
+            logic,
+            count: [...byPos.values()].reduce((sum, list) => sum + list.length, 0),
+            groups: [...byPos.entries()]
+                .sort(([a], [b]) => orderOf(POS_ORDER, a) - orderOf(POS_ORDER, b) || a.localeCompare(b))
+                .map(([pos, list]) => ({ pos, entries: list }))
+        }));
+}
+
+// Reverse index over lexicon entries (display model). T0 entries keep
+// English and have no hanzi to look up. Searches start from the character
+// and syllable postings of a LexiconIndex over the same entries, built here
+// unless a loaded one is passed.
+export class ReverseIndex {
+    constructor(entries = [], { index = LexiconIndex.build(entries) } = {}) {
+        this.index = index;
+        this.entries = entries.filter(entry => entry.logic !== 'T0' && containsHanzi(entry.chinese));
+        this.included = new Set(this.entries);
+        this.chars = new Map();
+        this.syllables = new Map();
+
+        for (const entry of this.entries) {
+            const chars = Array.from(entry.chinese);
+            chars.forEach((char, index) => {
+                if (!this.chars.has(char)) this.chars.set(char, []);
+                const uses = this.chars.get(char);
+                const last = uses[uses.length - 1];
+                // A character used twice in one word ("谢谢") counts once
+                if (!last || last.entry !== entry) {
+                    uses.push({ entry, position: charPosition(chars, index) });
+                }
+            });
+
+            const syllables = splitPinyin(entry.pinyin);
+            this.syllables.set(entry, syllables && syllables.length === chars.length ? syllables : null);
+        }
+    }
+
+    // Entries whose hanzi equal or contain the query
+    searchHanzi(query) {
+        const exact = [];
+        const partial = [];
+        for (const entry of this.index.withChars(query)) {
+            if (!this.included.has(entry)) continue;
+            if (entry.chinese === query) exact.push(entry);
+            else if (entry.chinese.includes(query)) partial.push(entry);
+        }
+        return { exact, partial };
+    }
+
+    // Entries whose pinyin equals or contains the query's syllables. Toneless
+    // queries ("shi", "shiji") match any tone; marked or numbered ones
+    // ("shí", "shi2") only that tone.
+    searchPinyin(query) {
+        const marked = numberedToMarked(query.trim().toLowerCase());
+        const toned = hasTones(marked);
+        const wanted = splitPinyin(toned ? marked : stripTones(marked));
+        const exact = [];
+        const partial = [];
+        if (!wanted || wanted.length === 0) return { exact, partial };
+
+        // Only entries having the query's rarest syllable can match
+        const [rarest] = wanted
+            .map(syllable => this.index.withSyllable(syllable))
+            .sort((a, b) => a.length - b.length);
+        for (const entry of rarest) {
+            const syllables = this.syllables.get(entry);
+            if (!syllables) continue;
+            const candidate = toned ? syllables : syllables.map(stripTones);
+            if (findSyllables(candidate, wanted) < 0) continue;
+            (candidate.length === wanted.length ? exact : partial).push(entry);
+        }
+        return { exact, partial };
+    }
+
+    // Look up hanzi or pinyin:
+    // { query, kind, exact, partial, groups } with groups over all matches
+    search(input) {
+        const query = String(input || '').trim();
+        if (!query) return { query, kind: '', exact: [], partial: [], groups: [] };
+
+        const kind = containsHanzi(query) ? 'hanzi' : 'pinyin';
+        const { exact, partial } = kind === 'hanzi' ? this.searchHanzi(query) : this.searchPinyin(query);
+        return { query, kind, exact, partial, groups: groupByLogicAndPos([...exact, ...partial]) };
+    }
+
+    // Every English word built on one character:
+    // { char, count, entries, positions: { alone, initial, medial, final },
+    //   categories: [{ category, count }], groups }
+    family(char) {
+        const uses = this.chars.get(char) || [];
+        const positions = { alone: [], initial: [], medial: [], final: [] };
+        const categories = new Map();
+
+        for (const { entry, position } of uses) {
+            positions[position].push(entry);
+            categories.set(entry.category, (categories.get(entry.category) || 0) + 1);
+        }
+
+        const entries = uses.map(use => use.entry);
+        return {
+            char,
+            count: entries.length,
+            entries,
+            positions,
+            categories: [...categories.entries()]
+                .map(([category, count]) => ({ category, count }))
+                .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category)),
+            groups: groupByLogicAndPos(entries)
+        };
+    }
+
+    // Characters shared by the most entries: [{ char, count }]
+    topCharacters(limit = 20) {
+        return [...this.chars.entries()]
+            .map(([char, uses]) => ({ char, count: uses.length }))
+            .sort((a, b) => b.count - a.count || a.char.localeCompare(b.char))
+            .slice(0, limit);
+    }
+}
@@ -0,0 +1,164 @@
+// Confidence scoring - one logistic model over the evidence each matcher
+// strategy records, with a per-factor breakdown and weights that can be
+// fitted to labelled data (see tools/tune_scoring.js)
+
+// Default location of fitted weights
+export const SCORING_MODEL_URL = 'data/scoring_model.json';
+
+// How literal each logic type is (T0 keeps English, so it is exact)
+const LOGIC_STRENGTH = { T0: 1, T1: 1, T2: 0.75, T3: 0.5, T4: 0.5, T5: 0.75 };
+
+// Strategies with their own prior; unknown strategy names get none
+export const SCORED_METHODS = ['direct', 'inflection', 'derivation', 'fuzzy', 'compound'];
+
+// Evidence features, each 0-1. evidence is result.analysis.evidence:
+// { method, length, editDistance, matchScore, phonetic, pieces, stemLetters,
+//   posMatch, segmentationScore }; entry is the lexicon entry the result came
+// from. matchScore is the fuzzy matcher's calibrated score, which
+// spelling similarity prefers over the raw edit distance.
+export const FACTORS = [
+    ...SCORED_METHODS.map(method => ({
+        name: `method:${method}`,
+        label: `${method} match`,
+        value: evidence => (evidence.method === method ? 1 : 0)
+    })),
+    {
+        name: 'similarity',
+        label: 'Spelling similarity',
+        value: evidence => evidence.matchScore ?? Math.max(0, 1 - (evidence.editDistance || 0) / Math.max(evidence.length || 1, 1))
+    },
+    {
+        name: 'soundsAlike',
+        label: 'Sounds alike',
+        value: evidence => (!evidence.editDistance || evidence.phonetic ? 1 : 0)
+    },
+    {
+        name: 'simplicity',
+        label: 'Few morphemes',
+        value: evidence => 1 / Math.max(evidence.pieces || 1, 1)
+    },
+    {
+        name: 'stemCoverage',
+        label: 'Stem coverage',
+        value: evidence => Math.min(1, (evidence.stemLetters ?? evidence.length ?? 0) / Math.max(evidence.length || 1, 1))
+    },
+    {
+        name: 'posAgreement',
+        label: 'Part of speech agrees',
+        value: evidence => (evidence.posMatch === true ? 1 : evidence.posMatch === false ? 0 : 0.5)
+    },
+    {
+        name: 'segmentation',
+        label: 'Segmentation score',
+        value: evidence => evidence.segmentationScore ?? 1
+    },
+    {
+        name: 'priority',
+        label: 'Lexicon priority',
+        value: (evidence, entry) => (entry && entry.priority ? (5 - entry.priority) / 4 : 0.5)
+    },
+    {
+        name: 'logic',
+        label: 'Logic type',
+        value: (evidence, entry) => (entry && LOGIC_STRENGTH[entry.logic] !== undefined ? LOGIC_STRENGTH[entry.logic] : 0.5)
+    }
+];
+
+// Weights (log-odds per unit of each factor) used until a fitted model is
+// loaded. Direct matches score about 0.96, regular inflections about 0.92,
+// one-affix derivations about 0.86, a one-typo fuzzy match about 0.8 and a
+// two-root compound about 0.7.
+export const DEFAULT_WEIGHTS = {
+    bias: -5,
+    'method:direct': 2.2,
+    'method:inflection': 1.5,
+    'method:derivation': 1.2,
+    'method:fuzzy': 1,
+    'method:compound': 0.5,
+    similarity: 2.5,
+    soundsAlike: 0.5,
+    simplicity: 0.5,
+    stemCoverage: 1,
+    posAgreement: 0.6,
+    segmentation: 0.8,
+    priority: 0.3,
+    logic: 0.3
+};
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+// Logistic confidence model
+export class ConfidenceModel {
+    constructor(weights = DEFAULT_WEIGHTS, metadata = {}) {
+        this.weights = { ...DEFAULT_WEIGHTS, ...weights };
+        this.metadata = metadata;
+    }
+
+    // Factor values for a piece of evidence: { name: value }
+    features(evidence, entry = null) {
+        return Object.fromEntries(FACTORS.map(factor => [factor.name, factor.value(evidence, entry)]));
+    }
+
+    // Score evidence: { confidence, factors: [{ name, label, value, weight, contribution }] }
+    // where contribution is the factor's share of the log-odds
+    score(evidence, entry = null) {
+        const values = this.features(evidence, entry);
+        const factors = FACTORS
+            .map(({ name, label }) => ({
+                name,
+                label,
+                value: Math.round(values[name] * 1000) / 1000,
+                weight: this.weights[name] || 0,
+                contribution: Math.round((this.weights[name] || 0) * values[name] * 1000) / 1000
+            }))
+            .filter(factor => factor.value !== 0 || !factor.name.startsWith('method:'));
+
+        const z = this.weights.bias + FACTORS.reduce((sum, { name }) => sum + (this.weights[name] || 0) * values[name], 0);
+        return { confidence: Math.round(sigmoid(z) * 1000) / 1000, factors };
+    }
+}
+
+// Fit weights by L2-regularized logistic regression, pulled towards the
+// starting weights so a small labelled set only adjusts them.
+// samples: [{ evidence, entry, correct }]
+export function fitWeights(samples, { start = DEFAULT_WEIGHTS, iterations = 2000, rate = 0.1, regularization = 0.05 } = {}) {
+    const model = new ConfidenceModel(start);
+    const names = ['bias', ...FACTORS.map(factor => factor.name)];
+    const weights = { ...model.weights };
+    const rows = samples.map(sample => ({
+        x: { bias: 1, ...model.features(sample.evidence, sample.entry) },
+        y: sample.correct ? 1 : 0
+    }));
+    if (rows.length === 0) return weights;
+
+    for (let step = 0; step < iterations; step++) {
+        const gradient = Object.fromEntries(names.map(name => [name, 0]));
+        for (const { x, y } of rows) {
+            const error = sigmoid(names.reduce((sum, name) => sum + weights[name] * x[name], 0)) - y;
+            for (const name of names) gradient[name] += error * x[name];
+        }
+        for (const name of names) {
+            const pull = regularization * (weights[name] - (model.weights[name] || 0));
+            weights[name] -= rate * (gradient[name] / rows.length + pull);
+        }
+    }
+
+    return Object.fromEntries(names.map(name => [name, Math.round(weights[name] * 1000) / 1000]));
+}
+
+// Parse a scoring_model.json document into a ConfidenceModel
+export function parseScoringModel(data) {
+    if (!data || Array.isArray(data) || !data.weights || typeof data.weights !== 'object') {
+        throw new Error('Not a scoring model document: expected { metadata, weights: {} }');
+    }
+    return new ConfidenceModel(data.weights, data.metadata || {});
+}
+
+// Fetch and parse fitted weights
+export async function loadScoringModel(url = SCORING_MODEL_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+    }
+    return parseScoringModel(await response.json());
+}
@@ -0,0 +1,202 @@
+// Morphological segmenter - finds the best-scoring full covers of a word
+// using the morpheme inventory and lexicon headwords
+
+import { allowedAt, isInflectional } from './morphemes.js';
+
+// Vowels that may join two stems ("chron-o-meter", "agr-i-culture")
+const LINKING_VOWELS = ['o', 'i'];
+
+// Shortest lexicon word used as a stem inside a longer word
+const MIN_WORD_LENGTH = 3;
+
+// Shortest root matched away from the edge its position allows
+const MIN_INNER_ROOT_LENGTH = 3;
+
+// Shortest derivational affix; one-letter ones (a-, e-, -y) split too many
+// plain words ("a + head", "e + very"). Inflections (-s, -d) are exempt.
+const MIN_AFFIX_LENGTH = 2;
+
+// Score per covered letter for each kind of piece, a flat cost per piece
+// (so fewer, longer pieces win) and the cost of letters nothing explains
+const LETTER_WEIGHTS = { word: 1.0, root: 0.9, prefix: 0.8, suffix: 0.8 };
+const PIECE_COST = 1;
+const LINK_COST = 0.5;
+const UNKNOWN_COST = 1.5;
+
+// Word structure phases: prefixes, then stems, then suffixes
+const PHASE = { prefix: 0, stem: 1, suffix: 2 };
+
+// Position constraints relative to the stem rather than the whole word:
+// initial roots may follow prefixes ("non-tele-vision") and final roots
+// may take suffixes ("bio-logy-s")
+function rootAllowed(position, start, end, length, phase) {
+    if (position === 'initial') return phase === PHASE.prefix;
+    if (position === 'final') return phase !== PHASE.prefix || start > 0;
+    return allowedAt(position, start, end, length);
+}
+
+// Segmenter over a MorphemeInventory and lexicon entries (display model)
+export class Segmenter {
+    constructor(inventory, entries = []) {
+        this.inventory = inventory;
+        this.words = new Map();
+        this.maxLength = MIN_WORD_LENGTH;
+
+        for (const entry of entries) {
+            const word = String(entry.english || '').toLowerCase();
+            if (word.length < MIN_WORD_LENGTH || entry.logic === 'T0' || !/^[a-z]+$/.test(word)) continue;
+            if (!this.words.has(word)) this.words.set(word, entry);
+            this.maxLength = Math.max(this.maxLength, word.length);
+        }
+        for (const type of ['root', 'prefix', 'suffix']) {
+            const [longest = ''] = inventory.surfaceForms(type);
+            this.maxLength = Math.max(this.maxLength, longest.length);
+        }
+    }
+
+    // Pieces that can cover word[start, end) given the current phase
+    piecesAt(word, start, end, phase, afterLink) {
+        const text = word.slice(start, end);
+        const pieces = [];
+
+        const entry = this.words.get(text);
+        if (entry) {
+            pieces.push({ text, kind: 'word', entry, phase: PHASE.stem });
+        }
+
+        for (const morpheme of this.inventory.lookup(text)) {
+            const { type, position } = morpheme;
+            if (type !== 'root' && text.length < MIN_AFFIX_LENGTH && !isInflectional(morpheme)) continue;
+
+            if (type === 'root') {
+                if (!rootAllowed(position, start, end, word.length, phase)) continue;
+                if (text.length < MIN_INNER_ROOT_LENGTH && position === 'any') continue;
+                // A word-final root ("logy") may only be followed by suffixes
+                const next = position === 'final' ? PHASE.suffix : PHASE.stem;
+                pieces.push({ text, kind: 'root', morpheme, phase: next });
+            } else if (type === 'prefix' && phase === PHASE.prefix && !afterLink) {
+                pieces.push({ text, kind: 'prefix', morpheme, phase: PHASE.prefix });
+            } else if (type === 'suffix' && phase >= PHASE.stem && !afterLink) {
+                pieces.push({ text, kind: 'suffix', morpheme, phase: PHASE.suffix });
+            }
+        }
+
+        // Stems may not follow suffixes
+        return phase === PHASE.suffix ? pieces.filter(piece => piece.kind === 'suffix') : pieces;
+    }
+
+    // Top segmentations of a word:
+    // [{ segments: [{ text, kind, start, end, morpheme?, entry? }], score }]
+    // kind is word, root, prefix, suffix, link or unknown; score is 0-1
+    segment(word, { limit = 3 } = {}) {
+        const w = String(word || '').toLowerCase().trim();
+        if (!w) return [];
+
+        const beam = Math.max(limit * 4, 8);
+        // paths[i]: partial covers of w[0, i), best first
+        const paths = Array.from({ length: w.length + 1 }, () => []);
+        paths[0].push({ score: 0, phase: PHASE.prefix, afterLink: false, segments: [] });
+
+        const extend = (path, piece, start, end, gain) => {
+            paths[end].push({
+                score: path.score + gain,
+                phase: piece.phase,
+                afterLink: piece.kind === 'link',
+                segments: [...path.segments, { ...piece, start, end }]
+            });
+        };
+
+        for (let start = 0; start < w.length; start++) {
+            const current = paths[start]
+                .sort((a, b) => b.score - a.score)
+                .slice(0, beam);
+            paths[start] = current;
+
+            for (const path of current) {
+                const last = path.segments[path.segments.length - 1];
+
+                for (let end = start + 1; end <= Math.min(w.length, start + this.maxLength); end++) {
+                    for (const piece of this.piecesAt(w, start, end, path.phase, path.afterLink)) {
+                        const gain = LETTER_WEIGHTS[piece.kind] * (end - start) - PIECE_COST;
+                        extend(path, piece, start, end, gain);
+                    }
+                }
+
+                // Linking vowel between a consonant-final stem and another stem
+                const char = w[start];
+                if (LINKING_VOWELS.includes(char) && !path.afterLink && path.phase === PHASE.stem &&
+                    last && (last.kind === 'root' || last.kind === 'word') &&
+                    !'aeiou'.includes(last.text[last.text.length - 1]) && start + 1 < w.length) {
+                    extend(path, { text: char, kind: 'link', phase: PHASE.stem }, start, start + 1, -LINK_COST);
+                }
+
+                // Letters nothing explains
+                if (!path.afterLink) {
+                    extend(path, { text: char, kind: 'unknown', phase: Math.max(path.phase, PHASE.stem) },
+                        start, start + 1, -UNKNOWN_COST);
+                }
+            }
+        }
+
+        const seen = new Set();
+        const results = [];
+        for (const path of paths[w.length].sort((a, b) => b.score - a.score)) {
+            const last = path.segments[path.segments.length - 1];
+            if (path.afterLink || !last) continue;
+
+            const segments = mergeUnknown(path.segments);
+            const signature = segments.map(s => s.text).join('|');
+            if (seen.has(signature)) continue;
+            seen.add(signature);
+
+            results.push({
+                segments,
+                score: Math.round(Math.min(1, Math.max(0, path.score / w.length)) * 1000) / 1000
+            });
+            if (results.length >= limit) break;
+        }
+
+        return results;
+    }
+
+    // Best segmentation, or null
+    best(word) {
+        return this.segment(word, { limit: 1 })[0] || null;
+    }
+}
+
+// Join runs of unknown letters into one segment
+function mergeUnknown(segments) {
+    const merged = [];
+    for (const segment of segments) {
+        const previous = merged[merged.length - 1];
+        if (segment.kind === 'unknown' && previous && previous.kind === 'unknown') {
+            merged[merged.length - 1] = { ...previous, text: previous.text + segment.text, end: segment.end };
+        } else {
+            merged.push(segment);
+        }
+    }
+    return merged;
+}
+
+// Check whether every letter of a segmentation is explained
+export function isFullCover(segmentation) {
+    return Boolean(segmentation) && segmentation.segments.every(s => s.kind !== 'unknown');
+}
+
+// Chinese gloss of one segment ('' for links, unknown letters and
+// suffixes that only change word class)
+export function segmentHanzi(segment) {
+    if (segment.entry) return segment.entry.chinese || '';
+    if (segment.morpheme) return segment.morpheme.hanzi || '';
+    return '';
+}
+
+// "chron + o + meter" style label with glosses: "chron (时) + -o- + meter (计)"
+export function describeSegmentation(segmentation) {
+    return segmentation.segments.map(segment => {
+        if (segment.kind === 'link') return `-${segment.text}-`;
+        const hanzi = segmentHanzi(segment);
+        return hanzi ? `${segment.text} (${hanzi})` : segment.text;
+    }).join(' + ');
+}
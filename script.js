@@ -1,80 +1,41 @@
 // Sinographic Integration - Main JavaScript File
+import { loadLexicon, parseLexicon, LEXICON_URL, LOGIC_TYPES, POS_LABELS, describeLogic, describePos } from './js/lexicon.js';
+import { KNOWN_CATEGORIES } from './js/lexicon_validator.js';
+import { LexiconEditor } from './js/editor.js';
+import { OverlayStore } from './js/overlay_store.js';
+import { createFeedback, checkSuggestion, feedbackOverrides, feedbackToCsv } from './js/feedback.js';
+import { buildPinyinTable } from './js/pinyin.js';
+import { loadMorphemes, MorphemeInventory, MORPHEMES_URL } from './js/morphemes.js';
+import { Engine } from './js/engine.js';
+import { describeTrace } from './js/composer.js';
+import { ReverseIndex } from './js/reverse.js';
+import { LexiconIndex, loadLexiconIndex, LEXICON_INDEX_URL } from './js/lexicon_index.js';
+import { analyzeCollisions } from './js/collisions.js';
+import { Decoder, roundTrip } from './js/decoder.js';
+import { loadEvaluation, EVALUATION_URL } from './js/evaluation.js';
+import { loadScoringModel, ConfidenceModel, SCORING_MODEL_URL } from './js/scoring.js';
+import { parseWordList, batchSummary, sortBatchRows, formatBatch } from './js/batch.js';
+import { compileQuery, categoryMatches, sortEntries, parseSort, formatSort } from './js/query.js';
+import { registerServiceWorker, isServedOffline, isOffline, cachedJson } from './js/offline.js';
 
-// 在script.js开头添加
-let WORD_DATABASE = [];
-
-async function loadDatabase() {
-    try {
-        // 尝试从不同位置加载JSON
-        const possiblePaths = [
-            'data/mapping.json',
-            'mapping.json',
-            'sinographic_mapping.json',
-            './data/mapping.json',
-            './mapping.json'
-        ];
-        
-        let response = null;
-        for (const path of possiblePaths) {
-            try {
-                response = await fetch(path);
-                if (response.ok) break;
-            } catch (e) {
-                console.log(`尝试路径 ${path} 失败`);
-            }
-        }
-        
-        if (response && response.ok) {
-            WORD_DATABASE = await response.json();
-            console.log(`成功加载 ${WORD_DATABASE.length} 个单词映射`);
-            
-            // 初始化应用
-            initializeApp();
-        } else {
-            throw new Error('无法加载数据库文件');
-        }
-    } catch (error) {
-        console.error('加载数据库失败:', error);
-        
-        // 使用内置的备用数据
-        loadFallbackData();
-        initializeApp();
-    }
-}
-
-// 备用数据
-function loadFallbackData() {
-    WORD_DATABASE = [
-        {
-            "english": "the",
-            "chinese": "(保留)",
-            "pinyin": "",
-            "pos": "art",
-            "category": "Relations/Functions",
-            "priority": 1
-        },
-        {
-            "english": "be",
-            "chinese": "为",
-            "pinyin": "wéi",
-            "pos": "v",
-            "category": "Actions/Changes",
-            "priority": 1
-        },
-        // 更多备用数据...
-    ];
-    console.log(`使用备用数据，共 ${WORD_DATABASE.length} 个单词`);
-}
-
-// 修改原有的DOMContentLoaded事件
-document.addEventListener('DOMContentLoaded', function() {
-    // 开始加载数据库
-    loadDatabase();
-});
 // Configuration
 const CONFIG = {
+    lexiconUrl: LEXICON_URL,
+    lexiconParam: 'lexicon',
+    pinyinSupplementUrl: 'data/pinyin_supplement.json',
+    morphemesUrl: MORPHEMES_URL,
+    evaluationUrl: EVALUATION_URL,
+    scoringModelUrl: SCORING_MODEL_URL,
+    lexiconIndexUrl: LEXICON_INDEX_URL,
     itemsPerPage: 10,
+    pageSizes: [10, 25, 50, 100],
     maxHistory: 50,
+    collisionDecisionsKey: 'sinographic.collisionDecisions',
+    candidateChoicesKey: 'sinographic.candidateChoices',
+    feedbackKey: 'sinographic.feedback',
+    applyOverridesKey: 'sinographic.applyOverrides',
+    candidateLimit: 5,
+    batchAlternatives: 3,
     defaultConfidence: 0.85
 };
 
@@ -84,55 +45,306 @@ let appState = {
     currentResult: null,
     searchHistory: [],
     database: [],
+    lexiconMeta: null,
+    lexiconSource: { kind: '', url: '', error: '' },
+    pinyinTable: null,
+    pinyinSupplement: {},
+    morphemes: new MorphemeInventory(),
+    lexiconIndex: null,
+    engine: null,
+    scoring: null,
+    job: null,
+    reverseIndex: null,
+    decoder: null,
+    collisions: null,
+    collisionDecisions: new Set(),
+    candidateChoices: [],
+    feedback: [],
+    applyOverrides: false,
+    editor: null,
+    overlayStore: null,
+    editingId: null,
+    editDraft: null,
+    editIssues: [],
     filteredDatabase: [],
     currentPage: 1,
+    pageSize: CONFIG.itemsPerPage,
     searchTerm: '',
-    selectedCategory: 'all'
+    selectedCategory: 'all',
+    sort: null,
+    queryError: '',
+    mode: 'word',
+    batch: { rows: [], sort: null, running: false },
+    currentPassage: null
 };
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async function() {
-    console.log('Sinographic Integration App Initializing...');
-    
     // Load mapping data
     await loadMappingData();
     
+    // Cache the app for offline use and show the connection state
+    initializeOffline();
+    
     // Initialize event listeners
     initializeEventListeners();
     
     // Initialize database table
     initializeDatabaseTable();
     
+    // Initialize collision view
+    initializeCollisionView();
+    
+    // Restore recorded candidate choices
+    loadCandidateChoices();
+    
+    // Restore feedback and apply accepted corrections
+    initializeFeedback();
+    
     // Show initial random word
     showRandomWord();
-    
-    console.log('App initialized successfully!');
 });
 
-// Load mapping data from JSON file
+// Load mapping data, starting with the lexicon (see loadLexiconData)
 async function loadMappingData() {
+    await loadLexiconData();
+    
+    await loadLexiconOverlay();
+    document.getElementById('total-words').textContent = appState.database.length;
+    
+    await loadSavedIndex();
+    await loadPinyinTable();
+    await loadMorphemeInventory();
+    
+    appState.scoring = await loadConfidenceModel();
+    await startEngine();
+    
+    await loadMappingAccuracy();
+}
+
+// Alternate builds must be JSON files under data/ on this site, so a shared
+// link cannot load entries from elsewhere
+const LEXICON_PARAM_PATTERN = /^data\/(?:[\w-]+\/)*[\w-]+(?:\.[\w-]+)*\.json$/;
+
+// Lexicon location: the page's ?lexicon= parameter (an alternate build),
+// else CONFIG.lexiconUrl
+function lexiconUrl() {
+    const param = (new URLSearchParams(window.location.search).get(CONFIG.lexiconParam) || '').trim();
+    if (!param) return CONFIG.lexiconUrl;
+    if (!LEXICON_PARAM_PATTERN.test(param)) {
+        console.error(`Ignoring ?${CONFIG.lexiconParam}=${param}: not a .json file under data/`);
+        return CONFIG.lexiconUrl;
+    }
+    return param;
+}
+
+// Load the lexicon from its URL (served by the service worker's cache when
+// offline), else straight from the cache, else the embedded sample. Every
+// copy is parsed and checked (envelope, version, content hash) before it
+// replaces the data in use. appState.lexiconSource records which one was
+// used: { kind: 'file' | 'cache' | 'embedded', url, error }.
+async function loadLexiconData() {
+    const url = lexiconUrl();
+    try {
+        useLexicon(await loadLexicon(url), { kind: 'file', url, error: '' });
+    } catch (error) {
+        console.error(`Error loading lexicon from ${url}:`, error);
+        const cached = await loadCachedLexicon(url);
+        if (cached) {
+            useLexicon(cached, { kind: 'cache', url, error: error.message });
+        } else {
+            // Fallback to embedded data only when nothing is cached
+            loadFallbackData();
+            appState.lexiconSource = { kind: 'embedded', url, error: error.message };
+        }
+    }
+    updateLoadBanner();
+}
+
+// Make a parsed lexicon the one in use
+function useLexicon({ metadata, entries }, source) {
+    appState.lexiconMeta = metadata;
+    appState.database = entries;
+    appState.filteredDatabase = [...entries];
+    appState.lexiconSource = source;
+}
+
+// The service worker's cached copy of the lexicon, parsed; null when none is
+// cached or the copy fails its checks
+async function loadCachedLexicon(url) {
+    try {
+        const data = await cachedJson(url);
+        return data ? parseLexicon(data) : null;
+    } catch (error) {
+        console.error('Error reading cached lexicon:', error);
+        return null;
+    }
+}
+
+// Show or hide the banner reporting a failed lexicon load
+function updateLoadBanner() {
+    const banner = document.getElementById('load-banner');
+    const { kind, url, error } = appState.lexiconSource;
+    banner.classList.toggle('hidden', !error);
+    if (!error) return;
+    
+    const fallback = kind === 'cache'
+        ? `Using the cached copy (lexicon v${appState.lexiconMeta.version}).`
+        : `Showing a ${appState.database.length}-entry sample instead.`;
+    document.getElementById('load-banner-message').textContent =
+        `Could not load the lexicon from ${url}: ${error}. ${fallback}`;
+}
+
+// Try the lexicon URL again and, once a copy passes its checks, rebuild
+// everything from it (keeping local edits)
+async function retryLexiconLoad() {
+    const button = document.getElementById('load-retry-btn');
+    const { url } = appState.lexiconSource;
+    button.disabled = true;
+    document.getElementById('load-banner-message').textContent = `Loading ${url}...`;
+    
+    try {
+        const lexicon = await loadLexicon(url);
+        useLexicon(lexicon, { kind: 'file', url, error: '' });
+        await loadLexiconOverlay();
+        applyLexiconEdits();
+        showRandomWord();
+    } catch (error) {
+        console.error(`Error loading lexicon from ${url}:`, error);
+        appState.lexiconSource = { ...appState.lexiconSource, error: error.message };
+    } finally {
+        button.disabled = false;
+        updateLoadBanner();
+        updateConnectionStatus();
+    }
+}
+
+// Start the analysis engine in a worker, falling back to the page when the
+// worker cannot load
+async function startEngine() {
+    appState.engine = Engine.create();
+    try {
+        await appState.engine.init(engineData());
+    } catch (error) {
+        console.error('Analysis worker failed, analyzing on the page:', error);
+        appState.engine.terminate();
+        appState.engine = new Engine();
+        await appState.engine.init(engineData());
+    }
+}
+
+// Load the saved lexicon index, rebuilding it when it does not match the
+// lexicon in use (local edits, fallback data or a stale file)
+async function loadSavedIndex() {
+    let data = null;
+    try {
+        data = await loadLexiconIndex(CONFIG.lexiconIndexUrl);
+    } catch (error) {
+        console.error('Error loading lexicon index:', error);
+    }
+    
+    const { index, rebuilt, reason } = LexiconIndex.restore(data, appState.database, {
+        lexiconVersion: appState.lexiconMeta ? appState.lexiconMeta.version : ''
+    });
+    appState.lexiconIndex = index;
+    if (rebuilt) console.warn(`Lexicon index rebuilt: ${reason}`);
+}
+
+// What the engine builds its analyzer from
+function engineData() {
+    return {
+        entries: appState.database,
+        index: appState.lexiconIndex,
+        morphemes: appState.morphemes,
+        pinyinSupplement: appState.pinyinSupplement,
+        scoring: appState.scoring,
+        overrides: userOverrides()
+    };
+}
+
+// Apply local lexicon edits saved in IndexedDB on top of the shipped lexicon
+async function loadLexiconOverlay() {
+    let changes = [];
+    try {
+        appState.overlayStore = appState.overlayStore || await OverlayStore.open();
+        changes = await appState.overlayStore.load();
+    } catch (error) {
+        console.error('Error loading lexicon edits:', error);
+    }
+    
+    appState.editor = new LexiconEditor(appState.database, {
+        logicTypes: appState.lexiconMeta ? appState.lexiconMeta.logic_types : LOGIC_TYPES,
+        changes
+    });
+    if (appState.editor.size > 0) {
+        appState.database = appState.editor.entries();
+        appState.filteredDatabase = [...appState.database];
+    }
+}
+
+// Load the fitted confidence weights, falling back to the defaults
+async function loadConfidenceModel() {
+    try {
+        return await loadScoringModel(CONFIG.scoringModelUrl);
+    } catch (error) {
+        console.error('Error loading scoring model:', error);
+        return new ConfidenceModel();
+    }
+}
+
+// Show the accuracy from the latest gold-standard evaluation
+async function loadMappingAccuracy() {
+    const display = document.getElementById('mapping-accuracy');
+    try {
+        const { generated, summary } = await loadEvaluation(CONFIG.evaluationUrl);
+        display.textContent = `${(summary.accuracy * 100).toFixed(1)}%`;
+        display.title = `${summary.correct}/${summary.items} gold-standard words correct ` +
+            `(precision ${(summary.precision * 100).toFixed(1)}%), evaluated ${generated.slice(0, 10)}; ` +
+            'the rules were written against these words, so new text scores lower';
+    } catch (error) {
+        console.error('Error loading evaluation:', error);
+        display.textContent = '-';
+        display.title = 'No evaluation output yet (npm run evaluate)';
+    }
+}
+
+// Load the root and affix inventory used by the structural analyzers
+async function loadMorphemeInventory() {
     try {
-        const response = await fetch('data/mapping.json');
-        const data = await response.json();
-        appState.database = data;
-        appState.filteredDatabase = [...data];
-        console.log(`Loaded ${data.length} mapping entries`);
+        appState.morphemes = await loadMorphemes(CONFIG.morphemesUrl);
     } catch (error) {
-        console.error('Error loading mapping data:', error);
-        // Fallback to embedded data
-        loadFallbackData();
+        console.error('Error loading morpheme inventory:', error);
     }
 }
 
+// Build the per-character pinyin table from the lexicon and the supplement
+async function loadPinyinTable() {
+    let supplement = {};
+    try {
+        const response = await fetch(CONFIG.pinyinSupplementUrl);
+        if (response.ok) {
+            supplement = await response.json();
+        }
+    } catch (error) {
+        console.error('Error loading pinyin supplement:', error);
+    }
+    
+    appState.pinyinSupplement = supplement;
+    appState.pinyinTable = buildPinyinTable(appState.database, supplement);
+}
+
 // Fallback data in case JSON file fails
 function loadFallbackData() {
     appState.database = [
         {
+            id: 1,
             english: "photography",
             chinese: "摄影",
             pinyin: "shè yǐng",
+            pos: "n",
             category: "Modern/Abstract",
             priority: 3,
+            logic: "T5",
             analysis: {
                 structure: "photo (光) + graphy (写)",
                 morphemes: ["photo", "graphy"],
@@ -141,11 +353,14 @@ function loadFallbackData() {
             }
         },
         {
+            id: 2,
             english: "democracy",
             chinese: "民主",
             pinyin: "mín zhǔ",
+            pos: "n",
             category: "Modern/Abstract",
             priority: 3,
+            logic: "T5",
             analysis: {
                 structure: "demo (民) + cracy (治)",
                 morphemes: ["demo", "cracy"],
@@ -155,9 +370,48 @@ function loadFallbackData() {
         },
         // Add more fallback entries as needed
     ];
+    appState.lexiconMeta = null;
     appState.filteredDatabase = [...appState.database];
 }
 
+// Register the service worker and keep the connection indicator current
+function initializeOffline() {
+    registerServiceWorker()
+        .then(registration => {
+            if (registration) navigator.serviceWorker.ready.then(updateConnectionStatus);
+        })
+        .catch(error => console.error('Service worker registration failed:', error));
+    
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('controllerchange', updateConnectionStatus);
+    }
+    window.addEventListener('online', updateConnectionStatus);
+    window.addEventListener('offline', updateConnectionStatus);
+    updateConnectionStatus();
+}
+
+// Show "Online / Offline · lexicon vN" and whether the app works offline
+function updateConnectionStatus() {
+    const status = document.getElementById('connection-status');
+    const offline = isOffline();
+    const { kind, url } = appState.lexiconSource;
+    const embedded = kind === 'embedded';
+    
+    const lexicon = embedded || !appState.lexiconMeta ? 'embedded sample' : `lexicon v${appState.lexiconMeta.version}`;
+    document.getElementById('connection-label').textContent = `${offline ? 'Offline' : 'Online'} · ${lexicon}`;
+    status.querySelector('i').className = offline ? 'fas fa-plug-circle-xmark' : 'fas fa-wifi';
+    status.classList.toggle('offline', offline);
+    status.classList.toggle('sample', embedded);
+    
+    if (embedded) {
+        status.title = 'The lexicon could not be loaded and none is cached; showing a small embedded sample';
+    } else if (kind === 'cache') {
+        status.title = `${url} read from the offline cache`;
+    } else {
+        status.title = `${url} · ${isServedOffline() ? 'saved for offline use' : 'not saved for offline use yet'}`;
+    }
+}
+
 // Initialize all event listeners
 function initializeEventListeners() {
     // Analyze button
@@ -173,6 +427,43 @@ function initializeEventListeners() {
     // Random example button
     document.getElementById('random-btn').addEventListener('click', showRandomWord);
     
+    // Word / passage mode switch
+    document.querySelectorAll('.mode-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            switchMode(this.dataset.mode);
+        });
+    });
+    
+    // Passage integration button
+    document.getElementById('integrate-btn').addEventListener('click', analyzePassage);
+    
+    // Cancel a running job
+    document.getElementById('loading-cancel').addEventListener('click', cancelLoadingJob);
+    
+    // Lexicon load error banner
+    document.getElementById('load-retry-btn').addEventListener('click', retryLexiconLoad);
+    document.getElementById('load-banner-close').addEventListener('click', () => {
+        document.getElementById('load-banner').classList.add('hidden');
+    });
+    
+    // Word list batch
+    document.getElementById('batch-btn').addEventListener('click', analyzeBatchList);
+    document.getElementById('batch-file').addEventListener('change', loadBatchFile);
+    document.querySelectorAll('.batch-table th[data-sort]').forEach(header => {
+        header.addEventListener('click', () => sortBatch(header.dataset.sort));
+    });
+    document.querySelectorAll('.batch-export').forEach(button => {
+        button.addEventListener('click', () => exportBatch(button.dataset.format));
+    });
+    
+    // Reverse lookup
+    document.getElementById('reverse-btn').addEventListener('click', lookupReverse);
+    document.getElementById('reverse-input').addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+            lookupReverse();
+        }
+    });
+    
     // Quick example tags
     document.querySelectorAll('.example-tag').forEach(tag => {
         tag.addEventListener('click', function() {
@@ -184,7 +475,7 @@ function initializeEventListeners() {
     
     // Database search
     document.getElementById('search-db').addEventListener('input', function(e) {
-        appState.searchTerm = e.target.value.toLowerCase();
+        appState.searchTerm = e.target.value.trim();
         filterDatabase();
         renderDatabaseTable();
     });
@@ -196,6 +487,48 @@ function initializeEventListeners() {
         renderDatabaseTable();
     });
     
+    // Rows per page
+    document.getElementById('page-size').addEventListener('change', function(e) {
+        changePageSize(Number(e.target.value));
+    });
+    
+    // Sortable columns
+    document.querySelectorAll('.database-section th[data-sort]').forEach(header => {
+        header.addEventListener('click', () => sortDatabase(header.dataset.sort));
+    });
+    
+    // Shareable table view
+    document.getElementById('copy-query-link-btn').addEventListener('click', copyQueryLink);
+    
+    // Mapping feedback
+    document.getElementById('feedback-up').addEventListener('click', () => recordFeedback({ vote: 'up' }));
+    document.getElementById('feedback-down').addEventListener('click', () => recordFeedback({ vote: 'down' }));
+    document.getElementById('feedback-suggest-btn').addEventListener('click', suggestHanzi);
+    document.getElementById('feedback-suggestion').addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+            suggestHanzi();
+        }
+    });
+    document.getElementById('apply-overrides').addEventListener('change', function(e) {
+        appState.applyOverrides = e.target.checked;
+        saveFeedback();
+        applyUserOverrides(true);
+    });
+    document.getElementById('export-feedback-json-btn').addEventListener('click', () => exportFeedback('json'));
+    document.getElementById('export-feedback-csv-btn').addEventListener('click', () => exportFeedback('csv'));
+    
+    // Lexicon editor
+    document.getElementById('add-entry-btn').addEventListener('click', () => startEditing('new'));
+    document.getElementById('undo-edit-btn').addEventListener('click', undoLexiconEdit);
+    document.getElementById('redo-edit-btn').addEventListener('click', redoLexiconEdit);
+    document.getElementById('show-diff-btn').addEventListener('click', toggleLexiconDiff);
+    document.getElementById('export-lexicon-btn').addEventListener('click', exportLexicon);
+    document.getElementById('reset-edits-btn').addEventListener('click', resetLexiconEdits);
+    
+    // Collision view
+    document.getElementById('collision-filter').addEventListener('change', renderCollisionList);
+    document.getElementById('export-collisions-btn').addEventListener('click', exportCollisionDecisions);
+    
     // Tab switching
     document.querySelectorAll('.tab-btn').forEach(btn => {
         btn.addEventListener('click', function() {
@@ -206,7 +539,7 @@ function initializeEventListeners() {
 }
 
 // Analyze the input word
-function analyzeWord() {
+async function analyzeWord() {
     const wordInput = document.getElementById('word-input');
     const word = wordInput.value.trim().toLowerCase();
     
@@ -216,14 +549,8 @@ function analyzeWord() {
         return;
     }
     
-    // Show loading modal
-    showLoading(true);
-    
-    // Simulate processing delay
-    setTimeout(() => {
-        processWord(word);
-        showLoading(false);
-    }, 800);
+    // Clear input
+    wordInput.value = '';
     
     // Add to search history
     if (!appState.searchHistory.includes(word)) {
@@ -233,291 +560,423 @@ function analyzeWord() {
         }
     }
     
-    // Clear input
-    wordInput.value = '';
+    showLoading(true, { message: 'Analyzing word structure and finding optimal Chinese mapping...' });
+    try {
+        await processWord(word);
+    } catch (error) {
+        console.error('Error analyzing word:', error);
+        alert(`Could not analyze "${word}": ${error.message}`);
+    } finally {
+        showLoading(false);
+    }
 }
 
 // Process word analysis
-function processWord(word) {
-    console.log(`Processing word: ${word}`);
-    
-    // Find the word in database
-    const entry = findWordInDatabase(word);
-    
-    if (entry) {
-        // Found exact match
-        displayResult(entry);
-    } else {
-        // Try to analyze word structure
-        const analyzed = analyzeWordStructure(word);
-        displayResult(analyzed);
-    }
+async function processWord(word) {
+    // Run the matching pipeline; unknown words come back with a structural analysis
+    displayResult(await appState.engine.analyze(word));
     
     // Update URL for sharing
     updateURL(word);
 }
 
-// Find word in database (with fallback strategies)
-function findWordInDatabase(word) {
-    // 1. Try exact match
-    let entry = appState.database.find(item => 
-        item.english.toLowerCase() === word
-    );
-    
-    if (entry) {
-        entry.analysis = entry.analysis || {
-            structure: "Direct match",
-            morphemes: [word],
-            meaning: "Exact correspondence",
-            matchType: "direct"
-        };
-        entry.analysis.confidence = 1.0;
-        return entry;
-    }
-    
-    // 2. Try lemma matching (remove common suffixes)
-    const lemmas = getLemmas(word);
-    for (const lemma of lemmas) {
-        entry = appState.database.find(item => 
-            item.english.toLowerCase() === lemma
-        );
-        if (entry) {
-            entry.analysis = {
-                structure: `Base form: ${lemma}`,
-                morphemes: [lemma],
-                meaning: `From base word "${lemma}"`,
-                matchType: "lemma",
-                confidence: 0.9
-            };
-            return entry;
-        }
-    }
+// Switch between single word and passage input
+function switchMode(mode) {
+    appState.mode = mode;
     
-    // 3. Try fuzzy matching
-    entry = findFuzzyMatch(word);
-    if (entry) {
-        entry.analysis = {
-            structure: `Similar to "${entry.english}"`,
-            morphemes: [entry.english],
-            meaning: `Close match to "${entry.english}"`,
-            matchType: "fuzzy",
-            confidence: entry.similarity || 0.7
-        };
-        return entry;
-    }
+    document.querySelectorAll('.mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
     
-    return null;
+    document.getElementById('word-input-group').classList.toggle('hidden', mode !== 'word');
+    document.getElementById('quick-examples').classList.toggle('hidden', mode !== 'word');
+    document.getElementById('passage-input-group').classList.toggle('hidden', mode !== 'passage');
+    document.getElementById('passage-section').classList.toggle('hidden', mode !== 'passage');
+    document.getElementById('reverse-input-group').classList.toggle('hidden', mode !== 'reverse');
+    document.getElementById('reverse-section').classList.toggle('hidden', mode !== 'reverse');
+    document.getElementById('batch-input-group').classList.toggle('hidden', mode !== 'batch');
+    document.getElementById('batch-section').classList.toggle('hidden', mode !== 'batch');
+    
+    if (mode === 'reverse') {
+        renderCharacterChips();
+    }
 }
 
-// Get lemmas (simplified version)
-function getLemmas(word) {
-    const lemmas = [word];
-    
-    // Remove common suffixes
-    const suffixes = ['s', 'es', 'ed', 'ing', 'ly', 'ment', 'ness', 'tion'];
-    
-    for (const suffix of suffixes) {
-        if (word.endsWith(suffix) && word.length > suffix.length + 2) {
-            const base = word.slice(0, -suffix.length);
-            lemmas.push(base);
-            
-            // Handle special cases
-            if (suffix === 'es' && word.endsWith('ies')) {
-                lemmas.push(word.slice(0, -3) + 'y');
-            }
-            if (suffix === 'ed' && word.endsWith('ied')) {
-                lemmas.push(word.slice(0, -3) + 'y');
-            }
-        }
+// Integrate a pasted passage
+async function analyzePassage() {
+    const passageInput = document.getElementById('passage-input');
+    const text = passageInput.value;
+    
+    if (!text.trim()) {
+        alert('Please enter an English passage');
+        passageInput.focus();
+        return;
     }
     
-    // Remove common prefixes
-    const prefixes = ['un', 'dis', 're', 'pre', 'mis', 'over', 'under'];
-    for (const prefix of prefixes) {
-        if (word.startsWith(prefix) && word.length > prefix.length + 2) {
-            lemmas.push(word.slice(prefix.length));
-        }
+    showLoading(true, { message: 'Integrating passage...' });
+    let result;
+    try {
+        result = await appState.engine.passage(text);
+    } catch (error) {
+        console.error('Error integrating passage:', error);
+        alert(`Could not integrate the passage: ${error.message}`);
+        return;
+    } finally {
+        showLoading(false);
     }
     
-    return [...new Set(lemmas)]; // Remove duplicates
+    appState.currentPassage = result;
+    displayPassage(result);
+    displayRoundTrip(result);
 }
 
-// Find fuzzy match
-function findFuzzyMatch(word) {
-    let bestMatch = null;
-    let bestSimilarity = 0;
-    
-    for (const entry of appState.database) {
-        const similarity = calculateSimilarity(word, entry.english.toLowerCase());
-        
-        if (similarity > bestSimilarity && similarity > 0.6) {
-            bestSimilarity = similarity;
-            bestMatch = { ...entry, similarity };
-        }
+// Decode the integrated passage back to English and score it
+function displayRoundTrip(integration) {
+    if (!appState.decoder) {
+        appState.decoder = new Decoder(appState.database);
     }
     
-    return bestMatch;
-}
-
-// Calculate string similarity (Levenshtein distance based)
-function calculateSimilarity(str1, str2) {
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
-    
-    if (longer.length === 0) return 1.0;
+    const result = roundTrip(integration, appState.decoder);
+    const output = document.getElementById('passage-decoded');
+    output.innerHTML = '';
     
-    // Check for substring
-    if (longer.includes(shorter)) return 0.9;
+    const errors = new Map(result.errors.map(error => [error.index, error]));
     
-    // Simple character overlap
-    const set1 = new Set(str1);
-    const set2 = new Set(str2);
-    const intersection = new Set([...set1].filter(x => set2.has(x)));
-    const union = new Set([...set1, ...set2]);
+    integration.segments.forEach((segment, index) => {
+        const token = result.tokens[index];
+        if (segment.status !== 'integrated') {
+            output.appendChild(document.createTextNode(token.output));
+            return;
+        }
+        
+        const error = errors.get(index);
+        const span = document.createElement('span');
+        span.className = `passage-token ${error ? (error.lemma ? 'lemma' : 'misread') : 'readback'}`;
+        span.textContent = token.output;
+        span.title = `${segment.output} → ${token.english || '?'} (original: ${segment.text})` + 
+            (token.candidates.length > 1 ? ` · candidates: ${token.candidates.map(c => c.english).join(', ')}` : '');
+        output.appendChild(span);
+    });
     
-    return intersection.size / union.size;
+    document.getElementById('roundtrip-stats').textContent = 
+        `Round-trip: ${(result.accuracy * 100).toFixed(1)}% exact · ` +
+        `${(result.lemmaAccuracy * 100).toFixed(1)}% base form (${result.integrated} words)`;
 }
 
-// Analyze word structure (for unknown words)
-function analyzeWordStructure(word) {
-    const analysis = {
-        english: word,
-        chinese: "[Analysis in progress...]",
-        pinyin: "",
-        category: "Unknown",
-        priority: 5,
-        analysis: {
-            structure: "",
-            morphemes: [],
-            meaning: "",
-            matchType: "analysis",
-            confidence: 0.5
+// Display integrated passage
+function displayPassage(result) {
+    const output = document.getElementById('passage-output');
+    output.innerHTML = '';
+    
+    result.segments.forEach(segment => {
+        if (segment.status === 'passthrough') {
+            output.appendChild(document.createTextNode(segment.output));
+            return;
         }
-    };
-    
-    // Check for classical roots
-    const classicalRoots = detectClassicalRoots(word);
-    if (classicalRoots.length > 0) {
-        analysis.analysis.structure = classicalRoots.map(r => `${r.root} (${r.meaning})`).join(' + ');
-        analysis.analysis.morphemes = classicalRoots.map(r => r.root);
-        analysis.analysis.meaning = classicalRoots.map(r => r.meaning).join('');
-        analysis.analysis.matchType = "classical_analysis";
-        analysis.analysis.confidence = 0.7;
         
-        // Generate Chinese approximation
-        analysis.chinese = classicalRoots.map(r => r.meaning).join('');
-    } else {
-        // Try to segment compound word
-        const segments = segmentCompoundWord(word);
-        if (segments.length > 1) {
-            analysis.analysis.structure = segments.join(' + ');
-            analysis.analysis.morphemes = segments;
-            analysis.analysis.matchType = "compound_analysis";
-            analysis.analysis.confidence = 0.6;
+        const span = document.createElement('span');
+        span.className = `passage-token ${segment.status}`;
+        span.textContent = segment.output;
+        
+        if (segment.entry) {
+            span.title = `${segment.text} → ${segment.entry.chinese} (${segment.entry.analysis.matchType})`;
+            span.addEventListener('click', () => displayResult(segment.entry));
         } else {
-            analysis.analysis.structure = "Simple word";
-            analysis.analysis.morphemes = [word];
-            analysis.analysis.matchType = "unknown";
-            analysis.analysis.confidence = 0.3;
+            span.title = `${segment.text}: no mapping found`;
         }
-    }
-    
-    // Generate pinyin placeholder
-    analysis.pinyin = generatePinyin(analysis.chinese);
+        
+        output.appendChild(span);
+    });
     
-    return analysis;
+    const { words, integrated, retained, unmapped } = result.stats;
+    document.getElementById('passage-stats').textContent = 
+        `${integrated}/${words} integrated · ${retained} kept · ${unmapped} unmapped`;
 }
 
-// Detect classical roots in word
-function detectClassicalRoots(word) {
-    const classicalRoots = {
-        'photo': '光', 'graph': '写', 'tele': '远', 'phon': '声',
-        'bio': '生', 'logy': '学', 'demo': '民', 'cracy': '治',
-        'geo': '地', 'therm': '热', 'hydro': '水', 'psych': '心',
-        'chron': '时', 'astr': '星', 'anthrop': '人', 'soci': '社'
-    };
+// Analyze every word of the pasted or loaded list
+async function analyzeBatchList() {
+    const batchInput = document.getElementById('batch-input');
+    const words = parseWordList(batchInput.value);
+    
+    if (words.length === 0) {
+        alert('Please enter or open a word list');
+        batchInput.focus();
+        return;
+    }
+    if (appState.batch.running) {
+        return;
+    }
     
-    const foundRoots = [];
+    appState.batch.running = true;
+    document.getElementById('batch-btn').disabled = true;
     
-    for (const [root, meaning] of Object.entries(classicalRoots)) {
-        if (word.includes(root)) {
-            foundRoots.push({
-                root,
-                meaning,
-                position: word.indexOf(root)
-            });
+    const job = appState.engine.batch(words, {
+        candidates: CONFIG.batchAlternatives,
+        onProgress: updateLoadingProgress
+    });
+    showLoading(true, { message: `Analyzing ${words.length} words...`, job });
+    updateLoadingProgress(0, words.length);
+    
+    try {
+        appState.batch.rows = await job;
+        renderBatchResults();
+    } catch (error) {
+        if (error.cancelled) {
+            document.getElementById('batch-stats').textContent = 'Cancelled';
+        } else {
+            console.error('Error analyzing word list:', error);
+            alert(`Could not analyze the list: ${error.message}`);
         }
+    } finally {
+        appState.batch.running = false;
+        document.getElementById('batch-btn').disabled = false;
+        showLoading(false);
+    }
+}
+
+// Read an uploaded CSV/TSV or text file into the list box
+function loadBatchFile(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
     }
     
-    // Sort by position in word
-    foundRoots.sort((a, b) => a.position - b.position);
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('batch-input').value = reader.result;
+        event.target.value = '';
+        analyzeBatchList();
+    };
+    reader.onerror = () => alert(`Could not read ${file.name}`);
+    reader.readAsText(file);
+}
+
+// Summary, export buttons and the results grid
+function renderBatchResults() {
+    const { rows } = appState.batch;
+    const { total, found, byMatchType, meanConfidence } = batchSummary(rows);
+    
+    document.getElementById('batch-stats').textContent = 
+        `${found}/${total} mapped · mean confidence ${Math.round(meanConfidence * 100)}%`;
+    document.getElementById('batch-summary').textContent = Object.entries(byMatchType)
+        .sort((a, b) => b[1] - a[1])
+        .map(([matchType, count]) => `${matchType.replace(/_/g, ' ')}: ${count}`)
+        .join(' · ');
+    document.querySelectorAll('.batch-export').forEach(button => {
+        button.disabled = rows.length === 0;
+    });
     
-    return foundRoots;
+    renderBatchTable();
 }
 
-// Segment compound word
-function segmentCompoundWord(word) {
-    // Common patterns for compound words
-    const patterns = [
-        /^(\w+)(graphy|logy|nomy|sophy|pathy)$/,
-        /^(micro|macro|tele|hydro|psych|chron)(\w+)$/,
-        /^(\w+)(able|ible|ful|less|ness|ment|tion|sion)$/,
-        /^(un|dis|re|pre|mis|over|under)(\w+)$/
-    ];
+// Results grid in the current sort order; a row opens the word's analysis
+function renderBatchTable() {
+    const tableBody = document.getElementById('batch-table-body');
+    const { rows, sort } = appState.batch;
+    tableBody.innerHTML = '';
     
-    for (const pattern of patterns) {
-        const match = word.match(pattern);
-        if (match) {
-            return match.slice(1).filter(segment => segment.length > 1);
-        }
+    sortBatchRows(rows, sort).forEach(row => {
+        const tr = document.createElement('tr');
+        tr.classList.toggle('unmapped', !row.found);
+        const alternatives = row.alternatives
+            .map(alternative => `${alternative.hanzi} ${Math.round(alternative.confidence * 100)}%`)
+            .join(', ');
+        tr.innerHTML = `
+            <td>${row.id}</td>
+            <td><strong>${escapeHtml(row.english)}</strong></td>
+            <td class="chinese-cell">${escapeHtml(row.hanzi || '-')}</td>
+            <td>${escapeHtml(row.pinyin || '-')}</td>
+            <td title="${escapeHtml(row.strategy)}">${escapeHtml(row.match_type.replace(/_/g, ' '))}</td>
+            <td>${Math.round(row.confidence * 100)}%</td>
+            <td class="alternatives-cell">${escapeHtml(alternatives)}</td>
+        `;
+        
+        tr.style.cursor = 'pointer';
+        tr.addEventListener('click', () => {
+            switchMode('word');
+            document.getElementById('word-input').value = row.english;
+            analyzeWord();
+        });
+        tableBody.appendChild(tr);
+    });
+    
+    document.querySelectorAll('.batch-table th[data-sort]').forEach(header => {
+        const sorted = sort && sort.field === header.dataset.sort;
+        header.classList.toggle('sort-asc', Boolean(sorted) && sort.direction === 'asc');
+        header.classList.toggle('sort-desc', Boolean(sorted) && sort.direction === 'desc');
+    });
+}
+
+// Sort the results grid: ascending, then descending, then list order
+function sortBatch(field) {
+    const { sort } = appState.batch;
+    if (!sort || sort.field !== field) {
+        appState.batch.sort = { field, direction: 'asc' };
+    } else if (sort.direction === 'asc') {
+        appState.batch.sort = { field, direction: 'desc' };
+    } else {
+        appState.batch.sort = null;
+    }
+    renderBatchTable();
+}
+
+// Download the batch results in the source CSV layout
+function exportBatch(format) {
+    const types = { csv: 'text/csv', tsv: 'text/tab-separated-values', json: 'application/json' };
+    const rows = sortBatchRows(appState.batch.rows, appState.batch.sort);
+    downloadText(`sinographic_batch.${format}`, formatBatch(rows, format), types[format]);
+}
+
+// Reverse index over the current lexicon, built on first use
+function getReverseIndex() {
+    if (!appState.reverseIndex) {
+        appState.reverseIndex = new ReverseIndex(appState.database, { index: appState.lexiconIndex });
+    }
+    return appState.reverseIndex;
+}
+
+// Look up the hanzi or pinyin in the reverse input
+function lookupReverse() {
+    const reverseInput = document.getElementById('reverse-input');
+    const query = reverseInput.value.trim();
+    
+    if (!query) {
+        alert('Please enter hanzi or pinyin');
+        reverseInput.focus();
+        return;
     }
     
-    // Try to find common boundaries
-    const vowels = ['a', 'e', 'i', 'o', 'u'];
-    const segments = [];
-    let currentSegment = '';
+    const result = getReverseIndex().search(query);
+    displayReverseResult(result);
     
-    for (let i = 0; i < word.length; i++) {
-        currentSegment += word[i];
-        
-        // Check for boundary
-        if (i < word.length - 1) {
-            const currentIsVowel = vowels.includes(word[i]);
-            const nextIsConsonant = !vowels.includes(word[i + 1]);
-            
-            if (currentIsVowel && nextIsConsonant && currentSegment.length > 2) {
-                const remaining = word.slice(i + 1);
-                if (remaining.length > 2) {
-                    segments.push(currentSegment);
-                    currentSegment = '';
-                }
-            }
-        }
+    // A single character also opens its family
+    if (result.kind === 'hanzi' && Array.from(query).length === 1) {
+        showCharacterFamily(query);
+    } else {
+        document.getElementById('character-family').classList.add('hidden');
     }
-    
-    if (currentSegment) {
-        segments.push(currentSegment);
+}
+
+// Display reverse lookup matches grouped by logic type and part of speech
+function displayReverseResult(result) {
+    const { exact, partial, groups } = result;
+    const container = document.getElementById('reverse-results');
+    
+    document.getElementById('reverse-stats').textContent = 
+        `${exact.length} exact · ${partial.length} containing "${result.query}"`;
+    
+    if (groups.length === 0) {
+        const message = document.createElement('p');
+        message.textContent = `No English entries map to "${result.query}".`;
+        container.replaceChildren(message);
+        return;
     }
     
-    return segments.length > 1 ? segments : [word];
+    container.innerHTML = renderEntryGroups(groups);
+    bindReverseLinks(container);
 }
 
-// Generate pinyin placeholder (simplified)
-function generatePinyin(chinese) {
-    if (!chinese || chinese.startsWith('[')) return '';
-    
-    // Very simplified pinyin mapping
-    const pinyinMap = {
-        '摄': 'shè', '影': 'yǐng',
-        '民': 'mín', '主': 'zhǔ',
-        '生': 'shēng', '物': 'wù', '学': 'xué',
-        '光': 'guāng', '写': 'xiě',
-        '电': 'diàn', '话': 'huà'
-    };
-    
-    return Array.from(chinese).map(char => 
-        pinyinMap[char] || char
-    ).join(' ');
+// Logic / part-of-speech groups of entries
+function renderEntryGroups(groups) {
+    const logicTypes = appState.lexiconMeta ? appState.lexiconMeta.logic_types : LOGIC_TYPES;
+    
+    return groups.map(group => `
+        <div class="reverse-group">
+            <h4><span class="logic-badge logic-${escapeHtml(group.logic || 'none')}">${escapeHtml(group.logic || '-')}</span>
+                ${escapeHtml(describeLogic(group.logic, logicTypes))} (${group.count})</h4>
+            ${group.groups.map(posGroup => `
+                <div class="reverse-pos-group">
+                    <span class="detail-label">${escapeHtml(describePos(posGroup.pos))}</span>
+                    <div class="reverse-entries">
+                        ${posGroup.entries.map(renderReverseEntry).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+// One English entry; its word opens the analysis, its characters their families
+function renderReverseEntry(entry) {
+    const chars = Array.from(entry.chinese)
+        .map(char => `<span class="reverse-char" data-char="${escapeHtml(char)}">${escapeHtml(char)}</span>`)
+        .join('');
+    return `
+        <span class="reverse-entry">
+            <span class="reverse-word" data-word="${escapeHtml(entry.english)}">${escapeHtml(entry.english)}</span>
+            <span class="reverse-hanzi">${chars}</span>
+            <span class="reverse-pinyin">${escapeHtml(entry.pinyin)}</span>
+        </span>
+    `;
+}
+
+function bindReverseLinks(container) {
+    container.querySelectorAll('.reverse-word').forEach(item => {
+        item.addEventListener('click', () => window.analyzeRelatedWord(item.dataset.word));
+    });
+    container.querySelectorAll('.reverse-char').forEach(item => {
+        item.addEventListener('click', () => showCharacterFamily(item.dataset.char));
+    });
+}
+
+// Chips for the characters shared by the most entries
+function renderCharacterChips() {
+    const chips = document.getElementById('character-chips');
+    if (chips.childElementCount > 0) return;
+    
+    getReverseIndex().topCharacters(24).forEach(({ char, count }) => {
+        const chip = document.createElement('span');
+        chip.className = 'example-tag character-chip';
+        chip.textContent = `${char} ${count}`;
+        chip.addEventListener('click', () => {
+            document.getElementById('reverse-input').value = char;
+            lookupReverse();
+        });
+        chips.appendChild(chip);
+    });
+}
+
+// Family page: every English word one character covers
+function showCharacterFamily(char) {
+    const family = getReverseIndex().family(char);
+    const container = document.getElementById('character-family');
+    const readings = appState.pinyinTable ? appState.pinyinTable.chars.get(char) || [] : [];
+    
+    const positions = [
+        ['alone', 'On its own'],
+        ['initial', 'First character'],
+        ['medial', 'Middle character'],
+        ['final', 'Last character']
+    ]
+        .filter(([key]) => family.positions[key].length > 0)
+        .map(([key, label]) => `<li>${label}: ${family.positions[key].length}</li>`)
+        .join('');
+    
+    const categories = family.categories
+        .map(({ category, count }) => `<li>${escapeHtml(category)}: ${count}</li>`)
+        .join('');
+    
+    container.innerHTML = `
+        <div class="family-header">
+            <span class="chinese-characters">${escapeHtml(char)}</span>
+            <span class="pinyin">${escapeHtml(readings.join(' / '))}</span>
+            <span class="family-count">${family.count} English ${family.count === 1 ? 'word' : 'words'}</span>
+        </div>
+        ${family.count > 0 ? `
+            <div class="family-summary">
+                <div><strong>Position in word</strong><ul>${positions}</ul></div>
+                <div><strong>Categories</strong><ul>${categories}</ul></div>
+            </div>
+            ${renderEntryGroups(family.groups)}
+        ` : `<p>No English entries use ${escapeHtml(char)}.</p>`}
+    `;
+    container.classList.remove('hidden');
+    bindReverseLinks(container);
+}
+
+// Describe ambiguous readings ("为: wéi/wèi")
+function describeAmbiguousPinyin(ambiguous) {
+    return ambiguous.map(a => `${a.char}: ${a.readings.join('/')}`).join(', ');
 }
 
 // Display analysis result
@@ -528,10 +987,17 @@ function displayResult(entry) {
     // Update main display
     document.getElementById('english-word-display').textContent = entry.english;
     document.getElementById('chinese-result-display').innerHTML = `
-        <span class="chinese-characters">${entry.chinese}</span>
-        <span class="pinyin" id="pinyin-display">${entry.pinyin}</span>
+        <span class="chinese-characters">${escapeHtml(entry.chinese)}</span>
+        <span class="pinyin" id="pinyin-display">${escapeHtml(entry.pinyin)}</span>
     `;
     
+    // Flag polyphones whose reading was guessed
+    if (entry.pinyinAmbiguous && entry.pinyinAmbiguous.length > 0) {
+        const pinyinDisplay = document.getElementById('pinyin-display');
+        pinyinDisplay.classList.add('ambiguous');
+        pinyinDisplay.title = `Ambiguous reading: ${describeAmbiguousPinyin(entry.pinyinAmbiguous)}`;
+    }
+    
     // Update confidence
     const confidence = entry.analysis.confidence || CONFIG.defaultConfidence;
     document.getElementById('confidence-value').textContent = confidence.toFixed(2);
@@ -542,6 +1008,8 @@ function displayResult(entry) {
         confidence > 0.8 ? '#065f46' : 
         confidence > 0.6 ? '#92400e' : '#991b1b';
     
+    updateConfidenceFactors(entry.analysis.factors || []);
+    
     // Update mapping type
     document.getElementById('mapping-type').textContent = 
         entry.analysis.matchType.replace('_', ' ').toUpperCase();
@@ -554,6 +1022,14 @@ function displayResult(entry) {
         entry.analysis.morphemes;
     document.getElementById('semantic-category').textContent = entry.category;
     document.getElementById('match-type').textContent = entry.analysis.matchType;
+    document.getElementById('logic-type').textContent = 
+        describeLogic(entry.logic, appState.lexiconMeta ? appState.lexiconMeta.logic_types : LOGIC_TYPES);
+    document.getElementById('part-of-speech').textContent = describePos(entry.pos);
+    document.getElementById('word-meaning').textContent = 
+        [entry.meaning_en, entry.meaning_zh].filter(Boolean).join(' / ') || '-';
+    updateSuggestions(entry.suggestions || []);
+    updateCandidates(entry);
+    updateFeedbackBar(entry);
     
     // Update tabs
     updateEtymologyTab(entry);
@@ -567,12 +1043,134 @@ function displayResult(entry) {
     }, 1000);
 }
 
+// Show how each factor moved the confidence score
+function updateConfidenceFactors(factors) {
+    const container = document.getElementById('confidence-factors');
+    const list = document.getElementById('factor-list');
+    list.innerHTML = '';
+    container.classList.toggle('hidden', factors.length === 0);
+    
+    factors.forEach(factor => {
+        const row = document.createElement('tr');
+        const sign = factor.contribution > 0 ? 'positive' : factor.contribution < 0 ? 'negative' : '';
+        row.innerHTML = `
+            <td>${escapeHtml(factor.label)}</td>
+            <td>${factor.value.toFixed(2)}</td>
+            <td>${factor.weight.toFixed(2)}</td>
+            <td class="factor-contribution ${sign}">${factor.contribution > 0 ? '+' : ''}${factor.contribution.toFixed(2)}</td>
+        `;
+        list.appendChild(row);
+    });
+}
+
+// Show the ranked candidates from every strategy; picking one shows it
+// and records the choice
+async function updateCandidates(entry) {
+    const container = document.getElementById('candidate-alternatives');
+    const list = document.getElementById('candidate-list');
+    let candidates = [];
+    try {
+        candidates = await appState.engine.rank(entry.input, { limit: CONFIG.candidateLimit });
+    } catch (error) {
+        console.error('Error ranking candidates:', error);
+    }
+    
+    // Another result may have been shown meanwhile
+    if (appState.currentResult !== entry) {
+        return;
+    }
+    
+    const choice = appState.candidateChoices.find(c => c.word === entry.input);
+    list.innerHTML = '';
+    container.classList.toggle('hidden', !candidates.some(candidate => candidate.chinese !== entry.chinese));
+    
+    candidates.forEach(candidate => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'candidate-item';
+        item.classList.toggle('current', candidate.chinese === entry.chinese);
+        item.classList.toggle('chosen', Boolean(choice) && choice.chinese === candidate.chinese);
+        item.innerHTML = `
+            <span class="candidate-hanzi">${candidate.rank}. ${escapeHtml(candidate.chinese)} ${escapeHtml(candidate.pinyin)}</span>
+            <span class="candidate-meta">${escapeHtml(candidate.analysis.matchType.replace('_', ' '))} · ${candidate.analysis.confidence.toFixed(2)}</span>
+        `;
+        item.title = candidate.analysis.structure;
+        item.addEventListener('click', () => chooseCandidate(candidate));
+        list.appendChild(item);
+    });
+}
+
+// Restore the candidates picked in earlier sessions
+function loadCandidateChoices() {
+    try {
+        appState.candidateChoices = JSON.parse(localStorage.getItem(CONFIG.candidateChoicesKey) || '[]');
+    } catch (error) {
+        console.error('Error loading candidate choices:', error);
+    }
+}
+
+// Show a ranked candidate and record it as the user's pick for the word
+function chooseCandidate(candidate) {
+    const choice = {
+        word: candidate.input,
+        chinese: candidate.chinese,
+        english: candidate.english,
+        strategy: candidate.strategy,
+        matchType: candidate.analysis.matchType,
+        confidence: candidate.analysis.confidence,
+        rank: candidate.rank,
+        chosenAt: new Date().toISOString()
+    };
+    appState.candidateChoices = [choice, ...appState.candidateChoices.filter(c => c.word !== choice.word)];
+    
+    try {
+        localStorage.setItem(CONFIG.candidateChoicesKey, JSON.stringify(appState.candidateChoices));
+    } catch (error) {
+        console.error('Error saving candidate choice:', error);
+    }
+    
+    displayResult(candidate);
+}
+
+// Reset the feedback controls for a new result, marking an earlier vote
+function updateFeedbackBar(entry) {
+    const previous = appState.feedback.find(record => record.query === entry.input && record.hanzi === entry.chinese);
+    document.getElementById('feedback-up').classList.toggle('active', Boolean(previous) && previous.vote === 'up');
+    document.getElementById('feedback-down').classList.toggle('active', Boolean(previous) && previous.vote === 'down');
+    document.getElementById('feedback-suggestion').value = '';
+    setFeedbackStatus('');
+}
+
+function setFeedbackStatus(message, isError = false) {
+    const status = document.getElementById('feedback-status');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+// Show "did you mean" suggestions
+function updateSuggestions(suggestions) {
+    const container = document.getElementById('did-you-mean');
+    const list = document.getElementById('suggestion-list');
+    list.innerHTML = '';
+    container.classList.toggle('hidden', suggestions.length === 0);
+    
+    suggestions.forEach(suggestion => {
+        const item = document.createElement('span');
+        item.className = 'suggestion-item';
+        item.textContent = `${suggestion.english} (${suggestion.score.toFixed(2)})`;
+        item.title = `${suggestion.entries[0].chinese} · edit distance ${suggestion.distance}` + 
+            (suggestion.phonetic ? ' · sounds alike' : '');
+        item.addEventListener('click', () => window.analyzeRelatedWord(suggestion.english));
+        list.appendChild(item);
+    });
+}
+
 // Update etymology tab
 function updateEtymologyTab(entry) {
     const content = document.getElementById('etymology-content');
     
     if (entry.analysis.matchType.includes('classical')) {
-        const roots = detectClassicalRoots(entry.english);
+        const roots = entry.analysis.roots || [];
         
         let html = `
             <h4>Classical Etymology Analysis</h4>
@@ -583,40 +1181,62 @@ function updateEtymologyTab(entry) {
         roots.forEach(root => {
             html += `
                 <div class="etymology-item">
-                    <span class="etymology-english">${root.root}</span>
+                    <span class="etymology-english">${escapeHtml(root.root)}</span>
                     <span class="etymology-arrow">→</span>
-                    <span class="etymology-chinese">${root.meaning}</span>
-                    <span class="etymology-meaning">(${getRootMeaning(root.root)})</span>
+                    <span class="etymology-chinese">${escapeHtml(root.meaning)}</span>
+                    <span class="etymology-meaning">(${escapeHtml(root.origin)}: ${escapeHtml(root.gloss)})</span>
                 </div>
             `;
         });
         
         html += `
             </div>
-            <p><strong>Combined Meaning:</strong> ${entry.analysis.meaning}</p>
+            <p><strong>Combined Meaning:</strong> ${escapeHtml(entry.analysis.meaning)}</p>
+            ${renderSegmentations(entry.analysis.segmentations)}
+            ${renderTrace(entry.analysis.trace)}
         `;
         
         content.innerHTML = html;
     } else {
         content.innerHTML = `
             <h4>Word Analysis</h4>
-            <p><strong>Structure:</strong> ${entry.analysis.structure}</p>
-            <p><strong>Morphemes:</strong> ${Array.isArray(entry.analysis.morphemes) ? 
-                entry.analysis.morphemes.join(', ') : entry.analysis.morphemes}</p>
-            <p><strong>Mapping Method:</strong> ${entry.analysis.matchType}</p>
+            <p><strong>Structure:</strong> ${escapeHtml(entry.analysis.structure)}</p>
+            <p><strong>Morphemes:</strong> ${escapeHtml(Array.isArray(entry.analysis.morphemes) ? 
+                entry.analysis.morphemes.join(', ') : entry.analysis.morphemes)}</p>
+            <p><strong>Mapping Method:</strong> ${escapeHtml(entry.analysis.matchType)}</p>
             <p><strong>Confidence Level:</strong> ${(entry.analysis.confidence * 100).toFixed(1)}%</p>
+            ${renderSegmentations(entry.analysis.segmentations)}
+            ${renderTrace(entry.analysis.trace)}
         `;
     }
 }
 
-// Get meaning for classical root
-function getRootMeaning(root) {
-    const meanings = {
-        'photo': 'light', 'graph': 'write', 'tele': 'far', 'phon': 'sound',
-        'bio': 'life', 'logy': 'study', 'demo': 'people', 'cracy': 'rule',
-        'geo': 'earth', 'therm': 'heat', 'hydro': 'water', 'psych': 'mind'
-    };
-    return meanings[root] || 'unknown meaning';
+// Composition rules that produced a proposed compound
+function renderTrace(trace) {
+    if (!trace || trace.length === 0) return '';
+    
+    const steps = describeTrace(trace).map(step => `<li>${escapeHtml(step)}</li>`).join('');
+    return `
+        <p><strong>Composition:</strong></p>
+        <ol class="composition-trace">${steps}</ol>
+    `;
+}
+
+// Ranked segmentations with their scores
+function renderSegmentations(segmentations) {
+    if (!segmentations || segmentations.length === 0) return '';
+    
+    const items = segmentations.map(s => `
+        <li class="segmentation-item">
+            <span class="segmentation-structure">${escapeHtml(s.structure)}</span>
+            <span class="segmentation-score">${(s.score * 100).toFixed(0)}%</span>
+        </li>
+    `).join('');
+    
+    return `
+        <p><strong>Segmentations:</strong></p>
+        <ol class="segmentation-list">${items}</ol>
+    `;
 }
 
 // Update synonyms tab
@@ -630,7 +1250,7 @@ function updateSynonymsTab(entry) {
     
     if (synonyms.length > 0) {
         html += `
-            <p>Words related to <strong>${entry.english}</strong>:</p>
+            <p>Words related to <strong>${escapeHtml(entry.english)}</strong>:</p>
             <div class="synonyms-grid">
         `;
         
@@ -644,7 +1264,7 @@ function updateSynonymsTab(entry) {
         
         html += `</div>`;
     } else {
-        html += `<p>No synonyms found for "${entry.english}" in the database.</p>`;
+        html += `<p>No synonyms found for "${escapeHtml(entry.english)}" in the database.</p>`;
     }
     
     content.innerHTML = html;
@@ -670,19 +1290,27 @@ function updateExamplesTab(entry) {
     const content = document.getElementById('examples-content');
     const examples = generateExamples(entry.english, entry.chinese);
     
+    // Lexicon example in integrated form (e.g. "I 霜 it.")
+    if (entry.example) {
+        examples.unshift({
+            english: entry.example.replace(/^Example:\s*/, ''),
+            chinese: 'Lexicon example (integrated text)'
+        });
+    }
+    
     let html = `<h4>Usage Examples</h4>`;
     
     if (examples.length > 0) {
         examples.forEach(example => {
             html += `
                 <div class="example-sentence">
-                    <div class="example-english">${example.english}</div>
-                    <div class="example-chinese">${example.chinese}</div>
+                    <div class="example-english">${escapeHtml(example.english)}</div>
+                    <div class="example-chinese">${escapeHtml(example.chinese)}</div>
                 </div>
             `;
         });
     } else {
-        html += `<p>No examples available for "${entry.english}".</p>`;
+        html += `<p>No examples available for "${escapeHtml(entry.english)}".</p>`;
     }
     
     content.innerHTML = html;
@@ -726,56 +1354,130 @@ function generateExamples(english, chinese) {
     return examples[english] || [];
 }
 
-// Initialize database table
+// Initialize database table, restoring a shared view from the URL
 function initializeDatabaseTable() {
+    const page = readQueryURL();
+    filterDatabase();
+    appState.currentPage = Math.max(1, Math.min(page, pageCount()));
     renderDatabaseTable();
+    updateEditorControls();
 }
 
-// Filter database based on search and category
+// Filter database with the search query and category, then sort. A query
+// with a syntax error keeps the previous results and shows the error.
 function filterDatabase() {
     const { searchTerm, selectedCategory, database } = appState;
     
-    appState.filteredDatabase = database.filter(item => {
-        // Search term filter
-        const matchesSearch = !searchTerm || 
-            item.english.toLowerCase().includes(searchTerm) ||
-            item.chinese.includes(searchTerm) ||
-            item.pinyin.toLowerCase().includes(searchTerm);
-        
-        // Category filter
-        const matchesCategory = selectedCategory === 'all' || 
-            item.category.toLowerCase().includes(selectedCategory);
-        
-        return matchesSearch && matchesCategory;
-    });
+    let matchesQuery;
+    try {
+        matchesQuery = compileQuery(searchTerm);
+        appState.queryError = '';
+    } catch (error) {
+        appState.queryError = error.message;
+        updateQueryError();
+        return;
+    }
+    updateQueryError();
+    
+    const filtered = database.filter(item => matchesQuery(item) &&
+        (selectedCategory === 'all' || categoryMatches(item.category, selectedCategory)));
     
+    appState.filteredDatabase = sortEntries(filtered, appState.sort);
     appState.currentPage = 1;
 }
 
+// Show or clear the query syntax error
+function updateQueryError() {
+    document.getElementById('query-error').textContent = appState.queryError;
+    document.getElementById('search-db').classList.toggle('invalid', appState.queryError !== '');
+}
+
+// Sort by a column: ascending, then descending, then unsorted
+function sortDatabase(field) {
+    const { sort } = appState;
+    if (!sort || sort.field !== field) {
+        appState.sort = { field, direction: 'asc' };
+    } else if (sort.direction === 'asc') {
+        appState.sort = { field, direction: 'desc' };
+    } else {
+        appState.sort = null;
+    }
+    filterDatabase();
+    renderDatabaseTable();
+}
+
+// Mark the sorted column header
+function updateSortHeaders() {
+    document.querySelectorAll('.database-section th[data-sort]').forEach(header => {
+        const sorted = appState.sort && appState.sort.field === header.dataset.sort;
+        header.classList.toggle('sort-asc', Boolean(sorted) && appState.sort.direction === 'asc');
+        header.classList.toggle('sort-desc', Boolean(sorted) && appState.sort.direction === 'desc');
+    });
+}
+
+// Change rows per page, keeping the first visible row in view
+function changePageSize(size) {
+    const firstRow = (appState.currentPage - 1) * appState.pageSize;
+    appState.pageSize = CONFIG.pageSizes.includes(size) ? size : CONFIG.itemsPerPage;
+    appState.currentPage = Math.floor(firstRow / appState.pageSize) + 1;
+    renderDatabaseTable();
+}
+
+// Number of table pages (at least one)
+function pageCount() {
+    return Math.max(1, Math.ceil(appState.filteredDatabase.length / appState.pageSize));
+}
+
 // Render database table
 function renderDatabaseTable() {
     const tableBody = document.getElementById('database-table-body');
     const { filteredDatabase, currentPage } = appState;
     
     // Calculate pagination
-    const startIndex = (currentPage - 1) * CONFIG.itemsPerPage;
-    const endIndex = startIndex + CONFIG.itemsPerPage;
+    const startIndex = (currentPage - 1) * appState.pageSize;
+    const endIndex = startIndex + appState.pageSize;
     const pageItems = filteredDatabase.slice(startIndex, endIndex);
     
     // Clear table
     tableBody.innerHTML = '';
     
+    if (appState.editingId === 'new') {
+        appendEditRow(tableBody, null);
+    }
+    
     // Populate table
     pageItems.forEach(item => {
+        if (appState.editingId === item.id) {
+            appendEditRow(tableBody, item);
+            return;
+        }
+        
         const row = document.createElement('tr');
+        row.classList.toggle('edited', appState.editor !== null && appState.editor.state(item.id) !== undefined);
         row.innerHTML = `
-            <td><strong>${item.english}</strong></td>
-            <td class="chinese-cell">${item.chinese}</td>
-            <td>${item.pinyin}</td>
-            <td><span class="category-badge category-${getCategoryClass(item.category)}">${item.category}</span></td>
-            <td><span class="priority-badge priority-${item.priority}">${item.priority}</span></td>
+            <td><strong>${escapeHtml(item.english)}</strong></td>
+            <td class="chinese-cell">${escapeHtml(item.chinese)}</td>
+            <td>${escapeHtml(item.pinyin)}</td>
+            <td>${escapeHtml(item.pos || '-')}</td>
+            <td><span class="logic-badge logic-${escapeHtml(item.logic || 'none')}">${escapeHtml(item.logic || '-')}</span></td>
+            <td><span class="category-badge category-${getCategoryClass(item.category)}">${escapeHtml(item.category)}</span></td>
+            <td><span class="priority-badge priority-${escapeHtml(item.priority)}">${escapeHtml(item.priority)}</span></td>
+            <td class="meaning-cell" title="${escapeHtml(item.meaning_zh)}">${escapeHtml(item.meaning_en)}</td>
+            <td class="row-actions">
+                <button class="row-action" data-action="edit" title="Edit entry"><i class="fas fa-pen"></i></button>
+                <button class="row-action" data-action="delete" title="Delete entry"><i class="fas fa-trash"></i></button>
+            </td>
         `;
         
+        row.querySelector('[data-action="edit"]').addEventListener('click', event => {
+            event.stopPropagation();
+            startEditing(item.id);
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', event => {
+            event.stopPropagation();
+            deleteLexiconEntry(item.id);
+        });
+        
         // Make row clickable
         row.style.cursor = 'pointer';
         row.addEventListener('click', () => {
@@ -786,8 +1488,478 @@ function renderDatabaseTable() {
         tableBody.appendChild(row);
     });
     
-    // Update pagination
+    // Update pagination, sort indicators and the shareable URL
     updatePagination();
+    updateSortHeaders();
+    updateQueryURL();
+}
+
+// Options for a select: [value, label] pairs
+function renderOptions(options) {
+    return options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+}
+
+// Append the inline form for an entry (null for a new one) and its issues
+function appendEditRow(tableBody, item) {
+    const logicTypes = appState.lexiconMeta ? appState.lexiconMeta.logic_types : LOGIC_TYPES;
+    const values = appState.editDraft || item || { priority: 3, logic: 'T1', category: KNOWN_CATEGORIES[0], pos: 'n' };
+    
+    const row = document.createElement('tr');
+    row.className = 'edit-row';
+    row.innerHTML = `
+        <td><input data-field="english" placeholder="english"></td>
+        <td class="chinese-cell"><input data-field="chinese" placeholder="汉字"></td>
+        <td><input data-field="pinyin" placeholder="pīnyīn"></td>
+        <td><select data-field="pos">${renderOptions([['', '-'], ...Object.entries(POS_LABELS)])}</select></td>
+        <td><select data-field="logic">${renderOptions(Object.keys(logicTypes).map(code => [code, code]))}</select></td>
+        <td><select data-field="category">${renderOptions(KNOWN_CATEGORIES.map(category => [category, category]))}</select></td>
+        <td><input data-field="priority" type="number" min="1" max="5"></td>
+        <td class="meaning-cell">
+            <input data-field="meaning_en" placeholder="meaning (English)">
+            <input data-field="meaning_zh" placeholder="释义">
+            <input data-field="example" placeholder="example">
+        </td>
+        <td class="row-actions">
+            <button class="row-action" data-action="save" title="Save"><i class="fas fa-check"></i></button>
+            <button class="row-action" data-action="cancel" title="Cancel"><i class="fas fa-times"></i></button>
+        </td>
+    `;
+    
+    // Set values through the DOM so quotes and markup stay literal
+    row.querySelectorAll('[data-field]').forEach(input => {
+        input.value = values[input.dataset.field] ?? '';
+    });
+    
+    row.querySelector('[data-action="save"]').addEventListener('click', () => saveLexiconEntry(row));
+    row.querySelector('[data-action="cancel"]').addEventListener('click', () => startEditing(null));
+    row.addEventListener('keydown', event => {
+        if (event.key === 'Enter') saveLexiconEntry(row);
+        if (event.key === 'Escape') startEditing(null);
+    });
+    tableBody.appendChild(row);
+    
+    if (appState.editIssues.length > 0) {
+        const issues = document.createElement('tr');
+        issues.className = 'edit-issues';
+        issues.innerHTML = `<td colspan="9">${appState.editIssues
+            .map(issue => `<div class="edit-issue ${issue.severity}">${issue.field ? `${issue.field}: ` : ''}${escapeHtml(issue.message)}</div>`)
+            .join('')}</td>`;
+        tableBody.appendChild(issues);
+    }
+}
+
+// Open the inline form for an entry id, 'new', or close it (null)
+function startEditing(id) {
+    appState.editingId = id;
+    appState.editDraft = null;
+    appState.editIssues = [];
+    renderDatabaseTable();
+    
+    const input = document.querySelector('.edit-row [data-field="english"]');
+    if (input) input.focus();
+}
+
+// Validate and save the inline form
+function saveLexiconEntry(row) {
+    const fields = {};
+    row.querySelectorAll('[data-field]').forEach(input => {
+        fields[input.dataset.field] = input.value;
+    });
+    
+    const id = appState.editingId;
+    const result = id === 'new' ? appState.editor.create(fields) : appState.editor.update(id, fields);
+    if (!result.ok) {
+        // Keep what was typed and show why it was refused
+        appState.editDraft = fields;
+        appState.editIssues = result.issues;
+        renderDatabaseTable();
+        return;
+    }
+    
+    appState.editingId = null;
+    appState.editDraft = null;
+    appState.editIssues = [];
+    persistLexiconEdit(result.entry.id);
+    applyLexiconEdits();
+}
+
+// Delete an entry (undoable)
+function deleteLexiconEntry(id) {
+    appState.editor.remove(id);
+    if (appState.editingId === id) appState.editingId = null;
+    persistLexiconEdit(id);
+    applyLexiconEdits();
+}
+
+function undoLexiconEdit() {
+    const id = appState.editor.undo();
+    if (id === null) return;
+    persistLexiconEdit(id);
+    applyLexiconEdits();
+}
+
+function redoLexiconEdit() {
+    const id = appState.editor.redo();
+    if (id === null) return;
+    persistLexiconEdit(id);
+    applyLexiconEdits();
+}
+
+// Drop every local change after confirmation (not undoable)
+async function resetLexiconEdits() {
+    if (appState.editor.size === 0 || !window.confirm('Discard all local lexicon changes?')) return;
+    
+    appState.editor.reset();
+    appState.editingId = null;
+    try {
+        if (appState.overlayStore) await appState.overlayStore.clear();
+    } catch (error) {
+        console.error('Error clearing lexicon edits:', error);
+    }
+    applyLexiconEdits();
+}
+
+// Save the overlay state of one entry to IndexedDB
+function persistLexiconEdit(id) {
+    if (!appState.overlayStore) return;
+    appState.overlayStore.save(id, appState.editor.state(id)).catch(error => {
+        console.error('Error saving lexicon edit:', error);
+    });
+}
+
+// Rebuild everything derived from the lexicon after an edit
+function applyLexiconEdits() {
+    appState.database = appState.editor.entries();
+    document.getElementById('total-words').textContent = appState.database.length;
+    
+    appState.pinyinTable = buildPinyinTable(appState.database, appState.pinyinSupplement);
+    appState.lexiconIndex = LexiconIndex.build(appState.database, {
+        lexiconVersion: appState.lexiconMeta ? appState.lexiconMeta.version : ''
+    });
+    appState.engine.init(engineData()).catch(error => {
+        console.error('Error rebuilding the analyzer:', error);
+    });
+    appState.reverseIndex = null;
+    appState.decoder = null;
+    initializeCollisionView();
+    
+    // Stay on the same page where possible
+    const page = appState.currentPage;
+    filterDatabase();
+    appState.currentPage = Math.max(1, Math.min(page, pageCount()));
+    renderDatabaseTable();
+    updateEditorControls();
+    
+    if (!document.getElementById('lexicon-diff').classList.contains('hidden')) {
+        renderLexiconDiff();
+    }
+}
+
+// Enable undo/redo and show the number of local changes
+function updateEditorControls() {
+    const editor = appState.editor;
+    document.getElementById('undo-edit-btn').disabled = !editor || !editor.canUndo;
+    document.getElementById('redo-edit-btn').disabled = !editor || !editor.canRedo;
+    document.getElementById('edit-count').textContent = editor ? editor.size : 0;
+}
+
+function toggleLexiconDiff() {
+    const panel = document.getElementById('lexicon-diff');
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) renderLexiconDiff();
+}
+
+// List local changes against the shipped lexicon
+function renderLexiconDiff() {
+    const panel = document.getElementById('lexicon-diff');
+    const diff = appState.editor.diff();
+    if (diff.length === 0) {
+        panel.innerHTML = '<p>No local changes.</p>';
+        return;
+    }
+    
+    const label = entry => escapeHtml(`${entry.english} ${entry.chinese} (${entry.pos || '-'})`);
+    panel.innerHTML = diff.map(change => {
+        const entry = change.after || change.before;
+        const fields = change.type === 'changed'
+            ? change.fields.map(field => `
+                <div class="diff-field">${field}: <del>${escapeHtml(change.before[field] || '∅')}</del> → <ins>${escapeHtml(change.after[field] || '∅')}</ins></div>
+            `).join('')
+            : '';
+        return `
+            <div class="diff-item ${change.type}">
+                <span class="diff-type">${change.type}</span> #${change.id} ${label(entry)}
+                ${fields}
+            </div>
+        `;
+    }).join('');
+}
+
+// Download the edited lexicon as lexicon.json
+function exportLexicon() {
+    const data = appState.editor.exportDocument(appState.lexiconMeta || {});
+    downloadText('lexicon.json', JSON.stringify(data, null, 2), 'application/json');
+}
+
+// Restore saved feedback and the override setting
+function initializeFeedback() {
+    try {
+        appState.feedback = JSON.parse(localStorage.getItem(CONFIG.feedbackKey) || '[]');
+        appState.applyOverrides = localStorage.getItem(CONFIG.applyOverridesKey) === 'true';
+    } catch (error) {
+        console.error('Error loading feedback:', error);
+    }
+    
+    document.getElementById('apply-overrides').checked = appState.applyOverrides;
+    applyUserOverrides();
+    renderFeedbackList();
+}
+
+function saveFeedback() {
+    try {
+        localStorage.setItem(CONFIG.feedbackKey, JSON.stringify(appState.feedback));
+        localStorage.setItem(CONFIG.applyOverridesKey, String(appState.applyOverrides));
+    } catch (error) {
+        console.error('Error saving feedback:', error);
+    }
+}
+
+// Record a vote or suggestion on the result being shown. A new vote on
+// the same query and hanzi replaces the earlier one.
+function recordFeedback(options) {
+    const result = appState.currentResult;
+    if (!result || !result.input) return;
+    
+    const id = Math.max(0, ...appState.feedback.map(record => record.id)) + 1;
+    const record = createFeedback(result, { ...options, id });
+    appState.feedback = [
+        record,
+        ...appState.feedback.filter(other => other.suggestion || record.suggestion ||
+            other.query !== record.query || other.hanzi !== record.hanzi)
+    ];
+    saveFeedback();
+    renderFeedbackList();
+    
+    document.getElementById('feedback-up').classList.toggle('active', record.vote === 'up');
+    document.getElementById('feedback-down').classList.toggle('active', record.vote === 'down');
+    setFeedbackStatus(record.suggestion ? `Suggested ${record.suggestion} for "${record.query}"` : 'Thanks, feedback saved');
+}
+
+// Record a better hanzi for the current result
+function suggestHanzi() {
+    const input = document.getElementById('feedback-suggestion');
+    const error = checkSuggestion(input.value);
+    if (error) {
+        setFeedbackStatus(error, true);
+        return;
+    }
+    recordFeedback({ suggestion: input.value });
+    input.value = '';
+}
+
+// Accepted corrections for the analyzer, when the option is on
+function userOverrides() {
+    return appState.applyOverrides ? feedbackOverrides(appState.feedback) : [];
+}
+
+// Put accepted corrections ahead of the cascade; refresh re-shows the
+// current word with them
+async function applyUserOverrides(refresh = false) {
+    if (!appState.engine) return;
+    try {
+        await appState.engine.setOverrides(userOverrides());
+        if (refresh && appState.currentResult && appState.currentResult.input) {
+            displayResult(await appState.engine.analyze(appState.currentResult.input));
+        }
+    } catch (error) {
+        console.error('Error applying corrections:', error);
+    }
+}
+
+// List feedback records, newest first
+function renderFeedbackList() {
+    const records = appState.feedback;
+    const list = document.getElementById('feedback-list');
+    const up = records.filter(record => record.vote === 'up').length;
+    const suggestions = records.filter(record => record.suggestion);
+    const accepted = suggestions.filter(record => record.accepted).length;
+    document.getElementById('feedback-summary').textContent = 
+        `${records.length} records · ${up} good · ${records.length - up} bad · ` +
+        `${suggestions.length} suggested hanzi (${accepted} accepted)`;
+    
+    list.innerHTML = '';
+    if (records.length === 0) {
+        list.innerHTML = '<p>No feedback yet. Rate a mapping or suggest better hanzi on the result card.</p>';
+        return;
+    }
+    
+    records.forEach(record => {
+        const item = document.createElement('div');
+        item.className = `feedback-item vote-${record.vote}`;
+        const meta = `${record.matchType} · ${Number(record.confidence).toFixed(2)} · ${String(record.createdAt).slice(0, 10)}`;
+        item.innerHTML = `
+            <span><strong>${escapeHtml(record.query)}</strong> → <span class="chinese">${escapeHtml(record.hanzi || '-')}</span></span>
+            <span>${record.suggestion ? `suggested <span class="chinese">${escapeHtml(record.suggestion)}</span>` : 
+                `<i class="fas fa-thumbs-${record.vote === 'up' ? 'up' : 'down'}"></i>`}</span>
+            ${record.suggestion ? `
+                <label class="feedback-toggle"><input type="checkbox" data-action="accept" ${record.accepted ? 'checked' : ''}> accepted</label>
+            ` : ''}
+            <span class="feedback-meta">${escapeHtml(meta)}</span>
+            <button class="row-action" data-action="delete" title="Delete feedback"><i class="fas fa-trash"></i></button>
+        `;
+        
+        const accept = item.querySelector('[data-action="accept"]');
+        if (accept) {
+            accept.addEventListener('change', () => {
+                record.accepted = accept.checked;
+                saveFeedback();
+                renderFeedbackList();
+                applyUserOverrides(true);
+            });
+        }
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            appState.feedback = appState.feedback.filter(other => other !== record);
+            saveFeedback();
+            renderFeedbackList();
+            applyUserOverrides(true);
+        });
+        list.appendChild(item);
+    });
+}
+
+// Download feedback for maintainers
+function exportFeedback(format) {
+    if (format === 'csv') {
+        downloadText('mapping_feedback.csv', feedbackToCsv(appState.feedback), 'text/csv');
+    } else {
+        downloadText('mapping_feedback.json', JSON.stringify(appState.feedback, null, 2), 'application/json');
+    }
+}
+
+// Analyze hanzi collisions and restore saved decisions
+function initializeCollisionView() {
+    appState.collisions = analyzeCollisions(appState.database);
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.collisionDecisionsKey) || '[]');
+        appState.collisionDecisions = new Set(saved);
+    } catch (error) {
+        console.error('Error loading collision decisions:', error);
+    }
+    
+    const { words, uniqueHanzi, groups, collidingWords, bySeverity, readingConflicts } = appState.collisions.summary;
+    document.getElementById('collision-summary').textContent = 
+        `${words} words on ${uniqueHanzi} hanzi · ${collidingWords} words in ${groups} collision groups ` +
+        `(${bySeverity.high} high, ${bySeverity.medium} medium, ${bySeverity.low} low loss) · ` +
+        `${readingConflicts} hanzi with several readings`;
+    
+    renderCollisionList();
+}
+
+// Render the collision groups chosen by the filter
+function renderCollisionList() {
+    const filter = document.getElementById('collision-filter').value;
+    const list = document.getElementById('collision-list');
+    const groups = appState.collisions.groups.filter(group => {
+        if (filter === 'all') return true;
+        if (filter === 'readings') return group.readingConflict;
+        return group.severity === filter;
+    });
+    
+    list.innerHTML = '';
+    if (groups.length === 0) {
+        list.innerHTML = '<p>No collisions match this filter.</p>';
+        return;
+    }
+    
+    groups.forEach(group => {
+        const card = document.createElement('div');
+        card.className = `collision-group severity-${group.severity}`;
+        card.innerHTML = `
+            <div class="collision-header">
+                <span class="collision-hanzi">${escapeHtml(group.hanzi)}</span>
+                <span class="collision-readings ${group.readingConflict ? 'conflict' : ''}" 
+                      title="${group.readingConflict ? 'Recorded with several readings' : ''}">
+                    ${escapeHtml(group.readings.map(r => r.pinyin).join(' / '))}
+                </span>
+                <span class="collision-loss">loss ${group.loss.toFixed(2)} · ${group.size} words</span>
+            </div>
+            <div class="collision-bar"><div style="width: ${(group.loss * 100).toFixed(0)}%"></div></div>
+            <div class="collision-words"></div>
+        `;
+        
+        const words = card.querySelector('.collision-words');
+        group.entries.forEach(entry => {
+            const item = document.createElement('span');
+            const anchor = entry === group.anchor;
+            item.className = 'collision-word' + (anchor ? ' anchor' : '');
+            item.classList.toggle('flagged', appState.collisionDecisions.has(entry.id));
+            item.textContent = `${entry.english} · ${entry.pos || '-'}`;
+            item.title = `${entry.category} · ${entry.pinyin}` + (anchor ? ' · most likely to keep the bare hanzi' : '');
+            item.addEventListener('click', () => {
+                toggleCollisionDecision(entry.id);
+                item.classList.toggle('flagged', appState.collisionDecisions.has(entry.id));
+            });
+            words.appendChild(item);
+        });
+        
+        list.appendChild(card);
+    });
+}
+
+// Mark or unmark an entry as needing a disambiguating compound
+function toggleCollisionDecision(id) {
+    const decisions = appState.collisionDecisions;
+    if (decisions.has(id)) {
+        decisions.delete(id);
+    } else {
+        decisions.add(id);
+    }
+    
+    try {
+        localStorage.setItem(CONFIG.collisionDecisionsKey, JSON.stringify([...decisions]));
+    } catch (error) {
+        console.error('Error saving collision decisions:', error);
+    }
+}
+
+// Download the entries marked as needing a compound
+function exportCollisionDecisions() {
+    const decisions = appState.collisions.groups.flatMap(group => group.entries
+        .filter(entry => appState.collisionDecisions.has(entry.id))
+        .map(entry => ({
+            id: entry.id,
+            english: entry.english,
+            hanzi: entry.chinese,
+            pinyin: entry.pinyin,
+            pos: entry.pos,
+            category: entry.category,
+            loss: group.loss
+        })));
+    
+    downloadText('collision_decisions.json', JSON.stringify(decisions, null, 2), 'application/json');
+}
+
+// Save text as a file download
+function downloadText(filename, text, type) {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Escape text for use in an innerHTML template (element content or a
+// quoted attribute value)
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
 }
 
 // Get CSS class for category
@@ -797,7 +1969,9 @@ function getCategoryClass(category) {
         'People/Society': 'society',
         'Actions/Changes': 'actions',
         'Qualities/Degree': 'qualities',
-        'Modern/Abstract': 'modern'
+        'Modern/Abstract': 'modern',
+        'Relations/Functions': 'relations',
+        'Body/Health': 'body'
     };
     
     for (const [key, value] of Object.entries(categoryMap)) {
@@ -813,7 +1987,7 @@ function getCategoryClass(category) {
 function updatePagination() {
     const pagination = document.getElementById('pagination');
     const totalItems = appState.filteredDatabase.length;
-    const totalPages = Math.ceil(totalItems / CONFIG.itemsPerPage);
+    const totalPages = pageCount();
     
     let html = `
         <button class="pagination-btn" onclick="changePage(${appState.currentPage - 1})" 
@@ -837,7 +2011,7 @@ function updatePagination() {
 
 // Change page (exposed for onclick)
 window.changePage = function(page) {
-    if (page < 1 || page > Math.ceil(appState.filteredDatabase.length / CONFIG.itemsPerPage)) {
+    if (page < 1 || page > pageCount()) {
         return;
     }
     
@@ -879,9 +2053,14 @@ function showRandomWord() {
     analyzeWord();
 }
 
-// Show loading modal
-function showLoading(show) {
+// Show or hide the loading modal. job is a running engine batch: the
+// modal then shows its progress and a Cancel button.
+function showLoading(show, { message = '', job = null } = {}) {
     const modal = document.getElementById('loading-modal');
+    appState.job = show ? job : null;
+    document.getElementById('loading-message').textContent = message;
+    document.getElementById('loading-progress').classList.toggle('hidden', !job);
+    document.getElementById('loading-cancel').classList.toggle('hidden', !job);
     if (show) {
         modal.classList.add('active');
     } else {
@@ -889,6 +2068,21 @@ function showLoading(show) {
     }
 }
 
+// Progress of the running job in the loading modal
+function updateLoadingProgress(done, total) {
+    const percent = total > 0 ? Math.round(done / total * 100) : 0;
+    document.getElementById('loading-progress-bar').style.width = `${percent}%`;
+    document.getElementById('loading-count').textContent = `${done} / ${total}`;
+}
+
+// Stop the job shown in the loading modal
+function cancelLoadingJob() {
+    if (appState.job) {
+        appState.engine.cancel(appState.job);
+        document.getElementById('loading-message').textContent = 'Cancelling...';
+    }
+}
+
 // Update URL for sharing
 function updateURL(word) {
     const url = new URL(window.location);
@@ -896,6 +2090,70 @@ function updateURL(word) {
     window.history.pushState({}, '', url);
 }
 
+// Keep the table view in the URL: q (query), cat, sort, size and page.
+// Defaults are left out so plain links stay plain.
+function updateQueryURL() {
+    const url = new URL(window.location);
+    const params = {
+        q: appState.searchTerm,
+        cat: appState.selectedCategory === 'all' ? '' : appState.selectedCategory,
+        sort: formatSort(appState.sort),
+        size: appState.pageSize === CONFIG.itemsPerPage ? '' : appState.pageSize,
+        page: appState.currentPage > 1 ? appState.currentPage : ''
+    };
+    
+    for (const [name, value] of Object.entries(params)) {
+        if (value) {
+            url.searchParams.set(name, value);
+        } else {
+            url.searchParams.delete(name);
+        }
+    }
+    
+    if (url.href !== window.location.href) {
+        window.history.replaceState(window.history.state, '', url);
+    }
+}
+
+// Restore the table view from the URL; returns the requested page
+function readQueryURL() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const categoryFilter = document.getElementById('category-filter');
+    const category = urlParams.get('cat');
+    const size = Number(urlParams.get('size'));
+    
+    appState.searchTerm = (urlParams.get('q') || '').trim();
+    document.getElementById('search-db').value = appState.searchTerm;
+    
+    if (category && [...categoryFilter.options].some(option => option.value === category)) {
+        appState.selectedCategory = category;
+        categoryFilter.value = category;
+    }
+    
+    appState.sort = parseSort(urlParams.get('sort'));
+    appState.pageSize = CONFIG.pageSizes.includes(size) ? size : CONFIG.itemsPerPage;
+    document.getElementById('page-size').value = String(appState.pageSize);
+    
+    return Number(urlParams.get('page')) || 1;
+}
+
+// Copy a link to the current table view
+async function copyQueryLink() {
+    updateQueryURL();
+    const link = window.location.href;
+    const button = document.getElementById('copy-query-link-btn');
+    
+    try {
+        await navigator.clipboard.writeText(link);
+        button.innerHTML = '<i class="fas fa-check"></i> Copied';
+        setTimeout(() => {
+            button.innerHTML = '<i class="fas fa-link"></i> Copy Link';
+        }, 2000);
+    } catch (error) {
+        window.prompt('Copy this link:', link);
+    }
+}
+
 // Check for word in URL on load
 function checkURLForWord() {
     const urlParams = new URLSearchParams(window.location.search);
@@ -0,0 +1,256 @@
+// Service worker - keeps the app usable offline.
+//
+//   app shell   page, styles and modules; precached, fetched from the
+//               network first so the page and its modules always come from
+//               the same deploy, and served from the cache offline
+//   lexicon     data/ and other JSON files (alternate lexicon builds given
+//               with ?lexicon=); the data files are precached in a cache
+//               named after the lexicon's metadata.version, fetched from
+//               the network first and served from the cache when the
+//               network fails or is too slow
+//   CDN assets  Font Awesome and Google Fonts; cached the first time the
+//               page loads them online
+//
+// A lexicon.json with a new metadata.version starts a fresh lexicon cache
+// and deletes the caches of older versions. A lexicon.json response is
+// checked with the page's parseLexicon before it is cached, so a truncated
+// or damaged copy never replaces the last good one.
+//
+// Registered as a module worker (js/offline.js) to share js/lexicon.js.
+
+import { parseLexicon } from './js/lexicon.js';
+
+const CACHE_PREFIX = 'sinographic-';
+
+// Bump when files are added to or removed from SHELL_FILES
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v1`;
+const CDN_CACHE = `${CACHE_PREFIX}cdn-v1`;
+const LEXICON_CACHE_PREFIX = `${CACHE_PREFIX}lexicon-v`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    'js/analyzer.js',
+    'js/batch.js',
+    'js/collisions.js',
+    'js/composer.js',
+    'js/csv.js',
+    'js/decoder.js',
+    'js/editor.js',
+    'js/engine.js',
+    'js/engine_worker.js',
+    'js/evaluation.js',
+    'js/feedback.js',
+    'js/fuzzy.js',
+    'js/lemmatizer.js',
+    'js/lexicon.js',
+    'js/lexicon_index.js',
+    'js/lexicon_validator.js',
+    'js/morphemes.js',
+    'js/offline.js',
+    'js/overlay_store.js',
+    'js/passage.js',
+    'js/pinyin.js',
+    'js/query.js',
+    'js/reverse.js',
+    'js/scoring.js',
+    'js/segmenter.js'
+];
+
+const LEXICON_URL = 'data/lexicon.json';
+
+// Loaded with the lexicon at startup; lexicon_index.json and the scoring
+// model are optional, so a missing one does not fail the install
+const DATA_FILES = [
+    'data/lexicon_index.json',
+    'data/morphemes.json',
+    'data/pinyin_supplement.json',
+    'data/scoring_model.json',
+    'data/evaluation.json'
+];
+
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const CDN_STYLESHEETS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=Noto+Sans+SC:wght@400;500;700&display=swap'
+];
+
+// Data and shell requests fall back to the cache after this long without a
+// response
+const NETWORK_TIMEOUT_MS = 4000;
+
+function lexiconCacheName(version) {
+    return `${LEXICON_CACHE_PREFIX}${version}`;
+}
+
+// metadata.version of a lexicon.json response; throws when the document
+// fails the checks the page runs (envelope, version, content hash, entries)
+async function lexiconVersion(response) {
+    const { metadata } = parseLexicon(await response.clone().json());
+    return String(metadata.version);
+}
+
+// Name of the newest lexicon cache, or null
+async function currentLexiconCache() {
+    const names = (await caches.keys()).filter(name => name.startsWith(LEXICON_CACHE_PREFIX));
+    return names.length > 0 ? names[names.length - 1] : null;
+}
+
+// Store a lexicon.json response in the cache for its version, copying the
+// other data files over when the version is new, and drop older versions.
+// Throws, leaving the caches as they were, when the response fails the checks.
+async function storeLexicon(response) {
+    const name = lexiconCacheName(await lexiconVersion(response));
+    const previous = await currentLexiconCache();
+    const cache = await caches.open(name);
+    await cache.put(LEXICON_URL, response);
+
+    if (previous && previous !== name) {
+        const old = await caches.open(previous);
+        for (const request of await old.keys()) {
+            if (new URL(request.url).pathname.endsWith(`/${LEXICON_URL}`)) continue;
+            await cache.put(request, await old.match(request));
+        }
+    }
+    const stale = (await caches.keys()).filter(key => key.startsWith(LEXICON_CACHE_PREFIX) && key !== name);
+    await Promise.all(stale.map(key => caches.delete(key)));
+}
+
+async function precacheData() {
+    const response = await fetch(LEXICON_URL, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`Failed to load ${LEXICON_URL}: HTTP ${response.status}`);
+    await storeLexicon(response);
+
+    const cache = await caches.open(await currentLexiconCache());
+    await Promise.all(DATA_FILES.map(async url => {
+        try {
+            const file = await fetch(url, { cache: 'no-cache' });
+            if (file.ok) await cache.put(url, file);
+        } catch (error) {
+            console.warn(`Not precached: ${url}`, error);
+        }
+    }));
+}
+
+// Cross-origin stylesheets can only be cached as opaque responses, which
+// Cache.addAll refuses; the fonts they load are cached when first used
+async function precacheCdn() {
+    const cache = await caches.open(CDN_CACHE);
+    await Promise.all(CDN_STYLESHEETS.map(async url => {
+        try {
+            await cache.put(url, await fetch(url, { mode: 'no-cors' }));
+        } catch (error) {
+            console.warn(`Not precached: ${url}`, error);
+        }
+    }));
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        await precacheData();
+        await precacheCdn();
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keep = new Set([SHELL_CACHE, CDN_CACHE, await currentLexiconCache()]);
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !keep.has(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Network response, or null after NETWORK_TIMEOUT_MS or a network error
+async function fetchWithTimeout(request) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), NETWORK_TIMEOUT_MS);
+    });
+    try {
+        return await Promise.race([fetch(request).catch(() => null), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Data files: network first, cache when offline
+async function handleData(request, event) {
+    const response = await fetchWithTimeout(request);
+    if (response && response.ok) {
+        const copy = response.clone();
+        event.waitUntil((async () => {
+            if (new URL(request.url).pathname.endsWith(`/${LEXICON_URL}`)) {
+                await storeLexicon(copy);
+            } else {
+                const name = await currentLexiconCache();
+                if (name) await (await caches.open(name)).put(request, copy);
+            }
+        })().catch(error => console.warn(`Not cached: ${request.url}`, error)));
+        return response;
+    }
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || response || Response.error();
+}
+
+// Shell files: network first, cache when offline. A page served from the
+// cache while its modules came from the network (or the other way round)
+// could mix two versions of the app.
+async function handleShell(request, event) {
+    const response = await fetchWithTimeout(request);
+    if (response && response.ok) {
+        const copy = response.clone();
+        event.waitUntil(caches.open(SHELL_CACHE)
+            .then(cache => cache.put(request, copy))
+            .catch(error => console.warn(`Not cached: ${request.url}`, error)));
+        return response;
+    }
+    // Any URL of the page (with a shared query) opens the cached page
+    const navigate = request.mode === 'navigate';
+    const cached = await caches.match(request, { ignoreSearch: navigate })
+        || (navigate ? await caches.match('index.html') : undefined);
+    return cached || response || Response.error();
+}
+
+// CDN files: cache first, refreshed in the background
+async function handleCdn(request, event) {
+    const cached = await caches.match(request);
+    const refresh = fetch(request).then(async response => {
+        if (response.ok || response.type === 'opaque') {
+            await (await caches.open(CDN_CACHE)).put(request, response.clone());
+        }
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        const scope = new URL(self.registration.scope);
+        if (url.pathname.startsWith(`${scope.pathname}data/`) || url.pathname.endsWith('.json')) {
+            event.respondWith(handleData(request, event));
+        } else {
+            event.respondWith(handleShell(request, event));
+        }
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(handleCdn(request, event));
+    }
+});
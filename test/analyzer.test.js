@@ -0,0 +1,63 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAnalyzer } from '../js/node.js';
+
+let analyzer;
+
+before(async () => {
+    analyzer = await loadAnalyzer();
+});
+
+test('headwords map directly', () => {
+    const result = analyzer.analyze('water');
+    assert.equal(result.strategy, 'direct');
+    assert.equal(result.chinese, '水');
+});
+
+test('compounds of classical roots compose head-finally', () => {
+    assert.equal(analyzer.analyze('chronometer').chinese, '时计');
+    assert.equal(analyzer.analyze('telescopes').chinese, '远镜');
+});
+
+// One-letter affixes (a-, e-) and short bound stems produced confident
+// nonsense such as every -> 前甚 and ahead -> 无头
+test('plain words are not split around one-letter affixes or short stems', () => {
+    for (const word of ['every', 'ahead', 'abed', 'emit', 'evoke', 'disagree']) {
+        const result = analyzer.analyze(word);
+        assert.notEqual(result.strategy, 'compound', `${word} -> ${result.chinese}`);
+    }
+});
+
+test('the segmenter keeps inflections but not one-letter derivational affixes', () => {
+    const texts = word => analyzer.segment(word)[0].segments.map(segment => `${segment.text}:${segment.kind}`);
+    assert.deepEqual(texts('telescopes'), ['tele:root', 'scope:root', 's:suffix']);
+    assert.ok(!texts('every').includes('e:prefix'));
+    assert.ok(!texts('ahead').includes('a:prefix'));
+});
+
+test('unknown words show partial segmentations as partial', () => {
+    const result = analyzer.analyze('every');
+    assert.equal(result.found, false);
+    assert.match(result.analysis.structure, /^Partial: .*; e not explained$/);
+    assert.equal(result.analysis.matchType, 'unknown');
+});
+
+test('function words take no derivational suffix', () => {
+    const result = analyzer.analyze('whater');
+    assert.notEqual(result.strategy, 'derivation');
+    assert.notEqual(result.strategy, 'inflection');
+    assert.equal(result.chinese, '水');
+});
+
+test('ranked candidates come from every strategy, one per hanzi, best first', () => {
+    const candidates = analyzer.rank('watr');
+    assert.equal(candidates[0].chinese, analyzer.analyze('watr').chinese);
+    assert.deepEqual(candidates.map(candidate => candidate.rank), candidates.map((_, index) => index + 1));
+    const confidences = candidates.map(candidate => candidate.analysis.confidence);
+    assert.deepEqual(confidences, [...confidences].sort((a, b) => b - a));
+    assert.equal(new Set(candidates.map(candidate => candidate.chinese)).size, candidates.length);
+
+    const strategies = analyzer.rank('unhappiness').map(candidate => candidate.strategy);
+    assert.deepEqual(strategies.slice(0, 2), ['derivation', 'fuzzy']);
+    assert.equal(analyzer.rank('watr', { limit: 2 }).length, 2);
+});
@@ -0,0 +1,84 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAnalyzer } from '../js/node.js';
+import { parseWordList, analyzeBatch, batchSummary, sortBatchRows, formatBatch, BATCH_COLUMNS } from '../js/batch.js';
+
+let analyzer;
+
+before(async () => {
+    analyzer = await loadAnalyzer();
+});
+
+const words = list => list.map(item => item.word);
+
+test('word lists are read from a word column, a headerless TSV or plain lines', () => {
+    assert.deepEqual(parseWordList('id,English,notes\n1,water,x\n2,,y\n3,fire,z\n'),
+        [{ line: 2, word: 'water' }, { line: 4, word: 'fire' }]);
+    assert.deepEqual(words(parseWordList('water\t水\nfire\t火\n')), ['water', 'fire']);
+    assert.deepEqual(words(parseWordList('water, fire\n\ntree\n')), ['water', 'fire', 'tree']);
+});
+
+test('every row keeps its place and repeated words are analyzed once', async () => {
+    const analyzed = [];
+    const counting = {
+        analyze: word => {
+            analyzed.push(word);
+            return analyzer.analyze(word);
+        },
+        rank: (word, options) => analyzer.rank(word, options)
+    };
+    const progress = [];
+    const rows = await analyzeBatch(parseWordList('Water\nwatr\nwater\nzzqxv\n'), counting, {
+        candidates: 2,
+        onProgress: (done, total) => progress.push([done, total])
+    });
+
+    assert.deepEqual(rows.map(row => [row.id, row.english, row.hanzi, row.found]), [
+        [1, 'Water', '水', true],
+        [2, 'watr', '水', true],
+        [3, 'water', '水', true],
+        [4, 'zzqxv', '', false]
+    ]);
+    assert.deepEqual(analyzed, ['water', 'watr', 'zzqxv']);
+    assert.deepEqual(progress, [[4, 4]]);
+    assert.equal(rows[1].alternatives.length, 2);
+    assert.ok(rows[1].alternatives.every(alternative => alternative.hanzi !== '水'));
+
+    const summary = batchSummary(rows);
+    assert.equal(summary.total, 4);
+    assert.equal(summary.found, 3);
+    assert.deepEqual(summary.byMatchType, { direct: 2, fuzzy: 1, unknown: 1 });
+});
+
+test('an aborted batch rejects', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(analyzeBatch([{ line: 1, word: 'water' }], analyzer, { signal: controller.signal }),
+        { name: 'AbortError' });
+});
+
+test('rows sort by any column with ties in row order', () => {
+    const rows = [
+        { id: 1, english: 'b', confidence: 0.5, alternatives: [] },
+        { id: 2, english: 'a', confidence: 0.9, alternatives: [{}] },
+        { id: 3, english: 'c', confidence: 0.5, alternatives: [] }
+    ];
+    const ids = sort => sortBatchRows(rows, sort).map(row => row.id);
+    assert.deepEqual(ids({ field: 'confidence', direction: 'desc' }), [2, 1, 3]);
+    assert.deepEqual(ids({ field: 'english', direction: 'asc' }), [2, 1, 3]);
+    assert.deepEqual(ids({ field: 'alternatives', direction: 'asc' }), [1, 3, 2]);
+    assert.deepEqual(ids(null), [1, 2, 3]);
+});
+
+test('exports use the source CSV columns plus the match', async () => {
+    const rows = await analyzeBatch([{ line: 1, word: 'watr' }], analyzer, { candidates: 1 });
+    const [header, row] = formatBatch(rows, 'csv').trim().split('\n');
+    assert.equal(header, BATCH_COLUMNS.join(','));
+    assert.ok(row.startsWith('1,watr,水,shuǐ,'));
+    const [alternative] = rows[0].alternatives;
+    assert.ok(row.endsWith(`,${alternative.hanzi} ${alternative.pinyin} ${alternative.confidence}`));
+
+    assert.equal(formatBatch(rows, 'tsv').split('\n')[0], BATCH_COLUMNS.join('\t'));
+    assert.deepEqual(Object.keys(JSON.parse(formatBatch(rows, 'json'))[0]), BATCH_COLUMNS);
+    assert.throws(() => formatBatch(rows, 'xlsx'), /Unknown batch format/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeCollisions, collisionLoss } from '../js/collisions.js';
+
+const entry = (english, chinese, pinyin, pos = 'n', category = 'Nature/Existence', fields = {}) =>
+    ({ english, chinese, pinyin, pos, category, logic: 'T1', priority: 3, ...fields });
+
+test('loss grows with group size and is lower for near-synonyms or other parts of speech', () => {
+    const water = entry('water', '水', 'shuǐ');
+    assert.equal(collisionLoss([water]), 0);
+    assert.equal(collisionLoss([water, entry('wisdom', '水', 'shuǐ', 'n', 'Modern/Abstract')]), 0.5);
+    assert.ok(Math.abs(collisionLoss([water, entry('river', '水', 'shuǐ')]) - (1 - 2 ** -0.6)) < 1e-9);
+    assert.ok(collisionLoss([water, entry('wet', '水', 'shuǐ', 'adj', 'Qualities/Degree')]) < 0.5);
+
+    const many = ['a', 'b', 'c', 'd'].map(english => entry(english, '水', 'shuǐ', 'n', 'Modern/Abstract'));
+    assert.ok(collisionLoss([water, ...many]) > collisionLoss([water, many[0]]));
+});
+
+test('groups are sorted by loss and anchored on the most core entry', () => {
+    const report = analyzeCollisions([
+        entry('time', '时', 'shí', 'n', 'Modern/Abstract', { priority: 1 }),
+        entry('hour', '时', 'shí'),
+        entry('good', '好', 'hǎo', 'adj'),
+        entry('fine', '好', 'hǎo', 'adj'),
+        entry('like', '好', 'hào', 'v'),
+        entry('Good', '好', 'hǎo', 'adj'),
+        entry('water', '水', 'shuǐ'),
+        entry('the', '(保留)', '', 'art', 'Relations/Functions', { logic: 'T0' })
+    ]);
+
+    assert.deepEqual(report.groups.map(group => [group.hanzi, group.size]), [['时', 2], ['好', 3]]);
+    assert.equal(report.groups[0].anchor.english, 'time');
+    assert.equal(report.groups[0].severity, 'medium');
+    assert.deepEqual(report.groups[1].pos, [{ value: 'adj', count: 2 }, { value: 'v', count: 1 }]);
+    assert.deepEqual(report.summary, {
+        words: 6,
+        uniqueHanzi: 3,
+        groups: 2,
+        collidingWords: 5,
+        readingConflicts: 1,
+        bySeverity: { high: 0, medium: 2, low: 0 }
+    });
+});
+
+test('hanzi recorded with several readings are reported, noting tone-only differences', () => {
+    const report = analyzeCollisions([
+        entry('good', '好', 'hǎo', 'adj'),
+        entry('like', '好', 'hào', 'v'),
+        entry('walk', '行', 'xíng', 'v'),
+        entry('row', '行', 'háng')
+    ]);
+    assert.deepEqual(report.readingConflicts.map(conflict => [conflict.hanzi, conflict.toneOnly]), [['好', true], ['行', false]]);
+    assert.deepEqual(report.readingConflicts[0].readings, [
+        { pinyin: 'hǎo', words: ['good'] },
+        { pinyin: 'hào', words: ['like'] }
+    ]);
+});
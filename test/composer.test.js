@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { composeSegments, describeTrace, isHuman } from '../js/composer.js';
+
+const root = (text, hanzi, fields = {}) => ({ text, kind: 'root', morpheme: { form: text, hanzi, ...fields } });
+const word = (text, chinese, pos = 'n', fields = {}) => ({ text, kind: 'word', entry: { english: text, chinese, pos, ...fields } });
+const suffix = (text, hanzi, category, fields = {}) => ({
+    text, kind: 'suffix', morpheme: { form: text, hanzi, category, attachesTo: [], ...fields }
+});
+const prefix = (text, hanzi, category) => ({ text, kind: 'prefix', morpheme: { form: text, hanzi, category, attachesTo: [] } });
+const rules = composed => composed.trace.map(step => step.rule);
+
+test('earlier stems modify the last one', () => {
+    const composed = composeSegments([root('photo', '光'), { text: 'o', kind: 'link' }, root('graphy', '写')]);
+    assert.equal(composed.chinese, '光写');
+    assert.deepEqual(rules(composed), ['linking-vowel', 'modifier-head']);
+    assert.deepEqual(describeTrace(composed.trace), [
+        'linking-vowel: -o- only joins stems and is dropped',
+        'modifier-head: graphy (写) is the head; the stems before it modify it → 光写'
+    ]);
+});
+
+test('verbal roots marked in the inventory take their object after them', () => {
+    const composed = composeSegments([word('pest', '虫'), root('cide', '杀', { verbHead: true })]);
+    assert.equal(composed.chinese, '杀虫');
+    assert.deepEqual(rules(composed), ['verb-object']);
+    // The same root without the mark is an ordinary head
+    assert.equal(composeSegments([word('pest', '虫'), root('cide', '杀')]).chinese, '虫杀');
+});
+
+test('suffix rules follow Chinese word formation', () => {
+    assert.equal(composeSegments([word('science', '科学家'), suffix('ist', '家', 'agentive')]).chinese, '科学家');
+    assert.equal(composeSegments([word('thick', '厚', 'adj'), suffix('ness', '性', 'abstract')]).chinese, '厚度');
+    assert.equal(composeSegments([word('kind', '善', 'adj'), suffix('ness', '性', 'abstract')]).chinese, '善性');
+    assert.equal(composeSegments([word('hope', '望'), suffix('less', '无', 'privative')]).chinese, '无望');
+    assert.equal(composeSegments([word('teacher', '师'), suffix('s', '们', 'plural')]).chinese, '师们');
+    assert.equal(composeSegments([word('tree', '树'), suffix('s', '们', 'plural')]).chinese, '树');
+});
+
+test('negative prefixes pick 非, 不 or 无 by the base', () => {
+    assert.equal(composeSegments([prefix('un', '不', 'negative'), word('happy', '乐', 'adj')]).chinese, '不乐');
+    assert.equal(composeSegments([prefix('non', '非', 'negative'), word('sense', '意')]).chinese, '非意');
+    assert.equal(composeSegments([prefix('a', '无', 'negative'), word('theist', '神')]).chinese, '无神');
+});
+
+test('a suffix on the wrong part of speech is noted but still applied', () => {
+    const composed = composeSegments([word('water', '水'), suffix('ly', '地', 'adverbial', { attachesTo: ['adj'] })]);
+    assert.equal(composed.chinese, '水地');
+    assert.deepEqual(rules(composed), ['stem', 'pos-mismatch', 'suffix:adverbial']);
+});
+
+test('a suffix gloss keeps the reading given in the inventory', () => {
+    const composed = composeSegments([
+        prefix('un', '不', 'negative'),
+        word('sad', '悲', 'adj'),
+        suffix('ly', '地', 'adverbial', { reading: 'de' })
+    ]);
+    assert.equal(composed.chinese, '不悲地');
+    assert.deepEqual(composed.readings, [null, null, 'de']);
+});
+
+test('stems without a gloss are left out and nothing composes without any', () => {
+    const composed = composeSegments([{ text: 'xq', kind: 'unknown' }, root('meter', '计')]);
+    assert.equal(composed.chinese, '计');
+    assert.deepEqual(rules(composed), ['unexplained', 'stem']);
+    assert.equal(composeSegments([{ text: 'xq', kind: 'unknown' }]).chinese, '');
+});
+
+test('human nouns are recognised by category or final character', () => {
+    assert.ok(isHuman('科学家'));
+    assert.ok(isHuman('王', { category: 'People/Society', pos: 'n' }));
+    assert.ok(!isHuman('树'));
+});
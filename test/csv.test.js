@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvField, formatDelimited, detectDelimiter, parseDelimited } from '../js/csv.js';
+
+const records = [
+    { word: 'set up', note: 'has, a comma' },
+    { word: 'say', note: 'a "quoted"\nline' },
+    { word: 'empty', note: null }
+];
+
+test('CSV fields are quoted only when needed', () => {
+    assert.equal(csvField('plain'), 'plain');
+    assert.equal(csvField('a,b'), '"a,b"');
+    assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    assert.equal(csvField(undefined), '');
+});
+
+test('CSV round-trips commas, quotes and line breaks', () => {
+    const text = formatDelimited(records, ['word', 'note']);
+    assert.deepEqual(parseDelimited(text), [
+        ['word', 'note'],
+        ['set up', 'has, a comma'],
+        ['say', 'a "quoted"\nline'],
+        ['empty', '']
+    ]);
+});
+
+test('TSV flattens tabs and line breaks and is detected from the header', () => {
+    const text = formatDelimited([{ word: 'a\tb', note: 'c\r\nd' }], ['word', 'note'], '\t');
+    assert.equal(text, 'word\tnote\na b\tc d\n');
+    assert.equal(detectDelimiter(text), '\t');
+    assert.equal(detectDelimiter('word,note\n'), ',');
+    assert.deepEqual(parseDelimited(text), [['word', 'note'], ['a b', 'c d']]);
+});
+
+test('a byte order mark, CRLF and blank lines are ignored', () => {
+    assert.deepEqual(parseDelimited('\uFEFFword\r\n\r\ntree\r\n\n'), [['word'], ['tree']]);
+});
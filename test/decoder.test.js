@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Decoder, roundTrip } from '../js/decoder.js';
+import { integratePassage } from '../js/passage.js';
+
+const entry = (english, chinese, pos, priority = 2, logic = 'T1') => ({ english, chinese, pos, priority, logic });
+
+const entries = [
+    entry('light', '光', 'n'),
+    entry('bright', '光', 'adj'),
+    entry('teacher', '师', 'n', 1),
+    entry('the', '(保留)', 'art', 1, 'T0'),
+    entry('a', '(保留)', 'art', 1, 'T0'),
+    entry('is', '是', 'v', 1),
+    entry('room', '室', 'n'),
+    entry('reads', '读', 'v')
+];
+const decoder = new Decoder(entries);
+
+test('the part of speech around a hanzi picks among the words that share it', () => {
+    assert.equal(decoder.decode('the 光 is on').text, 'the light is on');
+    assert.equal(decoder.decode('a 光 室').text, 'a bright room');
+    // Sentence punctuation restarts the context
+    assert.equal(decoder.decode('a 光 室. The 光 is').text, 'a bright room. The light is');
+});
+
+test('hanzi no entry uses are left as they are', () => {
+    const { text, tokens } = decoder.decode('the 时计 is');
+    assert.equal(text, 'the 时计 is');
+    assert.equal(tokens.find(token => token.type === 'hanzi').english, '');
+});
+
+test('round trips score exact and base-form read-backs', () => {
+    const mapped = { light: '光', bright: '光', teachers: '师', room: '室' };
+    const integration = integratePassage('The teachers: a bright room, the light.', word =>
+        (mapped[word] ? { chinese: mapped[word], logic: 'T1' } : null));
+    const result = roundTrip(integration, decoder);
+
+    assert.equal(result.decoded, 'The teacher: a bright room, the light.');
+    assert.equal(result.integrated, 4);
+    assert.equal(result.exact, 3);
+    assert.equal(result.lemma, 4);
+    assert.equal(result.accuracy, 0.75);
+    assert.equal(result.lemmaAccuracy, 1);
+    assert.deepEqual(result.errors.map(error => [error.original, error.decoded, error.lemma]), [['teachers', 'teacher', true]]);
+});
+
+test('a passage with nothing integrated scores 1', () => {
+    const result = roundTrip(integratePassage('no hanzi here', () => null), decoder);
+    assert.equal(result.integrated, 0);
+    assert.equal(result.accuracy, 1);
+});
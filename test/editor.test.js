@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LexiconEditor } from '../js/editor.js';
+import { parseLexicon, lexiconContentHash } from '../js/lexicon.js';
+
+const entry = (id, english, chinese, pinyin) => ({
+    id, english, chinese, pinyin, pos: 'n', category: 'Nature/Existence', priority: 1, logic: 'T1',
+    meaning_en: `the ${english}`, meaning_zh: chinese, example: `A ${english}.`, notes: ''
+});
+const base = () => [entry(1, 'water', '水', 'shuǐ'), entry(2, 'fire', '火', 'huǒ')];
+
+test('valid edits apply and invalid ones change nothing', () => {
+    const editor = new LexiconEditor(base());
+    assert.equal(editor.update(1, { pinyin: 'shuǐ', priority: 2 }).ok, true);
+    assert.equal(editor.get(1).priority, 2);
+
+    const bad = editor.update(2, { priority: 9 });
+    assert.equal(bad.ok, false);
+    assert.ok(bad.issues.some(issue => issue.code === 'bad-priority'));
+    assert.equal(editor.get(2).priority, 1);
+    assert.equal(editor.update(2, { category: 'Weather' }).ok, false);
+    assert.equal(editor.update(7, { priority: 2 }).issues[0].code, 'missing-entry');
+});
+
+test('a new entry with the same mapping as another is refused', () => {
+    const editor = new LexiconEditor(base());
+    const duplicate = editor.create({ ...entry(0, 'Water', '水', 'shuǐ') });
+    assert.equal(duplicate.ok, false);
+    assert.equal(duplicate.issues[0].code, 'duplicate-english');
+
+    const added = editor.create(entry(0, 'river', '河', 'hé'));
+    assert.equal(added.ok, true);
+    assert.equal(added.entry.id, 3);
+});
+
+test('undo and redo step through changes; reverting an edit clears it', () => {
+    const editor = new LexiconEditor(base());
+    editor.update(1, { meaning_en: 'clear liquid' });
+    editor.remove(2);
+    assert.equal(editor.size, 2);
+
+    assert.equal(editor.undo(), 2);
+    assert.equal(editor.get(2).english, 'fire');
+    assert.equal(editor.redo(), 2);
+    assert.equal(editor.get(2), null);
+
+    editor.update(1, { meaning_en: 'the water' });
+    assert.equal(editor.state(1), undefined);
+    assert.deepEqual(editor.diff().map(change => [change.id, change.type]), [[2, 'removed']]);
+});
+
+test('the diff lists the changed fields, treating missing and empty alike', () => {
+    const editor = new LexiconEditor([{ ...entry(1, 'water', '水', 'shuǐ'), example: undefined }]);
+    editor.update(1, { meaning_en: 'clear liquid' });
+    assert.deepEqual(editor.diff()[0].fields, ['meaning_en']);
+});
+
+test('the exported document passes the lexicon checks', () => {
+    const editor = new LexiconEditor(base());
+    editor.create(entry(0, 'river', '河', 'hé'));
+    const document = editor.exportDocument({ version: '2.0' });
+    assert.equal(document.metadata.total_words, 3);
+    assert.equal(document.metadata.content_hash, lexiconContentHash(document.lexicon));
+    assert.equal(parseLexicon(document).entries.length, 3);
+});
@@ -0,0 +1,53 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { loadData } from '../js/node.js';
+import { Engine, createEngineHandler } from '../js/engine.js';
+
+let engine;
+
+before(async () => {
+    const data = await loadData();
+    const pinyinSupplement = JSON.parse(await readFile(new URL('../data/pinyin_supplement.json', import.meta.url), 'utf8'));
+    engine = new Engine();
+    await engine.init({ ...data, pinyinSupplement });
+});
+
+test('requests before init and unknown requests are errors', async () => {
+    const replies = [];
+    const handle = createEngineHandler(message => replies.push(message));
+    await handle({ id: 1, type: 'analyze', word: 'water' });
+    await handle({ id: 2, type: 'translate', word: 'water' });
+    await handle({ id: 3, type: 'cancel', job: 9 });
+    assert.deepEqual(replies, [
+        { id: 1, type: 'error', message: 'The analysis engine has no lexicon yet', cancelled: false },
+        { id: 2, type: 'error', message: 'Unknown engine request "translate"', cancelled: false },
+        { id: 3, type: 'result', value: false }
+    ]);
+});
+
+test('the engine on the page answers like the analyzer', async () => {
+    assert.equal(engine.threaded, false);
+    assert.equal((await engine.analyze('water')).chinese, '水');
+    assert.equal((await engine.passage('water and fire')).stats.words, 3);
+    assert.equal((await engine.rank('watr', { limit: 2 })).length, 2);
+});
+
+test('a cancelled batch rejects with cancelled set after its first chunk', async () => {
+    const words = Array.from({ length: 120 }, (_, index) => ({ line: index + 1, word: index % 2 ? 'water' : 'fire' }));
+    const progress = [];
+    const job = engine.batch(words, {
+        candidates: 0,
+        onProgress: done => {
+            progress.push(done);
+            if (progress.length === 1) engine.cancel(job);
+        }
+    });
+
+    await assert.rejects(job, error => error.cancelled === true);
+    assert.deepEqual(progress, [50]);
+
+    // The engine keeps working after a cancel
+    const rows = await engine.batch(words.slice(0, 3));
+    assert.deepEqual(rows.map(row => row.hanzi), ['火', '水', '火']);
+});
@@ -0,0 +1,45 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { loadAnalyzer } from '../js/node.js';
+import { evaluate, foldOf, trainingSamples, parseGoldSet } from '../js/evaluation.js';
+import { ConfidenceModel } from '../js/scoring.js';
+
+let analyzer;
+
+before(async () => {
+    analyzer = await loadAnalyzer();
+});
+
+const item = (word, hanzi) => ({ word, hanzi, acceptable: [], matchType: '', notes: '' });
+
+test('folds deal positions in turn and training leaves the fold out', () => {
+    assert.deepEqual([0, 1, 2, 3, 4, 5].map(position => foldOf(position, 3)), [0, 1, 2, 0, 1, 2]);
+    const samples = ['a', null, 'c', 'd', 'e', 'f'];
+    assert.deepEqual(trainingSamples(samples, 0, 3), ['c', 'e', 'f']);
+});
+
+test('cross-validated evaluation fits one model per fold and restores the analyzer', () => {
+    const items = [item('water', '水'), item('fire', '火'), item('book', '书'), item('books', '书'), item('walked', '走')];
+    const scoring = analyzer.scoring;
+    const sizes = [];
+    const report = evaluate(analyzer, items, {
+        folds: 5,
+        fit: samples => {
+            sizes.push(samples.length);
+            return new ConfidenceModel();
+        }
+    });
+
+    assert.deepEqual(sizes, [4, 4, 4, 4, 4]);
+    assert.deepEqual(report.crossValidation, { folds: 5 });
+    assert.deepEqual(report.items.map(result => result.word), items.map(entry => entry.word));
+    assert.equal(analyzer.scoring, scoring);
+});
+
+test('direct gold items are headwords', async () => {
+    const gold = parseGoldSet(JSON.parse(await readFile(new URL('../data/gold_standard.json', import.meta.url), 'utf8')));
+    for (const { word } of gold.items.filter(item => item.matchType === 'direct')) {
+        assert.ok(analyzer.lookup(word).length > 0, word);
+    }
+});
@@ -0,0 +1,64 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAnalyzer } from '../js/node.js';
+import { checkSuggestion, createFeedback, feedbackOverrides, feedbackToCsv, parseFeedback } from '../js/feedback.js';
+
+let analyzer;
+
+before(async () => {
+    analyzer = await loadAnalyzer();
+});
+
+test('suggestions must be hanzi', () => {
+    assert.equal(checkSuggestion(' 计步器 '), '');
+    assert.match(checkSuggestion(''), /Enter the hanzi/);
+    assert.match(checkSuggestion('pedometer'), /not a hanzi string/);
+    assert.match(checkSuggestion('计 步'), /not a hanzi string/);
+});
+
+test('a record captures the result, and a suggestion is a down vote', () => {
+    const result = analyzer.analyze('Pedometer');
+    const record = createFeedback(result, { vote: 'up', suggestion: ' 计步器 ', id: 7 });
+    assert.equal(record.id, 7);
+    assert.equal(record.query, 'pedometer');
+    assert.equal(record.hanzi, result.chinese);
+    assert.equal(record.vote, 'down');
+    assert.equal(record.suggestion, '计步器');
+    assert.equal(record.accepted, false);
+    assert.equal(createFeedback(result, { vote: 'up' }).vote, 'up');
+    assert.equal(createFeedback(analyzer.analyze('zzqxv')).hanzi, '');
+});
+
+test('accepted suggestions become overrides, the latest correction winning', () => {
+    const records = [
+        { query: 'pedometer', suggestion: '步数计', accepted: true, createdAt: '2026-01-02' },
+        { query: 'pedometer', suggestion: '计步器', accepted: true, createdAt: '2026-01-03' },
+        { query: 'watr', suggestion: '水', accepted: false, createdAt: '2026-01-04' },
+        { query: 'water', suggestion: '', accepted: true, createdAt: '2026-01-01' }
+    ];
+    const overrides = feedbackOverrides(records);
+    assert.deepEqual(overrides, [
+        { word: 'pedometer', hanzi: '步数计' },
+        { word: 'pedometer', hanzi: '计步器' }
+    ]);
+
+    analyzer.setOverrides(overrides);
+    try {
+        const result = analyzer.analyze('pedometer');
+        assert.equal(result.chinese, '计步器');
+        assert.equal(result.analysis.matchType, 'override');
+    } finally {
+        analyzer.setOverrides([]);
+    }
+    assert.notEqual(analyzer.analyze('pedometer').chinese, '计步器');
+});
+
+test('JSON exports parse back and CSV exports keep the column order', () => {
+    const record = createFeedback(analyzer.analyze('water'), { vote: 'up', id: 1 });
+    assert.deepEqual(parseFeedback(JSON.parse(JSON.stringify([record, null, { vote: 'up' }]))), [record]);
+    assert.throws(() => parseFeedback({ records: [] }), /Not a feedback export/);
+
+    const [header, row] = feedbackToCsv([record]).trim().split(/\r?\n/);
+    assert.equal(header, 'id,query,english,hanzi,pinyin,vote,suggestion,accepted,strategy,matchType,confidence,createdAt');
+    assert.ok(row.startsWith('1,water,water,水,shuǐ,up,,false,direct,direct,'));
+});
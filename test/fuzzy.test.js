@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { damerauLevenshtein, typoDistance, phoneticKey, FuzzyMatcher } from '../js/fuzzy.js';
+
+test('Damerau-Levenshtein counts a transposition as one edit', () => {
+    assert.equal(damerauLevenshtein('kitten', 'sitting'), 3);
+    assert.equal(damerauLevenshtein('teh', 'the'), 1);
+    assert.equal(damerauLevenshtein('ca', 'abc'), 2);
+    assert.equal(damerauLevenshtein('', 'abc'), 3);
+});
+
+test('typos on neighbouring keys, doubled letters and swaps cost half', () => {
+    assert.equal(typoDistance('wster', 'water'), 0.5);
+    assert.equal(typoDistance('adress', 'address'), 0.5);
+    assert.equal(typoDistance('teh', 'the'), 0.5);
+    assert.equal(typoDistance('wpter', 'water'), 1);
+});
+
+test('spellings that sound alike share a phonetic key', () => {
+    assert.equal(phoneticKey('photography'), 'FTKRF');
+    assert.equal(phoneticKey('fotografy'), phoneticKey('photography'));
+    assert.equal(phoneticKey('123'), '');
+});
+
+test('suggestions rank the closest headword first and need a clear winner', () => {
+    const matcher = new FuzzyMatcher(['water', 'waiter', 'winter', 'star', 'tree'].map(english => ({ english })));
+    const [first] = matcher.suggest('watr');
+    assert.equal(first.english, 'water');
+    assert.equal(first.distance, 1);
+    assert.equal(matcher.bestMatch('watr').english, 'water');
+    assert.equal(matcher.bestMatch('zzqxv'), null);
+    assert.ok(!matcher.suggest('water').some(suggestion => suggestion.english === 'water'));
+});
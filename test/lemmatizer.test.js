@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lemmaCandidates, lemmatize } from '../js/lemmatizer.js';
+
+const LEXICON = {
+    what: [{ english: 'what', pos: 'pron' }],
+    water: [{ english: 'water', pos: 'n' }],
+    sing: [{ english: 'sing', pos: 'v' }],
+    book: [{ english: 'book', pos: 'n' }],
+    fly: [{ english: 'fly', pos: 'v' }],
+    hope: [{ english: 'hope', pos: 'n' }],
+    child: [{ english: 'child', pos: 'n' }],
+    stop: [{ english: 'stop', pos: 'v' }]
+};
+const lookup = word => LEXICON[word] || [];
+
+test('regular and irregular forms find their lemma', () => {
+    assert.equal(lemmatize('children', lookup)[0].lemma, 'child');
+    assert.equal(lemmatize('stopped', lookup)[0].rule, 'ed->consonant-doubling');
+    assert.equal(lemmatize('books', lookup)[0].lemma, 'book');
+});
+
+test('-s is a plural on nouns and the third person singular on verbs', () => {
+    assert.equal(lemmatize('books', lookup)[0].inflection, 'plural');
+    assert.equal(lemmatize('sings', lookup)[0].inflection, 'third-person singular');
+    assert.equal(lemmatize('flies', lookup)[0].inflection, 'third-person singular');
+});
+
+test('flies is not listed as a past form of fly', () => {
+    assert.ok(!lemmaCandidates('flies').some(candidate => candidate.rule === 'irregular-verb'));
+    assert.equal(lemmatize('flew', lookup)[0].inflection, 'past');
+});
+
+test('function words do not take inflectional suffixes', () => {
+    assert.deepEqual(lemmatize('whater', lookup), []);
+});
+
+test('open-class mismatches are kept but flagged', () => {
+    const [hoped] = lemmatize('hoped', lookup);
+    assert.equal(hoped.lemma, 'hope');
+    assert.equal(hoped.posMatch, false);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parseLexicon, lexiconContentHash, checkContentHash } from '../js/lexicon.js';
+
+const records = [
+    { id: 1, english: 'water', hanzi: '水', pinyin: 'shuǐ', pos: 'n', category: 'Nature/Existence', priority: 1, logic: 'T1' },
+    { id: 2, english: 'fire', hanzi: '火', pinyin: 'huǒ', pos: 'n', category: 'Nature/Existence', priority: 1, logic: 'T1' }
+];
+const documentWith = (lexicon, metadata = {}) => ({ metadata: { version: '2.0', ...metadata }, lexicon });
+
+test('the content hash ignores key order but not content or entry order', () => {
+    const hash = lexiconContentHash(records);
+    assert.match(hash, /^[0-9a-f]{8}$/);
+    const reordered = records.map(record => Object.fromEntries(Object.entries(record).reverse()));
+    assert.equal(lexiconContentHash(reordered), hash);
+    assert.notEqual(lexiconContentHash([records[1], records[0]]), hash);
+    assert.notEqual(lexiconContentHash([{ ...records[0], hanzi: '氵' }, records[1]]), hash);
+});
+
+test('a mismatched content hash is rejected and a missing one is allowed', () => {
+    assert.throws(() => checkContentHash({ content_hash: '00000000' }, records), /content hash mismatch/);
+    assert.doesNotThrow(() => checkContentHash({}, records));
+    assert.doesNotThrow(() => checkContentHash({ content_hash: lexiconContentHash(records) }, records));
+});
+
+test('parseLexicon checks the envelope, version and entries', () => {
+    assert.throws(() => parseLexicon(records), /Not a lexicon.json document/);
+    assert.throws(() => parseLexicon(documentWith(records, { version: '1.0' })));
+    assert.throws(() => parseLexicon(documentWith([{ id: 1 }])), /no entries/);
+
+    const { entries } = parseLexicon(documentWith(records, { content_hash: lexiconContentHash(records) }));
+    assert.deepEqual(entries.map(entry => entry.chinese), ['水', '火']);
+});
+
+test('the shipped lexicon matches its content hash', async () => {
+    const data = JSON.parse(await readFile(new URL('../data/lexicon.json', import.meta.url), 'utf8'));
+    assert.equal(data.metadata.content_hash, lexiconContentHash(data.lexicon));
+    assert.ok(parseLexicon(data).entries.length > 0);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LexiconIndex, letterBigrams } from '../js/lexicon_index.js';
+
+const entry = (english, chinese, pinyin) => ({ english, chinese, pinyin });
+const entries = [
+    entry('time', '时', 'shí'),
+    entry('timer', '计时器', 'jì shí qì'),
+    entry('Time', '时间', 'shí jiān'),
+    entry('prime', '首要', 'shǒu yào'),
+    entry('is', '是', 'shì')
+];
+const english = list => list.map(e => e.english);
+
+test('the index finds headwords, affixes, hanzi and syllables', () => {
+    const index = LexiconIndex.build(entries);
+    assert.equal(index.size, 4);
+    assert.deepEqual(english(index.lookup('TIME')), ['time', 'Time']);
+    assert.deepEqual(index.withPrefix('tim'), ['time', 'timer']);
+    assert.deepEqual(index.withSuffix('ime').sort(), ['prime', 'time']);
+    assert.deepEqual(index.prefixesOf('timers'), ['time', 'timer']);
+    assert.deepEqual(english(index.byHanzi('时')), ['time']);
+    assert.deepEqual(english(index.withChars('时')), ['time', 'timer', 'Time']);
+    assert.deepEqual(english(index.withSyllable('shi')), ['time', 'timer', 'Time', 'is']);
+    assert.deepEqual([...letterBigrams('is')], ['^i', 'is', 's$']);
+    assert.deepEqual(index.gramWords('^t'), ['time', 'timer']);
+});
+
+test('a saved index restores over the same entries', () => {
+    const saved = JSON.parse(JSON.stringify(LexiconIndex.build(entries, { lexiconVersion: '2.0' })));
+    const { index, rebuilt, reason } = LexiconIndex.restore(saved, entries);
+    assert.equal(rebuilt, false);
+    assert.equal(reason, '');
+    assert.equal(index.metadata.lexicon_version, '2.0');
+    assert.deepEqual(index.withPrefix('tim'), ['time', 'timer']);
+    assert.deepEqual(english(index.withSyllable('shi')), ['time', 'timer', 'Time', 'is']);
+});
+
+test('a missing, stale or foreign index is rebuilt with the reason', () => {
+    const saved = JSON.parse(JSON.stringify(LexiconIndex.build(entries)));
+    const edited = [...entries.slice(0, -1), entry('is', '在', 'zài')];
+
+    const stale = LexiconIndex.restore(saved, edited);
+    assert.equal(stale.rebuilt, true);
+    assert.match(stale.reason, /out of date/);
+    assert.deepEqual(english(stale.index.byHanzi('在')), ['is']);
+
+    assert.match(LexiconIndex.restore({ ...saved, format: 99 }, entries).reason, /Not a lexicon index/);
+    assert.equal(LexiconIndex.restore(null, entries).reason, 'no saved index');
+    assert.throws(() => LexiconIndex.load(saved, edited), /out of date/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateLexicon, validateEntry, lexiconCounts } from '../js/lexicon_validator.js';
+
+const entry = (id, english, hanzi, pinyin, fields = {}) => ({
+    id, english, hanzi, pinyin, pos: 'n', category: 'Nature/Existence', priority: 1, logic: 'T1', ...fields
+});
+
+const document = lexicon => ({
+    metadata: { version: '2.0', ...lexiconCounts(lexicon) },
+    lexicon
+});
+
+const codes = report => report.issues.map(issue => issue.code).sort();
+
+test('a consistent lexicon is valid', () => {
+    const report = validateLexicon(document([entry(1, 'water', '水', 'shuǐ'), entry(2, 'fire', '火', 'huǒ')]));
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.summary, { entries: 2, errors: 0, warnings: 0, byCode: {} });
+});
+
+test('duplicates are errors when identical and warnings when they are other senses', () => {
+    const report = validateLexicon(document([
+        entry(1, 'water', '水', 'shuǐ'),
+        entry(2, 'Water', '水', 'shuǐ'),
+        entry(3, 'light', '光', 'guāng'),
+        entry(3, 'light', '轻', 'qīng', { pos: 'adj' })
+    ]));
+    assert.deepEqual(codes(report), ['duplicate-english', 'duplicate-id', 'multiple-senses']);
+    assert.equal(report.valid, false);
+});
+
+test('metadata counts are checked against the entries', () => {
+    const data = document([entry(1, 'water', '水', 'shuǐ')]);
+    data.metadata.total_words = 2;
+    data.metadata.categories_distribution = { 'Nature/Existence': 2 };
+    const report = validateLexicon(data);
+    assert.deepEqual(report.issues.map(issue => issue.field), [
+        'metadata.total_words',
+        'metadata.categories_distribution["Nature/Existence"]'
+    ]);
+});
+
+test('entries are checked for codes, pinyin and the T0 placeholder', () => {
+    assert.deepEqual(validateEntry(entry(1, 'water', '水', 'shuǐ')), []);
+    const issues = record => validateEntry(record).map(issue => issue.code);
+    assert.deepEqual(issues(entry(1, 'water', '水', '', { logic: 'T9' })), ['unknown-logic', 'missing-pinyin']);
+    assert.deepEqual(issues(entry(1, 'river', '江河', 'jiāng')), ['pinyin-length']);
+    assert.deepEqual(issues(entry(1, 'the', '的', 'de', { logic: 'T0' })), ['retained-mismatch']);
+    assert.deepEqual(issues(entry(1, 'tree', '树', 'shù', { meaning_en: 'meaning of tree' })), ['placeholder']);
+});
+
+test('strict mode makes warnings invalid too', () => {
+    const data = document([entry(1, 'river', '江河', 'jiāng')]);
+    assert.equal(validateLexicon(data).valid, true);
+    assert.equal(validateLexicon(data, { strict: true }).valid, false);
+});
+
+test('direct gold items must be headwords', () => {
+    const data = document([entry(1, 'water', '水', 'shuǐ')]);
+    const gold = [
+        { word: 'water', hanzi: '水', matchType: 'direct' },
+        { word: 'mountain', hanzi: '山', matchType: 'direct' },
+        { word: 'waters', hanzi: '水', matchType: 'inflection' }
+    ];
+    const report = validateLexicon(data, { gold });
+    assert.deepEqual(codes(report), ['gold-not-headword']);
+    assert.match(report.issues[0].message, /"mountain"/);
+});
+
+test('documents without a lexicon array are rejected', () => {
+    assert.deepEqual(codes(validateLexicon([])), ['envelope']);
+    assert.deepEqual(codes(validateLexicon({ metadata: { version: '1.0' }, lexicon: [] })), ['version']);
+});
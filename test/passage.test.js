@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizePassage, integratePassage, isIntegrable } from '../js/passage.js';
+
+test('tokens cover the text exactly, keeping contractions and hyphenated words whole', () => {
+    const text = "Don't stop—the well-known 水 is 2.5 km away!\r\n";
+    const tokens = tokenizePassage(text);
+    assert.equal(tokens.map(token => token.text).join(''), text);
+    assert.deepEqual(tokens.filter(token => token.type === 'word').map(token => token.text),
+        ["Don't", 'stop', 'the', 'well-known', 'is', 'km', 'away']);
+    assert.deepEqual(tokens.find(token => token.type === 'hanzi'), { type: 'hanzi', text: '水', offset: 26 });
+    assert.equal(tokens.find(token => token.type === 'number').text, '2.5');
+});
+
+test('mapped words are replaced, T0 and placeholder mappings are kept in English', () => {
+    const entries = {
+        water: { chinese: '水', logic: 'T1' },
+        the: { chinese: '这', logic: 'T0' },
+        is: { chinese: '[Analysis in progress...]', logic: '' }
+    };
+    const seen = [];
+    const integrated = integratePassage('The water is WATER, not wine.', word => {
+        seen.push(word);
+        return entries[word] || null;
+    });
+
+    assert.equal(integrated.text, 'The 水 is 水, not wine.');
+    assert.deepEqual(integrated.stats, { words: 6, integrated: 2, retained: 2, unmapped: 2 });
+    assert.deepEqual(integrated.segments.filter(s => s.status === 'unmapped').map(s => s.text), ['not', 'wine']);
+    // Each distinct word is resolved once, lowercased
+    assert.deepEqual(seen, ['the', 'water', 'is', 'not', 'wine']);
+});
+
+test('only hanzi mappings are integrable', () => {
+    assert.ok(isIntegrable({ chinese: '时计', logic: '' }));
+    assert.ok(!isIntegrable({ chinese: '(保留)', logic: 'T1' }));
+    assert.ok(!isIntegrable({ chinese: 'abc', logic: 'T1' }));
+    assert.ok(!isIntegrable(null));
+});
@@ -0,0 +1,63 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadData, loadAnalyzer } from '../js/node.js';
+import { toPinyin, splitPinyin, checkPinyin, numberedToMarked, markedToNumbered } from '../js/pinyin.js';
+
+let data;
+let analyzer;
+
+before(async () => {
+    data = await loadData();
+    analyzer = await loadAnalyzer();
+});
+
+// A gloss without a reading prints raw hanzi in composed pinyin ("qián 送")
+test('every morpheme gloss has a reading', () => {
+    const missing = new Set();
+    for (const morpheme of data.morphemes.morphemes) {
+        for (const char of Array.from(morpheme.hanzi || '')) {
+            if (!data.pinyinTable.chars.has(char)) missing.add(`${char} (${morpheme.form})`);
+        }
+    }
+    assert.deepEqual([...missing], []);
+});
+
+test('composed suffixes take the reading given in the inventory', () => {
+    assert.equal(analyzer.analyze('rainy').pinyin, 'yǔ de');
+    assert.equal(analyzer.analyze('sadly').pinyin, 'bēi de');
+});
+
+test('fixed readings override characters and the words spanning them', () => {
+    assert.equal(toPinyin('目的', data.pinyinTable, [null, 'de']).text, 'mù de');
+    assert.equal(toPinyin('目的', data.pinyinTable).text, 'mù dì');
+});
+
+// Readings for the sandhi cases, without the shipped table's word list
+const table = {
+    chars: new Map([['不', ['bù']], ['一', ['yī']], ['是', ['shì']], ['好', ['hǎo']], ['个', ['gè']], ['天', ['tiān']]]),
+    words: new Map()
+};
+
+test('不 and 一 change tone before the following syllable', () => {
+    assert.equal(toPinyin('不是', table).text, 'bú shì');
+    assert.equal(toPinyin('不好', table).text, 'bù hǎo');
+    assert.equal(toPinyin('一个', table).text, 'yí gè');
+    assert.equal(toPinyin('一天', table).text, 'yì tiān');
+    assert.equal(toPinyin('一', table).text, 'yī');
+    assert.ok(toPinyin('不是', table).syllables[0].sandhi);
+});
+
+test('pinyin words split into the fewest valid syllables', () => {
+    assert.deepEqual(splitPinyin('shāngchǎng'), ['shāng', 'chǎng']);
+    assert.deepEqual(splitPinyin("xī'ān"), ['xī', 'ān']);
+    assert.deepEqual(splitPinyin('bù néng'), ['bù', 'néng']);
+    assert.equal(splitPinyin('qqq'), null);
+    assert.deepEqual(checkPinyin('shuǐ'), []);
+    assert.equal(checkPinyin('shǔǐ').length, 1);
+});
+
+test('numbered and marked pinyin convert both ways', () => {
+    assert.equal(numberedToMarked('zhong1 guo2'), 'zhōng guó');
+    assert.equal(numberedToMarked('lv4'), 'lǜ');
+    assert.equal(markedToNumbered('zhōng guó'), 'zhong1 guo2');
+});
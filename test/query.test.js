@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileQuery, parseQuery, parseSort, sortEntries } from '../js/query.js';
+
+const entries = [
+    { english: 'unbreakable', chinese: '坚', pinyin: 'jiān', pos: 'adj', logic: 'T3', category: 'Qualities/Degree', priority: 3, id: 1 },
+    { english: 'Unable', chinese: '不能', pinyin: 'bù néng', pos: 'adj', logic: 'T5', category: 'Qualities/Degree', priority: 2, id: 2 },
+    { english: 'tree', chinese: '树', pinyin: 'shù', pos: 'n', logic: 'T1', category: 'Nature/Existence', priority: 1, id: 3 }
+];
+const matching = query => entries.filter(compileQuery(query)).map(entry => entry.id);
+
+test('AND binds tighter than OR and parentheses group', () => {
+    assert.deepEqual(parseQuery('pos:n OR pos:adj logic:T3').items.map(item => item.type), ['term', 'and']);
+    assert.deepEqual(matching('pos:n OR pos:adj logic:T3'), [1, 3]);
+    assert.deepEqual(matching('(pos:n OR pos:adj) priority:<=2'), [2, 3]);
+    assert.deepEqual(matching('NOT logic:T1 -id:1'), [2]);
+    assert.equal(parseQuery('  '), null);
+});
+
+test('fields, comparisons and exact matches', () => {
+    assert.deepEqual(matching('tree'), [3]);
+    assert.deepEqual(matching('english:="unable"'), [2]);
+    assert.deepEqual(matching('cat:qual'), [1, 2]);
+    assert.deepEqual(matching('pinyin:neng'), [2]);
+    assert.deepEqual(matching('py:néng'), [2]);
+    assert.deepEqual(matching('priority:>1'), [1, 2]);
+});
+
+test('syntax errors are reported', () => {
+    assert.throws(() => parseQuery('colour:red'), /Unknown field/);
+    assert.throws(() => parseQuery('priority:high'), /needs a number/);
+    assert.throws(() => parseQuery('english:>a'), /only works on numeric fields/);
+    assert.throws(() => parseQuery('(pos:n'), /Missing \)/);
+    assert.throws(() => parseQuery('english:"set up'), /Unclosed quote/);
+});
+
+test('sorting by a field, descending with -, ties in id order', () => {
+    assert.deepEqual(parseSort('-priority'), { field: 'priority', direction: 'desc' });
+    assert.equal(parseSort('colour'), null);
+    assert.deepEqual(sortEntries(entries, parseSort('-priority')).map(entry => entry.id), [1, 2, 3]);
+    assert.deepEqual(sortEntries(entries, parseSort('pos')).map(entry => entry.id), [1, 2, 3]);
+    assert.deepEqual(sortEntries(entries, parseSort('english')).map(entry => entry.id), [3, 2, 1]);
+});
+
+test('regular expressions match every entry the same way, whatever the flags', () => {
+    assert.deepEqual(matching('english:/^un.*able$/'), [1, 2]);
+    // g and y would make test() resume from lastIndex and skip entries
+    assert.deepEqual(matching('english:/able/g'), [1, 2]);
+    assert.deepEqual(matching('english:/able/gy'), [1, 2]);
+    assert.equal(parseQuery('english:/able/gim').regex.flags, 'im');
+});
+
+test('long patterns, nested quantifiers and repeated alternations are refused', () => {
+    assert.throws(() => parseQuery(`english:/${'a'.repeat(101)}/`), /too long/);
+    assert.throws(() => parseQuery('english:/^(a+)+$/'), /nested quantifiers/);
+    assert.throws(() => parseQuery('english:/(\\w*)*x/'), /nested quantifiers/);
+    assert.throws(() => parseQuery('meaning:/^(.|.)*#$/'), /repeated alternations/);
+    assert.throws(() => parseQuery('english:/((a|b)c)+/'), /repeated alternations/);
+    assert.throws(() => parseQuery('english:/(?:x(a|aa))*$/'), /repeated alternations/);
+    assert.doesNotThrow(() => parseQuery('english:/^(un|dis)able$/'));
+    assert.doesNotThrow(() => parseQuery('english:/^(un|dis)?(ab)+[|+*]{2}(?:le)*$/'));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReverseIndex, groupByLogicAndPos } from '../js/reverse.js';
+
+const entry = (english, chinese, pinyin, pos = 'n', logic = 'T1', category = 'Nature/Existence') =>
+    ({ english, chinese, pinyin, pos, logic, category });
+
+const entries = [
+    entry('time', '时', 'shí'),
+    entry('clock', '时钟', 'shí zhōng', 'n', 'T2', 'Modern/Abstract'),
+    entry('chronometer', '计时', 'jì shí', 'n', 'T3', 'Modern/Abstract'),
+    entry('is', '是', 'shì', 'v'),
+    entry('thanks', '谢谢', 'xiè xie', 'v', 'T2', 'People/Society'),
+    entry('the', '(保留)', '', 'art', 'T0')
+];
+const index = new ReverseIndex(entries);
+const words = list => list.map(e => e.english);
+
+test('hanzi queries find exact and containing entries', () => {
+    const result = index.search('时');
+    assert.equal(result.kind, 'hanzi');
+    assert.deepEqual(words(result.exact), ['time']);
+    assert.deepEqual(words(result.partial).sort(), ['chronometer', 'clock']);
+});
+
+test('toneless pinyin matches any tone, toned pinyin only that tone', () => {
+    assert.deepEqual(words(index.search('shi').exact).sort(), ['is', 'time']);
+    assert.deepEqual(words(index.search('shí').exact), ['time']);
+    assert.deepEqual(words(index.search('shi4').exact), ['is']);
+    assert.deepEqual(words(index.search('shizhong').exact), ['clock']);
+    assert.deepEqual(words(index.search('zhong').partial), ['clock']);
+    assert.deepEqual(index.search('xyz').exact, []);
+});
+
+test('a character family records where the character sits in each word', () => {
+    const family = index.family('时');
+    assert.equal(family.count, 3);
+    assert.deepEqual(words(family.positions.alone), ['time']);
+    assert.deepEqual(words(family.positions.initial), ['clock']);
+    assert.deepEqual(words(family.positions.final), ['chronometer']);
+    assert.deepEqual(family.categories, [
+        { category: 'Modern/Abstract', count: 2 },
+        { category: 'Nature/Existence', count: 1 }
+    ]);
+    // A character used twice in one word counts once; T0 entries are left out
+    assert.equal(index.family('谢').count, 1);
+    assert.equal(index.family('保').count, 0);
+    assert.deepEqual(index.topCharacters(1), [{ char: '时', count: 3 }]);
+});
+
+test('groups follow logic type order, then part of speech', () => {
+    const groups = groupByLogicAndPos(entries.slice(0, 5));
+    assert.deepEqual(groups.map(group => [group.logic, group.count]), [['T1', 2], ['T2', 2], ['T3', 1]]);
+    assert.deepEqual(groups[0].groups.map(group => group.pos), ['n', 'v']);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfidenceModel, fitWeights, parseScoringModel, DEFAULT_WEIGHTS } from '../js/scoring.js';
+
+const direct = { method: 'direct', length: 5 };
+const fuzzy = { method: 'fuzzy', length: 5, editDistance: 1, matchScore: 0.8, phonetic: false };
+const compound = { method: 'compound', length: 11, pieces: 2, stemLetters: 11, segmentationScore: 0.6 };
+const entry = { priority: 1, logic: 'T1' };
+
+test('default weights rank direct over fuzzy over compound evidence', () => {
+    const model = new ConfidenceModel();
+    const [a, b, c] = [direct, fuzzy, compound].map(evidence => model.score(evidence, entry).confidence);
+    assert.ok(a > 0.9 && a > b && b > c, `${a} ${b} ${c}`);
+});
+
+test('the breakdown adds up to the confidence and leaves out other methods', () => {
+    const { confidence, factors } = new ConfidenceModel().score(fuzzy, entry);
+    const z = DEFAULT_WEIGHTS.bias + factors.reduce((sum, factor) => sum + factor.contribution, 0);
+    assert.ok(Math.abs(confidence - 1 / (1 + Math.exp(-z))) < 0.002);
+    assert.deepEqual(factors.filter(factor => factor.name.startsWith('method:')).map(factor => factor.name), ['method:fuzzy']);
+    assert.equal(factors.find(factor => factor.name === 'similarity').value, 0.8);
+});
+
+test('fitting lowers the weight of a method whose answers are wrong', () => {
+    const samples = [
+        ...Array.from({ length: 10 }, () => ({ evidence: direct, entry, correct: true })),
+        ...Array.from({ length: 10 }, () => ({ evidence: fuzzy, entry, correct: false }))
+    ];
+    const weights = fitWeights(samples, { iterations: 500 });
+    assert.ok(weights['method:fuzzy'] < DEFAULT_WEIGHTS['method:fuzzy']);
+    assert.ok(weights['method:direct'] > DEFAULT_WEIGHTS['method:direct']);
+
+    const fitted = new ConfidenceModel(weights);
+    assert.ok(fitted.score(fuzzy, entry).confidence < new ConfidenceModel().score(fuzzy, entry).confidence);
+});
+
+test('regularization keeps weights near the start and no samples change nothing', () => {
+    const samples = [{ evidence: fuzzy, entry, correct: false }];
+    const loose = fitWeights(samples, { iterations: 300, regularization: 0 });
+    const tight = fitWeights(samples, { iterations: 300, regularization: 10 });
+    const drift = weights => Math.abs(weights['method:fuzzy'] - DEFAULT_WEIGHTS['method:fuzzy']);
+    assert.ok(drift(tight) < drift(loose));
+    assert.deepEqual(fitWeights([]), DEFAULT_WEIGHTS);
+});
+
+test('scoring model documents fill missing weights from the defaults', () => {
+    const model = parseScoringModel({ metadata: { samples: 3 }, weights: { bias: -4 } });
+    assert.equal(model.weights.bias, -4);
+    assert.equal(model.weights.similarity, DEFAULT_WEIGHTS.similarity);
+    assert.deepEqual(model.metadata, { samples: 3 });
+    assert.throws(() => parseScoringModel({ metadata: {} }), /Not a scoring model/);
+});
@@ -0,0 +1,29 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAnalyzer } from '../js/node.js';
+import { describeSegmentation, isFullCover } from '../js/segmenter.js';
+
+let analyzer;
+
+before(async () => {
+    analyzer = await loadAnalyzer();
+});
+
+test('the best segmentation is a full cover of roots and affixes', () => {
+    const [best] = analyzer.segment('chronometer');
+    assert.ok(isFullCover(best));
+    assert.equal(describeSegmentation(best), 'chrono (时) + meter (计)');
+});
+
+test('linking vowels are shown as links', () => {
+    const labels = analyzer.segment('chronometer').map(describeSegmentation);
+    assert.ok(labels.includes('chron (时) + -o- + meter (计)'));
+});
+
+test('segmentations come best first', () => {
+    const segmentations = analyzer.segment('telescopes');
+    const scores = segmentations.map(segmentation => segmentation.score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    assert.ok(isFullCover(segmentations[0]));
+    assert.ok(!isFullCover(analyzer.segment('every')[0]));
+});
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Build the lexicon index loaded at startup instead of indexing lexicon.json
+//
+// Usage: node tools/build_index.js [file] [--out file]
+// Writes data/lexicon_index.json, or stdout with --out - (the counts then go
+// to stderr). Run it after editing the lexicon: a saved index that no longer
+// matches the lexicon is ignored and rebuilt in memory on every load. Exits
+// with 2 when a file cannot be read.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { parseLexicon } from '../js/lexicon.js';
+import { LexiconIndex } from '../js/lexicon_index.js';
+import { DATA_DIR } from '../js/node.js';
+
+const args = process.argv.slice(2);
+const options = {
+    file: join(DATA_DIR, 'lexicon.json'),
+    out: join(DATA_DIR, 'lexicon_index.json')
+};
+
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out') options.out = args[++i];
+    else options.file = args[i];
+}
+
+let lexicon;
+try {
+    lexicon = parseLexicon(JSON.parse(readFileSync(options.file, 'utf8')));
+} catch (error) {
+    console.error(`Cannot read ${options.file}: ${error.message}`);
+    process.exit(2);
+}
+
+const index = LexiconIndex.build(lexicon.entries, { lexiconVersion: lexicon.metadata.version });
+const document = index.toJSON();
+document.metadata = { ...document.metadata, generated: new Date().toISOString() };
+const text = JSON.stringify(document) + '\n';
+
+// With --out - the index goes to stdout and the counts to stderr
+const toStdout = options.out === '-';
+const log = toStdout ? console.error : console.log;
+if (toStdout) {
+    process.stdout.write(text);
+} else {
+    writeFileSync(options.out, text);
+}
+
+log(`${options.file}: ${lexicon.entries.length} entries, lexicon version ${lexicon.metadata.version}, hash ${document.metadata.hash}`);
+log(`  headwords         ${index.size}`);
+log(`  hanzi             ${index.hanzi.size}`);
+log(`  characters        ${index.chars.size}`);
+log(`  syllables         ${index.syllables.size}`);
+log(`  letter bigrams    ${index.grams.size}`);
+log(`  size              ${(Buffer.byteLength(text) / 1024).toFixed(1)} KB`);
+if (!toStdout) log(`\nIndex written to ${options.out}`);
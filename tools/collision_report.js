@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Report English words that collapse onto the same hanzi
+//
+// Usage: node tools/collision_report.js [file] [--format text|json] [--min-loss n]
+// Lists collision groups by meaning loss (highest first) and hanzi recorded
+// with more than one pinyin. Groups below --min-loss are left out.
+
+import { readFileSync } from 'fs';
+import { parseLexicon } from '../js/lexicon.js';
+import { analyzeCollisions } from '../js/collisions.js';
+
+const args = process.argv.slice(2);
+const options = {
+    file: 'data/lexicon.json',
+    format: 'text',
+    minLoss: 0
+};
+
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--format') options.format = args[++i];
+    else if (args[i] === '--json') options.format = 'json';
+    else if (args[i] === '--min-loss') options.minLoss = Number(args[++i]);
+    else options.file = args[i];
+}
+
+let entries;
+try {
+    ({ entries } = parseLexicon(JSON.parse(readFileSync(options.file, 'utf8'))));
+} catch (error) {
+    console.error(`Cannot read ${options.file}: ${error.message}`);
+    process.exit(2);
+}
+
+const analysis = analyzeCollisions(entries);
+const groups = analysis.groups.filter(group => group.loss >= options.minLoss);
+
+// Entries as plain { id, english, pos, category, pinyin } records
+const words = list => list.map(({ id, english, pos, category, pinyin }) => ({ id, english, pos, category, pinyin }));
+
+if (options.format === 'json') {
+    console.log(JSON.stringify({
+        file: options.file,
+        summary: analysis.summary,
+        groups: groups.map(group => ({
+            ...group,
+            entries: words(group.entries),
+            anchor: group.anchor.english
+        })),
+        readingConflicts: analysis.readingConflicts
+    }, null, 2));
+} else {
+    const { words: total, uniqueHanzi, collidingWords, bySeverity, readingConflicts } = analysis.summary;
+    console.log(`${options.file}: ${total} words on ${uniqueHanzi} hanzi, ` +
+        `${collidingWords} words in ${analysis.groups.length} collision groups`);
+    console.log(`  high: ${bySeverity.high}, medium: ${bySeverity.medium}, low: ${bySeverity.low}`);
+    console.log(`  hanzi with several readings: ${readingConflicts}`);
+
+    groups.forEach(group => {
+        const readings = group.readings.map(r => r.pinyin).join('/');
+        console.log(`\n${group.hanzi} ${readings}  loss ${group.loss.toFixed(2)} (${group.severity}), ${group.size} words`);
+        console.log(`  keeps ${group.hanzi}: ${group.anchor.english}`);
+        const others = group.entries.filter(entry => entry !== group.anchor);
+        console.log(`  may need a compound: ${others.map(entry => `${entry.english} (${entry.pos})`).join(', ')}`);
+    });
+
+    if (analysis.readingConflicts.length > 0) {
+        console.log('\nHanzi with several readings:');
+        analysis.readingConflicts.forEach(conflict => {
+            const readings = conflict.readings.map(r => `${r.pinyin} (${r.words.join(', ')})`).join('; ');
+            console.log(`  ${conflict.hanzi}: ${readings}`);
+        });
+    }
+}
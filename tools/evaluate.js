@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// Evaluate the analyzer against the gold standard and save the report
+//
+// Usage: node tools/evaluate.js [gold file] [--out file] [--format text|json]
+//                               [--bins n] [--candidates n] [--folds n] [--data-dir dir]
+// Writes the report to data/evaluation.json (the app's Mapping Accuracy
+// figure), or to stdout with --out - (the text summary then goes to stderr).
+// --format json prints the report instead of the summary. Exits with 2 when
+// a file cannot be read.
+//
+// When the confidence weights were fitted to the gold set (tune_scoring.js),
+// they are cross-validated here: each of the folds (5 by default; --folds 1
+// turns this off) is scored by weights refitted on the other folds with the
+// same settings, so the calibration and candidate ranks are out-of-sample.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { loadAnalyzer, DATA_DIR } from '../js/node.js';
+import { parseGoldSet, evaluate } from '../js/evaluation.js';
+import { ConfidenceModel, fitWeights } from '../js/scoring.js';
+
+const args = process.argv.slice(2);
+const options = {
+    file: join(DATA_DIR, 'gold_standard.json'),
+    out: join(DATA_DIR, 'evaluation.json'),
+    format: 'text',
+    bins: 5,
+    candidates: 5,
+    folds: 5,
+    dataDir: undefined
+};
+
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out') options.out = args[++i];
+    else if (args[i] === '--format') options.format = args[++i];
+    else if (args[i] === '--json') options.format = 'json';
+    else if (args[i] === '--bins') options.bins = Number(args[++i]);
+    else if (args[i] === '--candidates') options.candidates = Number(args[++i]);
+    else if (args[i] === '--folds') options.folds = Number(args[++i]);
+    else if (args[i] === '--data-dir') options.dataDir = args[++i];
+    else options.file = args[i];
+}
+
+let gold;
+try {
+    gold = parseGoldSet(JSON.parse(readFileSync(options.file, 'utf8')));
+} catch (error) {
+    console.error(`Cannot read ${options.file}: ${error.message}`);
+    process.exit(2);
+}
+
+let analyzer;
+try {
+    analyzer = await loadAnalyzer({ dataDir: options.dataDir });
+} catch (error) {
+    console.error(error.message);
+    process.exit(2);
+}
+
+// Refit the saved model's weights on part of the gold set, as tune_scoring.js did
+const { metadata: model } = analyzer.scoring;
+const fit = model.samples
+    ? samples => new ConfidenceModel(fitWeights(samples, { iterations: model.iterations, regularization: model.regularization }))
+    : null;
+
+const report = {
+    generated: new Date().toISOString(),
+    goldSet: gold.metadata.name || options.file,
+    strategies: analyzer.strategyNames,
+    ...evaluate(analyzer, gold.items, {
+        bins: options.bins,
+        candidates: options.candidates,
+        fit,
+        folds: options.folds
+    })
+};
+
+// With --out - the report goes to stdout and the summary to stderr
+const toStdout = options.out === '-';
+const log = toStdout ? console.error : console.log;
+const text = JSON.stringify(report, null, 2) + '\n';
+if (toStdout) {
+    process.stdout.write(text);
+} else {
+    writeFileSync(options.out, text);
+}
+
+const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+
+if (options.format === 'json') {
+    if (!toStdout) process.stdout.write(text);
+} else {
+    const { items, answered, correct, accuracy, precision, coverage, candidateRecall } = report.summary;
+    log(`${report.goldSet}: ${correct}/${items} correct (accuracy ${percent(accuracy)}), ` +
+        `${answered} answered (precision ${percent(precision)}, coverage ${percent(coverage)})`);
+    log(`expected hanzi among the top ${options.candidates} candidates: ${percent(candidateRecall)}`);
+
+    log('\nmatch type   predicted  precision  gold  recall  same type');
+    report.byMatchType.forEach(row => {
+        log(`  ${row.matchType.padEnd(11)}${String(row.predicted).padStart(9)}  ${percent(row.precision).padStart(9)}` +
+            `  ${String(row.gold).padStart(4)}  ${percent(row.recall).padStart(6)}  ${String(row.sameType).padStart(9)}`);
+    });
+
+    const validated = report.crossValidation ? `, cross-validated over ${report.crossValidation.folds} folds` : '';
+    log(`\nconfidence   count  mean conf.  accuracy   (expected calibration error ${report.calibration.expectedError}${validated})`);
+    report.calibration.bins.forEach(bin => {
+        const mean = bin.meanConfidence === null ? '-' : bin.meanConfidence.toFixed(2);
+        log(`  ${bin.range.padEnd(11)}${String(bin.count).padStart(5)}  ${mean.padStart(10)}  ${percent(bin.accuracy).padStart(8)}`);
+    });
+
+    const misses = report.items.filter(item => !item.correct);
+    if (misses.length > 0) {
+        log('\nmisses:');
+        misses.forEach(item => {
+            log(`  ${item.word}: expected ${item.expected} (${item.expectedType}), ` +
+                `got ${item.actual || '-'} (${item.predictedType})`);
+        });
+    }
+    if (!toStdout) console.log(`\nReport written to ${options.out}`);
+}
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+// Map English words or text to hanzi from the command line
+//
+// Usage: node tools/sinomap.js [word ...] [--file path ...] [--format tsv|json|text|csv] [--json]
+//                              [--min-confidence n] [--candidates n] [--round-trip]
+//                              [--overrides feedback.json] [--data-dir dir] [--lexicon file]
+//
+// Reads the words given as arguments, else the files given with --file,
+// else stdin. tsv and json print one result per distinct word; text prints
+// the input with mapped words replaced by hanzi; with --round-trip it also
+// decodes that text back to English and reports the accuracy on stderr.
+// --candidates n adds the top n ranked candidates from every strategy to
+// tsv and json rows. csv is the batch export: input read as a word list (a
+// CSV/TSV with an english column, or plain words), one row per input row in
+// the lexicon's source CSV layout with up to --candidates alternatives. --overrides applies the accepted corrections from a
+// feedback export ahead of the cascade.
+// Exits with 1 when any word is unmapped (no match, or below
+// --min-confidence) and 2 when the input or data cannot be read.
+
+import { readFileSync } from 'fs';
+import { loadAnalyzer } from '../js/node.js';
+import { serializeResult } from '../js/analyzer.js';
+import { tokenizePassage, integratePassage } from '../js/passage.js';
+import { Decoder, roundTrip } from '../js/decoder.js';
+import { parseFeedback, feedbackOverrides } from '../js/feedback.js';
+import { parseWordList, analyzeBatch, formatBatch } from '../js/batch.js';
+
+const FORMATS = ['tsv', 'json', 'text', 'csv'];
+const TSV_COLUMNS = ['word', 'chinese', 'pinyin', 'pos', 'logic', 'strategy', 'matchType', 'confidence'];
+
+const args = process.argv.slice(2);
+const options = {
+    words: [],
+    files: [],
+    format: 'tsv',
+    minConfidence: 0,
+    roundTrip: false,
+    candidates: 0,
+    overrides: undefined,
+    dataDir: undefined,
+    lexicon: undefined,
+    unknown: undefined
+};
+
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--file' || args[i] === '-f') options.files.push(args[++i]);
+    else if (args[i] === '--format') options.format = args[++i];
+    else if (args[i] === '--json') options.format = 'json';
+    else if (args[i] === '--min-confidence') options.minConfidence = Number(args[++i]);
+    else if (args[i] === '--candidates') options.candidates = Number(args[++i]);
+    else if (args[i] === '--round-trip') options.roundTrip = true;
+    else if (args[i] === '--overrides') options.overrides = args[++i];
+    else if (args[i] === '--data-dir') options.dataDir = args[++i];
+    else if (args[i] === '--lexicon') options.lexicon = args[++i];
+    else if (args[i].startsWith('-')) options.unknown = args[i];
+    else options.words.push(args[i]);
+}
+
+if (options.unknown || !FORMATS.includes(options.format) ||
+    Number.isNaN(options.minConfidence) || Number.isNaN(options.candidates)) {
+    if (options.unknown) console.error(`Unknown option: ${options.unknown}`);
+    console.error(`Usage: node tools/sinomap.js [word ...] [--file path ...] [--format ${FORMATS.join('|')}] [--json]\n` +
+        '                              [--min-confidence n] [--candidates n] [--round-trip]\n' +
+        '                              [--overrides feedback.json] [--data-dir dir] [--lexicon file]');
+    process.exit(2);
+}
+
+function readText(file) {
+    try {
+        return readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read ${file === 0 ? 'stdin' : file}: ${error.message}`);
+    }
+}
+
+function readInput() {
+    if (options.words.length > 0) return options.words.join(' ');
+    if (options.files.length === 0) return readText(0);
+    return options.files.map(readText).join('\n');
+}
+
+let text;
+let analyzer;
+try {
+    text = readInput();
+    analyzer = await loadAnalyzer({ dataDir: options.dataDir, lexicon: options.lexicon });
+    if (options.overrides) {
+        const feedback = parseFeedback(JSON.parse(readText(options.overrides)));
+        analyzer.setOverrides(feedbackOverrides(feedback));
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exit(2);
+}
+
+// Result for a word only when it is mapped confidently enough
+const resolve = word => {
+    const result = analyzer.resolve(word);
+    return result && result.analysis.confidence >= options.minConfidence ? result : null;
+};
+
+let unmapped = 0;
+
+if (options.format === 'csv') {
+    // Each argument is one list row
+    const list = options.words.length > 0 ? options.words.join('\n') : text;
+    const rows = await analyzeBatch(parseWordList(list), analyzer, { candidates: options.candidates });
+    process.stdout.write(formatBatch(rows, 'csv'));
+    unmapped = rows.filter(row => !row.found || row.confidence < options.minConfidence).length;
+} else if (options.format === 'text') {
+    const integrated = integratePassage(text, resolve);
+    process.stdout.write(integrated.text.endsWith('\n') ? integrated.text : `${integrated.text}\n`);
+
+    const missing = [...new Set(integrated.segments
+        .filter(segment => segment.status === 'unmapped')
+        .map(segment => segment.text.toLowerCase()))];
+    if (missing.length > 0) console.error(`Unmapped: ${missing.join(', ')}`);
+    unmapped = integrated.stats.unmapped;
+
+    if (options.roundTrip) {
+        const result = roundTrip(integrated, new Decoder(analyzer.entries));
+        console.error(`Read back: ${result.decoded.trim()}`);
+        console.error(`Round-trip: ${(result.accuracy * 100).toFixed(1)}% exact, ` +
+            `${(result.lemmaAccuracy * 100).toFixed(1)}% base form (${result.integrated} integrated words)`);
+        result.errors.forEach(error => {
+            console.error(`  ${error.original} → ${error.hanzi} → ${error.decoded || '?'}`);
+        });
+    }
+} else {
+    const words = [...new Set(tokenizePassage(text)
+        .filter(token => token.type === 'word')
+        .map(token => token.text.toLowerCase()))];
+
+    const rows = words.map(word => {
+        const mapped = Boolean(resolve(word));
+        if (!mapped) unmapped++;
+        const row = { ...serializeResult(analyzer.analyze(word)), mapped };
+        if (options.candidates > 0) {
+            row.candidates = analyzer.rank(word, { limit: options.candidates }).map(candidate => ({
+                rank: candidate.rank,
+                chinese: candidate.chinese,
+                pinyin: candidate.pinyin,
+                strategy: candidate.strategy,
+                matchType: candidate.analysis.matchType,
+                confidence: candidate.analysis.confidence
+            }));
+        }
+        return row;
+    });
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(rows, null, 2));
+    } else {
+        // Candidates go in one column as "hanzi confidence; ..."
+        const columns = options.candidates > 0 ? [...TSV_COLUMNS, 'candidates'] : TSV_COLUMNS;
+        const cell = (row, column) => (column === 'candidates'
+            ? row.candidates.map(candidate => `${candidate.chinese} ${candidate.confidence}`).join('; ')
+            : row[column] ?? '');
+        console.log(columns.join('\t'));
+        rows.forEach(row => console.log(columns.map(column => cell(row, column)).join('\t')));
+    }
+}
+
+// exitCode rather than exit() so piped output is flushed first
+process.exitCode = unmapped > 0 ? 1 : 0;
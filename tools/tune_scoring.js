@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// Fit the confidence model's weights to the gold standard
+//
+// Usage: node tools/tune_scoring.js [gold file] [--out file] [--iterations n]
+//                                   [--rate n] [--regularization n] [--folds n]
+//                                   [--data-dir dir]
+// Every gold item the analyzer answers becomes one sample, labelled by
+// whether the answer was right. The fit starts from the default weights and
+// is pulled back towards them, so the small gold set only nudges them.
+// The calibration error reported and saved is cross-validated: each of the
+// folds (5 by default) is scored by weights fitted on the others.
+// Writes data/scoring_model.json, or stdout with --out - (the summary then
+// goes to stderr). Exits with 2 when a file cannot be read.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { loadAnalyzer, DATA_DIR } from '../js/node.js';
+import { parseGoldSet, calibrationTable, goldSamples, foldOf, trainingSamples } from '../js/evaluation.js';
+import { ConfidenceModel, DEFAULT_WEIGHTS, fitWeights } from '../js/scoring.js';
+
+const args = process.argv.slice(2);
+const options = {
+    file: join(DATA_DIR, 'gold_standard.json'),
+    out: join(DATA_DIR, 'scoring_model.json'),
+    iterations: 2000,
+    rate: 0.1,
+    regularization: 0.05,
+    folds: 5,
+    dataDir: undefined
+};
+
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out') options.out = args[++i];
+    else if (args[i] === '--iterations') options.iterations = Number(args[++i]);
+    else if (args[i] === '--rate') options.rate = Number(args[++i]);
+    else if (args[i] === '--regularization') options.regularization = Number(args[++i]);
+    else if (args[i] === '--folds') options.folds = Number(args[++i]);
+    else if (args[i] === '--data-dir') options.dataDir = args[++i];
+    else options.file = args[i];
+}
+
+let gold;
+try {
+    gold = parseGoldSet(JSON.parse(readFileSync(options.file, 'utf8')));
+} catch (error) {
+    console.error(`Cannot read ${options.file}: ${error.message}`);
+    process.exit(2);
+}
+
+let analyzer;
+try {
+    analyzer = await loadAnalyzer({ dataDir: options.dataDir, scoring: new ConfidenceModel(DEFAULT_WEIGHTS) });
+} catch (error) {
+    console.error(error.message);
+    process.exit(2);
+}
+
+const itemSamples = goldSamples(analyzer, gold.items);
+const samples = itemSamples.filter(Boolean);
+
+const fit = training => fitWeights(training, {
+    iterations: options.iterations,
+    rate: options.rate,
+    regularization: options.regularization
+});
+const weights = fit(samples);
+
+// Calibration of a model over the samples
+const outcome = (model, sample) => ({
+    confidence: model.score(sample.evidence, sample.entry).confidence,
+    correct: sample.correct
+});
+const calibration = model => calibrationTable(samples.map(sample => outcome(model, sample)));
+const before = calibration(new ConfidenceModel(DEFAULT_WEIGHTS));
+const after = calibration(new ConfidenceModel(weights));
+
+// Calibration on held-out items: each fold scored by weights fitted on the rest
+const outOfFold = [];
+for (let fold = 0; fold < options.folds; fold++) {
+    const model = new ConfidenceModel(fit(trainingSamples(itemSamples, fold, options.folds)));
+    itemSamples.forEach((sample, position) => {
+        if (sample && foldOf(position, options.folds) === fold) outOfFold.push(outcome(model, sample));
+    });
+}
+const crossValidated = calibrationTable(outOfFold);
+
+const document = {
+    metadata: {
+        generated: new Date().toISOString(),
+        goldSet: gold.metadata.name || options.file,
+        samples: samples.length,
+        correct: samples.filter(sample => sample.correct).length,
+        iterations: options.iterations,
+        regularization: options.regularization,
+        folds: options.folds,
+        expectedError: crossValidated.expectedError,
+        inSampleError: after.expectedError
+    },
+    weights
+};
+
+// With --out - the model goes to stdout and the summary to stderr
+const toStdout = options.out === '-';
+const log = toStdout ? console.error : console.log;
+const text = JSON.stringify(document, null, 2) + '\n';
+if (toStdout) {
+    process.stdout.write(text);
+} else {
+    writeFileSync(options.out, text);
+}
+
+log(`${document.metadata.goldSet}: fitted on ${samples.length} answered items ` +
+    `(${document.metadata.correct} correct)`);
+log(`expected calibration error: ${before.expectedError} with default weights, ${after.expectedError} fitted ` +
+    `(in-sample), ${crossValidated.expectedError} cross-validated over ${options.folds} folds`);
+log('\nfactor              default   fitted');
+Object.keys(weights).forEach(name => {
+    log(`  ${name.padEnd(18)}${String(DEFAULT_WEIGHTS[name]).padStart(7)}  ${String(weights[name]).padStart(7)}`);
+});
+if (!toStdout) log(`\nModel written to ${options.out}`);
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Validate a lexicon.json file and print a report
+//
+// Usage: node tools/validate_lexicon.js [file] [--format text|json] [--strict] [--fix-hash]
+//                                       [--gold file]
+// Exits with 1 when the lexicon has errors (or any issue with --strict).
+// --gold also checks that the gold standard's direct items are headwords.
+// --fix-hash first rewrites metadata.content_hash from the entries, keeping
+// the file's indentation and line endings; run it after editing the file by
+// hand.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { lexiconContentHash } from '../js/lexicon.js';
+import { validateLexicon } from '../js/lexicon_validator.js';
+import { parseGoldSet } from '../js/evaluation.js';
+
+const args = process.argv.slice(2);
+const options = {
+    file: 'data/lexicon.json',
+    format: 'text',
+    strict: false,
+    fixHash: false,
+    gold: null
+};
+
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--format') options.format = args[++i];
+    else if (args[i] === '--json') options.format = 'json';
+    else if (args[i] === '--strict') options.strict = true;
+    else if (args[i] === '--fix-hash') options.fixHash = true;
+    else if (args[i] === '--gold') options.gold = args[++i];
+    else options.file = args[i];
+}
+
+let text;
+let data;
+try {
+    text = readFileSync(options.file, 'utf8');
+    data = JSON.parse(text);
+} catch (error) {
+    console.error(`Cannot read ${options.file}: ${error.message}`);
+    process.exit(2);
+}
+
+let gold = null;
+if (options.gold) {
+    try {
+        gold = parseGoldSet(JSON.parse(readFileSync(options.gold, 'utf8'))).items;
+    } catch (error) {
+        console.error(`Cannot read ${options.gold}: ${error.message}`);
+        process.exit(2);
+    }
+}
+
+if (options.fixHash && data && Array.isArray(data.lexicon)) {
+    const hash = lexiconContentHash(data.lexicon);
+    if (!data.metadata || data.metadata.content_hash !== hash) {
+        data = { ...data, metadata: { ...data.metadata, content_hash: hash } };
+        const eol = text.includes('\r\n') ? '\r\n' : '\n';
+        const trailing = /\n$/.test(text) ? eol : '';
+        writeFileSync(options.file, JSON.stringify(data, null, 2).replace(/\n/g, eol) + trailing);
+        console.error(`${options.file}: metadata.content_hash set to ${hash}`);
+    }
+}
+
+const report = { file: options.file, ...validateLexicon(data, { strict: options.strict, gold }) };
+
+if (options.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    const { entries, errors, warnings, byCode } = report.summary;
+    console.log(`${options.file}: ${entries} entries, ${errors} errors, ${warnings} warnings`);
+    for (const [code, count] of Object.entries(byCode)) {
+        console.log(`  ${code}: ${count}`);
+    }
+    report.issues
+        .filter(issue => issue.severity === 'error')
+        .forEach(issue => {
+            const where = issue.id !== null ? `#${issue.id} ${issue.english}` : issue.field;
+            console.log(`  [error] ${where}: ${issue.message}`);
+        });
+}
+
+// exitCode rather than exit() so a piped report is flushed first
+process.exitCode = report.valid ? 0 : 1;